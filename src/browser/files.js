@@ -1,5 +1,7 @@
 /** @import { FileLoader } from '../index.js' */
 
+import { CodedError, ErrorCode } from "../error.js";
+
 /**
  * @param {string} root
  * @param {string} path
@@ -21,9 +23,21 @@ export async function resolveFile(root, path, opts = {}) {
 	const res = await fetch(finalPath, { signal: controller.signal, ...rest });
 	clearTimeout(abortTimeout);
 	if (!res.ok) {
-		throw new Error(`could not fetch file '${finalPath}'`);
+		throw new CodedError(`could not fetch file '${finalPath}'`, ErrorCode.FILE_NOT_FOUND, {
+			file: path,
+			status: res.status,
+		});
 	}
 
 	const blob = await res.blob();
 	return await blob.text();
 }
+
+/**
+ * @param {string} root
+ * @param {string} path
+ * @returns {URL} The URL of the file `resolveFile` would fetch
+ */
+export function resolveURL(root, path) {
+	return new URL(resolvePath(root, path));
+}
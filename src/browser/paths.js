@@ -0,0 +1,8 @@
+/**
+ * @param {URL} url A `file:` URL
+ * @returns {string} The path of the URL, which is still URL encoded since the default loader
+ * fetches it
+ */
+export function toFilePath(url) {
+	return url.pathname;
+}
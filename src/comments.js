@@ -0,0 +1,111 @@
+/**
+ * @import { CstItem } from './cst.js'
+ * @import { CstValue, DocComment, Key } from './index.js'
+ */
+
+import { collectItems, getKeyParts, parseCST } from "./cst.js";
+import { serializeKeyPath } from "./stringify.js";
+import { KeyPath } from "./values.js";
+
+const COMMENT_PREFIX_REGEX = /^\/\/ ?/;
+
+/**
+ * Extract the comments describing each key in a bconf file. Comment lines directly above
+ * an entry (without a blank line in between) are its leading comment, and a comment on
+ * the same line after it is its trailing comment. Entries in nested objects and arrays
+ * are included, keyed by their full key path (eg. `servers[0].host`). When a key is
+ * written more than once, the comments of the last entry that has any are used
+ * @param {string} input Input bconf file
+ * @returns {Record<string, DocComment>}
+ */
+export function extractComments(input) {
+	const cst = parseCST(input);
+
+	/** @type {Record<string, DocComment>} */
+	const comments = {};
+	collectComments(collectItems(cst.children), [], comments);
+	return comments;
+}
+
+/**
+ * @param {Array<CstItem>} items
+ * @param {Array<Key>} prefix The key path of the block or array
+ * @param {Record<string, DocComment>} comments
+ */
+function collectComments(items, prefix, comments) {
+	/** @type {Array<string>} */
+	let leading = [];
+	let index = 0;
+
+	for (const item of items) {
+		if (item.blankBefore) {
+			leading = [];
+		}
+
+		if (item.type === "comment") {
+			leading.push(formatComment(item.token.literal));
+			continue;
+		}
+
+		const { node } = item;
+
+		/** @type {Array<Key> | null} */
+		let path = null;
+		/** @type {CstValue | null} */
+		let value = null;
+
+		switch (node.type) {
+			case "ENTRY":
+				// The index an appended value ends up at isn't known without resolving the document
+				if (node.operation !== "append") {
+					const parts = getKeyParts(node.key);
+					path = parts && [...prefix, ...parts];
+					value = node.value;
+				}
+				break;
+			case "STATEMENT": {
+				const parts = getKeyParts(node.key);
+				path = parts && [...prefix, ...parts];
+				break;
+			}
+			default:
+				// Anything else is an item in an array
+				path = [...prefix, { type: "index", index: index++ }];
+				value = /** @type {CstValue} */ (node);
+		}
+
+		if (path) {
+			if (leading.length || item.trailing) {
+				comments[serializeKeyPath(new KeyPath(path))] = {
+					leading: leading.length ? leading.join("\n") : null,
+					trailing: item.trailing ? formatComment(item.trailing.literal) : null,
+				};
+			}
+
+			if (value) {
+				collectValueComments(value, path, comments);
+			}
+		}
+
+		leading = [];
+	}
+}
+
+/**
+ * @param {CstValue} node
+ * @param {Array<Key>} path
+ * @param {Record<string, DocComment>} comments
+ */
+function collectValueComments(node, path, comments) {
+	if (node.type === "OBJECT" || node.type === "ARRAY") {
+		collectComments(collectItems(node.children.slice(1, -1)), path, comments);
+	}
+}
+
+/**
+ * @param {string | null} literal
+ * @returns {string}
+ */
+function formatComment(literal) {
+	return (literal ?? "").replace(COMMENT_PREFIX_REGEX, "").trimEnd();
+}
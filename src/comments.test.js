@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { extractComments } from "./comments.js";
+
+describe("Leading Comments", () => {
+	it("should attach comments directly above a key", () => {
+		assert.deepStrictEqual(extractComments("// The name of the app\nname = 1\nother = 2\n"), {
+			name: { leading: "The name of the app", trailing: null },
+		});
+	});
+
+	it("should join multiple comment lines", () => {
+		assert.deepStrictEqual(extractComments("// line 1\n//line 2\n//   indented\nname = 1\n"), {
+			name: { leading: "line 1\nline 2\n  indented", trailing: null },
+		});
+	});
+
+	it("should not attach comments separated by a blank line", () => {
+		assert.deepStrictEqual(extractComments("// header\n\n// about a\na = 1\n// footer\n"), {
+			a: { leading: "about a", trailing: null },
+		});
+		assert.deepStrictEqual(extractComments("// header\n\na = 1\n"), {});
+	});
+});
+
+describe("Trailing Comments", () => {
+	it("should attach comments on the same line", () => {
+		assert.deepStrictEqual(extractComments("// leading\na = 1 // trailing\nb = 2\n"), {
+			a: { leading: "leading", trailing: "trailing" },
+		});
+	});
+
+	it("should attach comments after the end of a block", () => {
+		assert.deepStrictEqual(extractComments("obj {\n\ta = 1\n} // the object\n"), {
+			obj: { leading: null, trailing: "the object" },
+		});
+	});
+});
+
+describe("Key Paths", () => {
+	it("should use the full key path of nested entries", () => {
+		const input = [
+			"// The server",
+			"server {",
+			"\t// Host to bind to",
+			'\thost = "localhost"',
+			"\ttls.enabled = true // Whether to use TLS",
+			"}",
+			'"quoted key" = 1 // quoted',
+		].join("\n");
+
+		assert.deepStrictEqual(extractComments(input), {
+			server: { leading: "The server", trailing: null },
+			"server.host": { leading: "Host to bind to", trailing: null },
+			"server.tls.enabled": { leading: null, trailing: "Whether to use TLS" },
+			'"quoted key"': { leading: null, trailing: "quoted" },
+		});
+	});
+
+	it("should index items in arrays", () => {
+		const input = [
+			"servers = [",
+			"\t// The primary server",
+			"\t{",
+			"\t\tport = 80 // HTTP",
+			"\t},",
+			"\t{ port = 443 }, // The backup server",
+			"]",
+		].join("\n");
+
+		assert.deepStrictEqual(extractComments(input), {
+			"servers[0]": { leading: "The primary server", trailing: null },
+			"servers[0].port": { leading: null, trailing: "HTTP" },
+			"servers[1]": { leading: null, trailing: "The backup server" },
+		});
+	});
+
+	it("should include variables and statements", () => {
+		const input = '// A variable\n$var = 1\n// Imports\nimport { $a } from "file"\n';
+		assert.deepStrictEqual(extractComments(input), {
+			$var: { leading: "A variable", trailing: null },
+			import: { leading: "Imports", trailing: null },
+		});
+	});
+
+	it("should use the comments of the last documented entry", () => {
+		assert.deepStrictEqual(extractComments("// first\na = 1\n// second\na = 2\na = 3\n"), {
+			a: { leading: "second", trailing: null },
+		});
+	});
+
+	it("should skip appended values and keys with embedded values", () => {
+		assert.deepStrictEqual(
+			extractComments('// appended\narr << { a = 1 }\n// embedded\n"${$var}" = 1\n'),
+			{},
+		);
+	});
+});
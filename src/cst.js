@@ -0,0 +1,799 @@
+/**
+ * @import { Key, CstNode, CstElement, CstDocument, CstEntry, CstStatement, CstKey, CstValue, CstObject, CstArray, CstTag, CstString, CstEmbeddedValue, CstNumber, CstLiteral } from './index.js'
+ */
+
+import { BconfError, ErrorCode, getTokenDetails } from "./error.js";
+import { Token, tokenize, TokenType } from "./lexer.js";
+import { looksLikeNumber, parseEscapeSequence, validateAndParseNumber } from "./utils.js";
+import { KeyPath } from "./values.js";
+
+/**
+ * @typedef {{
+ *   type: "node",
+ *   node: CstNode,
+ *   trailing: Token | null,
+ *   blankBefore: boolean,
+ * } | {
+ *   type: "comment",
+ *   token: Token,
+ *   blankBefore: boolean,
+ * }} CstItem
+ */
+
+/**
+ * Parse a bconf file into a concrete syntax tree. Unlike `parse`, nothing is resolved
+ * and every token (including comments and whitespace) is kept in the tree, so printing
+ * it with `printCST` gives back the exact input
+ * @param {string} input Input bconf file
+ * @returns {CstDocument}
+ */
+export function parseCST(input) {
+	const parser = new CstParser(input);
+	return parser.parseDocument();
+}
+
+/**
+ * Print a node from the concrete syntax tree back into source
+ * @param {CstNode} node
+ * @returns {string}
+ */
+export function printCST(node) {
+	let result = "";
+	for (const child of node.children) {
+		result += child instanceof Token ? (child.literal ?? "") : printCST(child);
+	}
+
+	return result;
+}
+
+/**
+ * Parse a key path (eg. `foo.bar[0]`) on its own
+ * @param {string} input
+ * @returns {KeyPath}
+ */
+export function parseKeyPath(input) {
+	const parser = new CstParser(input);
+	const node = parser.parseKey();
+	if (parser.currentToken.type !== TokenType.EOF) {
+		throw new BconfError(
+			`unexpected '${parser.currentToken.literal}' after key path`,
+			parser.currentToken,
+			ErrorCode.INVALID_KEY,
+			getTokenDetails(parser.currentToken),
+		);
+	}
+
+	const parts = getKeyParts(node);
+	if (!parts) {
+		throw new BconfError(
+			"embedded values are not allowed in key paths",
+			parser.currentToken,
+			ErrorCode.INVALID_KEY,
+			getTokenDetails(parser.currentToken),
+		);
+	}
+
+	return new KeyPath(parts);
+}
+
+/**
+ * Get the parts of a key from the tree. Since nothing is resolved in the tree,
+ * this returns `null` if the key can't be known without resolving embedded values
+ * @param {CstKey} node
+ * @returns {Array<Key> | null}
+ */
+export function getKeyParts(node) {
+	/** @type {Array<Key>} */
+	const parts = [];
+	let isIndex = false;
+
+	for (const child of node.children) {
+		if (!(child instanceof Token)) {
+			let key = "";
+			for (const part of child.children.slice(1, -1)) {
+				if (!(part instanceof Token)) {
+					return null;
+				}
+
+				key +=
+					part.type === TokenType.ESCAPE_SEQUENCE
+						? parseEscapeSequence(part.literal ?? "")
+						: (part.literal ?? "");
+			}
+
+			parts.push({ type: "alphanumeric", key });
+			continue;
+		}
+
+		switch (child.type) {
+			case TokenType.VARIABLE:
+				parts.push({ type: "variable", key: child.literal ?? "" });
+				break;
+			case TokenType.IDENTIFIER:
+				if (isIndex) {
+					const index = validateAndParseNumber(child.literal ?? "");
+					if (!Number.isInteger(index) || index < 0) {
+						throw new BconfError(
+							"expected non-negative integer for array index",
+							child,
+							ErrorCode.INVALID_ARRAY_INDEX,
+							getTokenDetails(child),
+						);
+					}
+
+					parts.push({ type: "index", index });
+				} else {
+					parts.push({ type: "alphanumeric", key: child.literal ?? "" });
+				}
+				break;
+			case TokenType.INDEX_LBRACKET:
+				isIndex = true;
+				break;
+			case TokenType.RBRACKET:
+				isIndex = false;
+				break;
+		}
+	}
+
+	return parts;
+}
+
+/**
+ * Group the children of a block or array into the nodes and comments that
+ * make it up. Comments on the same line as a node are attached to it
+ * @param {Array<CstElement>} children
+ * @returns {Array<CstItem>}
+ */
+export function collectItems(children) {
+	/** @type {Array<CstItem>} */
+	const items = [];
+	let newlines = 0;
+
+	for (const child of children) {
+		if (!(child instanceof Token)) {
+			items.push({ type: "node", node: child, trailing: null, blankBefore: newlines > 1 });
+			newlines = 0;
+			continue;
+		}
+
+		switch (child.type) {
+			case TokenType.NEWLINE:
+				newlines++;
+				break;
+			case TokenType.COMMENT: {
+				const last = items[items.length - 1];
+				if (newlines === 0 && last?.type === "node" && !last.trailing) {
+					last.trailing = child;
+				} else {
+					items.push({ type: "comment", token: child, blankBefore: newlines > 1 });
+				}
+
+				newlines = 0;
+				break;
+			}
+		}
+	}
+
+	return items;
+}
+
+class CstParser {
+	/** @type {Array<Token>} */ tokens;
+	/** @type {Token} */ currentToken;
+	/** @type {number} */ position = 0;
+	/** @type {number} */ offset = 0;
+
+	/**
+	 * @param {string} input
+	 */
+	constructor(input) {
+		this.tokens = tokenize(input);
+		this.currentToken = this.tokens[this.position];
+	}
+
+	// ----------------------
+	// GENERAL
+	// ----------------------
+	/**
+	 * @param {number=} n The number of tokens to peek ahead
+	 * @returns {Token}
+	 */
+	peek(n = 1) {
+		const nextIndex = this.position + n;
+		if (nextIndex >= this.tokens.length) {
+			return this.tokens[this.tokens.length - 1];
+		}
+
+		return this.tokens[nextIndex];
+	}
+
+	/**
+	 * The parser ignores whitespace between tokens, so this is used to decide what
+	 * comes next without consuming the whitespace before it
+	 * @param {number=} n The number of tokens to peek ahead before skipping whitespace
+	 * @returns {Token}
+	 */
+	peekPastWhitespace(n = 0) {
+		while (this.peek(n).type === TokenType.WHITESPACE) {
+			n++;
+		}
+
+		return this.peek(n);
+	}
+
+	/**
+	 * Move the current token into the node
+	 * @param {Pick<CstNode, "children">} node
+	 */
+	consume(node) {
+		node.children.push(this.currentToken);
+		this.offset = this.currentToken.end;
+		this.currentToken = this.peek();
+		this.position++;
+	}
+
+	/**
+	 * @param {Pick<CstNode, "children">} node
+	 */
+	consumeWhitespace(node) {
+		while (this.currentToken.type === TokenType.WHITESPACE) {
+			this.consume(node);
+		}
+	}
+
+	/**
+	 * @template {CstNode} T
+	 * @param {T} node
+	 * @returns {T}
+	 */
+	finishNode(node) {
+		node.end = this.offset;
+		return node;
+	}
+
+	// ----------------------
+	// BLOCKS
+	// ----------------------
+	/**
+	 * @returns {CstDocument}
+	 */
+	parseDocument() {
+		/** @type {CstDocument} */
+		const node = { type: "DOCUMENT", children: [], start: 0, end: 0, body: [] };
+		this.parseBlock(node, TokenType.EOF);
+		this.consume(node); // Consume EOF
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @param {CstDocument | CstObject} node
+	 * @param {string} stopToken
+	 */
+	parseBlock(node, stopToken) {
+		const isNotRoot = stopToken === TokenType.RBRACE;
+
+		// Commas can only directly follow an entry (eg. `{ foo = 1, bar = 2 }`)
+		let canHaveComma = false;
+		while (this.currentToken.type !== stopToken && this.currentToken.type !== TokenType.EOF) {
+			switch (this.currentToken.type) {
+				case TokenType.WHITESPACE:
+					this.consume(node);
+					break;
+				case TokenType.COMMENT:
+				case TokenType.NEWLINE:
+					canHaveComma = false;
+					this.consume(node);
+					break;
+				case TokenType.COMMA:
+					if (!isNotRoot) {
+						throw new BconfError(
+							"commas are only allowed in objects and arrays",
+							this.currentToken,
+							ErrorCode.UNEXPECTED_TOKEN,
+							getTokenDetails(this.currentToken),
+						);
+					}
+
+					if (!canHaveComma) {
+						throw new BconfError(
+							"expected key",
+							this.currentToken,
+							ErrorCode.INVALID_KEY,
+							getTokenDetails(this.currentToken),
+						);
+					}
+
+					canHaveComma = false;
+					this.consume(node);
+					break;
+				default: {
+					const entry = this.parseEntry(stopToken);
+					node.body.push(entry);
+					node.children.push(entry);
+					canHaveComma = true;
+				}
+			}
+		}
+	}
+
+	/**
+	 * @param {string} stopToken
+	 * @returns {CstEntry | CstStatement}
+	 */
+	parseEntry(stopToken) {
+		const start = this.offset;
+		const key = this.parseKey();
+
+		const next = this.peekPastWhitespace();
+		switch (next.type) {
+			case TokenType.APPEND:
+			case TokenType.ASSIGN:
+			case TokenType.LBRACE: {
+				/** @type {CstEntry} */
+				const node = {
+					type: "ENTRY",
+					children: [key],
+					start,
+					end: start,
+					key,
+					operation: "object-shorthand",
+					operator: null,
+					value: null,
+				};
+				this.consumeWhitespace(node);
+
+				if (next.type !== TokenType.LBRACE) {
+					node.operation = next.type === TokenType.APPEND ? "append" : "assign";
+					node.operator = this.currentToken;
+					this.consume(node);
+					this.consumeWhitespace(node);
+				}
+
+				const value = this.parseValue();
+				node.value = value;
+				node.children.push(value);
+				return this.finishNode(node);
+			}
+			case TokenType.NEWLINE:
+			case TokenType.EOF:
+			case TokenType.COMMENT:
+			case TokenType.COMMA:
+			case stopToken: {
+				/** @type {CstEntry} */
+				const node = {
+					type: "ENTRY",
+					children: [key],
+					start,
+					end: start,
+					key,
+					operation: "true-shorthand",
+					operator: null,
+					value: null,
+				};
+				return this.finishNode(node);
+			}
+			case TokenType.IDENTIFIER:
+			case TokenType.BOOLEAN:
+			case TokenType.NULL:
+			case TokenType.LBRACKET:
+			case TokenType.DOUBLE_QUOTE:
+			case TokenType.TRIPLE_QUOTE: {
+				/** @type {CstStatement} */
+				const node = {
+					type: "STATEMENT",
+					children: [key],
+					start,
+					end: start,
+					key,
+					args: [],
+				};
+
+				let arg = this.peekPastWhitespace();
+				while (
+					arg.type !== stopToken &&
+					arg.type !== TokenType.NEWLINE &&
+					arg.type !== TokenType.EOF &&
+					arg.type !== TokenType.COMMENT &&
+					arg.type !== TokenType.COMMA
+				) {
+					this.consumeWhitespace(node);
+					const value = this.parseValue();
+					node.args.push(value);
+					node.children.push(value);
+					arg = this.peekPastWhitespace();
+				}
+
+				return this.finishNode(node);
+			}
+			default:
+				throw new BconfError(
+					`unexpected operator '${next.literal}'`,
+					next,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(next),
+				);
+		}
+	}
+
+	// ----------------------
+	// KEYS
+	// ----------------------
+	/**
+	 * @returns {CstKey}
+	 */
+	parseKey() {
+		/** @type {CstKey} */
+		const node = { type: "KEY", children: [], start: this.offset, end: this.offset };
+		this.parseKeyPart(node, true);
+
+		while (
+			this.currentToken.type === TokenType.INDEX_LBRACKET ||
+			this.peekPastWhitespace().type === TokenType.DOT
+		) {
+			this.parseKeyPart(node, false);
+		}
+
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @param {CstKey} node
+	 * @param {boolean} isFirst
+	 */
+	parseKeyPart(node, isFirst) {
+		if (this.peekPastWhitespace().type === TokenType.DOT && !isFirst) {
+			this.consumeWhitespace(node);
+			this.consume(node); // Consume `.`
+			this.consumeWhitespace(node);
+		}
+
+		switch (this.currentToken.type) {
+			case TokenType.VARIABLE:
+				if (!isFirst) {
+					throw new BconfError(
+						"unexpected variable key in key sequence",
+						this.currentToken,
+						ErrorCode.INVALID_KEY,
+						getTokenDetails(this.currentToken),
+					);
+				}
+
+				this.consume(node);
+				break;
+			case TokenType.IDENTIFIER:
+				if (this.currentToken.literal?.includes("+")) {
+					throw new BconfError(
+						"invalid key",
+						this.currentToken,
+						ErrorCode.INVALID_KEY,
+						getTokenDetails(this.currentToken),
+					);
+				}
+
+				this.consume(node);
+				break;
+			case TokenType.DOUBLE_QUOTE:
+				node.children.push(this.parseString());
+				break;
+			case TokenType.INDEX_LBRACKET:
+				this.consume(node); // Consume `[`
+				this.consumeWhitespace(node);
+				if (
+					this.currentToken.type !== TokenType.IDENTIFIER ||
+					!looksLikeNumber(this.currentToken)
+				) {
+					throw new BconfError(
+						"expected number for array index",
+						this.currentToken,
+						ErrorCode.INVALID_ARRAY_INDEX,
+						getTokenDetails(this.currentToken, TokenType.IDENTIFIER),
+					);
+				}
+
+				this.consume(node);
+				this.consumeWhitespace(node);
+				if (this.currentToken.type !== TokenType.RBRACKET) {
+					throw new BconfError(
+						"expected ']'",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken, TokenType.RBRACKET),
+					);
+				}
+
+				this.consume(node); // Consume `]`
+				break;
+			default:
+				throw new BconfError(
+					"expected key",
+					this.currentToken,
+					ErrorCode.INVALID_KEY,
+					getTokenDetails(this.currentToken),
+				);
+		}
+	}
+
+	// ----------------------
+	// VALUES
+	// ----------------------
+	/**
+	 * @returns {CstValue}
+	 */
+	parseValue() {
+		switch (this.currentToken.type) {
+			case TokenType.IDENTIFIER:
+				if (
+					!this.currentToken.literal?.includes("+") &&
+					this.peekPastWhitespace(1).type === TokenType.LPAREN
+				) {
+					return this.parseTag();
+				}
+
+				if (looksLikeNumber(this.currentToken)) {
+					return this.parseNumber();
+				}
+
+				// Identifiers are only valid as values in some contexts (eg. tags and statements),
+				// but the parser is the one to decide that
+				return this.parseKey();
+			case TokenType.VARIABLE:
+				return this.parseKey();
+			case TokenType.BOOLEAN:
+			case TokenType.NULL: {
+				/** @type {CstLiteral} */
+				const node = {
+					type: this.currentToken.type === TokenType.NULL ? "NULL" : "BOOLEAN",
+					children: [],
+					start: this.offset,
+					end: this.offset,
+				};
+				this.consume(node);
+				return this.finishNode(node);
+			}
+			case TokenType.LBRACE:
+				return this.parseObject();
+			case TokenType.LBRACKET:
+				return this.parseArray();
+			case TokenType.DOUBLE_QUOTE:
+			case TokenType.TRIPLE_QUOTE:
+				return this.parseString();
+			default:
+				throw new BconfError(
+					`unexpected value '${this.currentToken.literal}'`,
+					this.currentToken,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(this.currentToken),
+				);
+		}
+	}
+
+	/**
+	 * @returns {CstNumber}
+	 */
+	parseNumber() {
+		/** @type {CstNumber} */
+		const node = { type: "NUMBER", children: [], start: this.offset, end: this.offset };
+		this.consume(node);
+
+		if (this.peekPastWhitespace().type === TokenType.DOT) {
+			this.consumeWhitespace(node);
+			this.consume(node); // Consume `.`
+			this.consumeWhitespace(node);
+			if (this.currentToken.type !== TokenType.IDENTIFIER) {
+				throw new BconfError(
+					"unterminated float",
+					this.currentToken,
+					ErrorCode.INVALID_NUMBER,
+					getTokenDetails(this.currentToken, TokenType.IDENTIFIER),
+				);
+			}
+
+			this.consume(node);
+		}
+
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @returns {CstTag}
+	 */
+	parseTag() {
+		/** @type {CstTag} */
+		const node = {
+			type: "TAG",
+			children: [],
+			start: this.offset,
+			end: this.offset,
+			name: this.currentToken,
+			args: [],
+		};
+		this.consume(node);
+		this.consumeWhitespace(node);
+		this.consume(node); // Consume `(`
+
+		let next = this.peekPastWhitespace();
+		while (
+			next.type !== TokenType.RPAREN &&
+			next.type !== TokenType.NEWLINE &&
+			next.type !== TokenType.EOF &&
+			next.type !== TokenType.COMMA
+		) {
+			this.consumeWhitespace(node);
+			const value = this.parseValue();
+			node.args.push(value);
+			node.children.push(value);
+			next = this.peekPastWhitespace();
+		}
+
+		this.consumeWhitespace(node);
+		if (this.currentToken.type !== TokenType.RPAREN) {
+			throw new BconfError(
+				`expected ')', got '${this.currentToken.type}'`,
+				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RPAREN),
+			);
+		}
+
+		this.consume(node); // Consume `)`
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @returns {CstString}
+	 */
+	parseString() {
+		/** @type {CstString} */
+		const node = { type: "STRING", children: [], start: this.offset, end: this.offset };
+		const boundary = this.currentToken.type;
+		this.consume(node); // Consume `"` or `"""`
+
+		while (this.currentToken.type !== boundary) {
+			switch (this.currentToken.type) {
+				case TokenType.STRING_CONTENT:
+				case TokenType.ESCAPE_SEQUENCE:
+					this.consume(node);
+					break;
+				case TokenType.EMBEDDED_VALUE_START:
+					node.children.push(this.parseEmbeddedValue());
+					break;
+				default:
+					throw new BconfError(
+						"unexpected value in string",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken),
+					);
+			}
+		}
+
+		this.consume(node); // Consume `"` or `"""`
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @returns {CstEmbeddedValue}
+	 */
+	parseEmbeddedValue() {
+		const start = this.offset;
+		/** @type {Pick<CstNode, "children">} */
+		const opening = { children: [] };
+		this.consume(opening); // Consume `${`
+		this.consumeWhitespace(opening);
+		const value = this.parseValue();
+
+		/** @type {CstEmbeddedValue} */
+		const node = {
+			type: "EMBEDDED_VALUE",
+			children: [...opening.children, value],
+			start,
+			end: start,
+			value,
+		};
+
+		this.consumeWhitespace(node);
+		if (this.currentToken.type !== TokenType.RBRACE) {
+			throw new BconfError(
+				`expected '}', got '${this.currentToken.literal}'`,
+				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACE),
+			);
+		}
+
+		this.consume(node); // Consume `}`
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @returns {CstObject}
+	 */
+	parseObject() {
+		/** @type {CstObject} */
+		const node = {
+			type: "OBJECT",
+			children: [],
+			start: this.offset,
+			end: this.offset,
+			body: [],
+		};
+		this.consume(node); // Consume `{`
+
+		this.parseBlock(node, TokenType.RBRACE);
+		if (this.currentToken.type !== TokenType.RBRACE) {
+			throw new BconfError(
+				`expected '}', got ${this.currentToken.literal}`,
+				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACE),
+			);
+		}
+
+		this.consume(node); // Consume `}`
+		return this.finishNode(node);
+	}
+
+	/**
+	 * @returns {CstArray}
+	 */
+	parseArray() {
+		/** @type {CstArray} */
+		const node = {
+			type: "ARRAY",
+			children: [],
+			start: this.offset,
+			end: this.offset,
+			items: [],
+		};
+		this.consume(node); // Consume `[`
+
+		// Commas can only directly follow a value (eg. `[1, 2,]`)
+		let canHaveComma = false;
+		while (
+			this.currentToken.type !== TokenType.RBRACKET &&
+			this.currentToken.type !== TokenType.EOF
+		) {
+			switch (this.currentToken.type) {
+				case TokenType.WHITESPACE:
+					this.consume(node);
+					break;
+				case TokenType.COMMENT:
+				case TokenType.NEWLINE:
+					canHaveComma = false;
+					this.consume(node);
+					break;
+				case TokenType.COMMA:
+					if (!canHaveComma) {
+						throw new BconfError(
+							"unexpected value ','",
+							this.currentToken,
+							ErrorCode.UNEXPECTED_TOKEN,
+							getTokenDetails(this.currentToken),
+						);
+					}
+
+					canHaveComma = false;
+					this.consume(node);
+					break;
+				default: {
+					const value = this.parseValue();
+					node.items.push(value);
+					node.children.push(value);
+					canHaveComma = true;
+				}
+			}
+		}
+
+		if (this.currentToken.type !== TokenType.RBRACKET) {
+			throw new BconfError(
+				`expected ']', got ${this.currentToken.literal}`,
+				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACKET),
+			);
+		}
+
+		this.consume(node); // Consume `]`
+		return this.finishNode(node);
+	}
+}
@@ -0,0 +1,222 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parseCST, printCST } from "./cst.js";
+import { BconfError } from "./error.js";
+import { Token } from "./lexer.js";
+
+/**
+ * Helper to assert that printing the tree gives back the exact input
+ * @param {string} input
+ */
+function assertLossless(input) {
+	assert.strictEqual(printCST(parseCST(input)), input);
+}
+
+/**
+ * Helper to assert that parsing throws an error
+ * @param {string} input
+ * @param {string=} messageMatch
+ */
+function assertThrows(input, messageMatch) {
+	assert.throws(
+		() => parseCST(input),
+		(err) => {
+			assert.ok(err instanceof BconfError);
+			if (messageMatch) {
+				assert.ok(
+					err.message.includes(messageMatch),
+					`Expected error message to include "${messageMatch}", got "${err.message}"`,
+				);
+			}
+			return true;
+		},
+	);
+}
+
+describe("Lossless Printing", () => {
+	it("should print an empty document", () => {
+		assertLossless("");
+	});
+
+	it("should print comments and whitespace", () => {
+		assertLossless("// header comment\n\n  foo   =   1 // trailing\n\t\n// footer");
+	});
+
+	it("should print CRLF line endings", () => {
+		assertLossless("foo = 1\r\nbar = 2\r\n");
+	});
+
+	it("should print every kind of value", () => {
+		assertLossless(
+			[
+				"bool = true",
+				"nothing = null",
+				"int = -1_000",
+				"float = 3.14e-2",
+				'str = "hello\\n ${$name} \\u0041"',
+				'multi = """line 1\n\tline 2"""',
+				"arr = [ 1, [2], { a = 1 }, ]",
+				"obj = { a = 1, b.c = 2, }",
+				"tag = custom(foo.bar[0])",
+				"ref = $var.key[1]",
+				"appended << 1",
+				"shorthand { nested = true }",
+				"flag",
+			].join("\n"),
+		);
+	});
+
+	it("should print statements", () => {
+		assertLossless(
+			'import { $foo, $bar as $baz } from "file.bconf"\nextends "base.bconf" // base',
+		);
+	});
+
+	it("should print nested blocks with comments", () => {
+		assertLossless(
+			'server {\n\t// The host\n\thost = "localhost" // trailing\n\n\tports = [\n\t\t80, // http\n\t\t443,\n\t]\n}\n',
+		);
+	});
+
+	it("should print whitespace in unusual places", () => {
+		assertLossless('foo . bar = 1\narr[ 0 ] = 2\nstr = "${ $foo.bar }"\ntag = custom ( 1 2 )');
+	});
+});
+
+describe("Tree Structure", () => {
+	it("should collect entries in the document body", () => {
+		const cst = parseCST("// comment\nfoo = 1\nbar << 2\nbaz { }\nqux\nstmt a b");
+		assert.strictEqual(cst.type, "DOCUMENT");
+		assert.deepStrictEqual(
+			cst.body.map((node) => node.type),
+			["ENTRY", "ENTRY", "ENTRY", "ENTRY", "STATEMENT"],
+		);
+		assert.deepStrictEqual(
+			cst.body.map((node) => (node.type === "ENTRY" ? node.operation : "statement")),
+			["assign", "append", "object-shorthand", "true-shorthand", "statement"],
+		);
+	});
+
+	it("should track offsets for nodes", () => {
+		const input = "// comment\nfoo = { bar = 1 }";
+		const cst = parseCST(input);
+		const [entry] = cst.body;
+		assert.strictEqual(input.slice(entry.start, entry.end), "foo = { bar = 1 }");
+		assert.ok(entry.type === "ENTRY" && entry.value);
+		assert.strictEqual(input.slice(entry.value.start, entry.value.end), "{ bar = 1 }");
+		assert.strictEqual(input.slice(entry.key.start, entry.key.end), "foo");
+	});
+
+	it("should keep the operator token", () => {
+		const [entry] = parseCST("foo << 1").body;
+		assert.ok(entry.type === "ENTRY");
+		assert.ok(entry.operator instanceof Token);
+		assert.strictEqual(entry.operator.literal, "<<");
+	});
+
+	it("should not include trailing trivia in entries", () => {
+		const input = "foo = 1   // trailing\n";
+		const [entry] = parseCST(input).body;
+		assert.strictEqual(printCST(entry), "foo = 1");
+	});
+
+	it("should parse object bodies", () => {
+		const [entry] = parseCST("foo = { a = 1, b = 2 }").body;
+		assert.ok(entry.type === "ENTRY" && entry.value?.type === "OBJECT");
+		assert.deepStrictEqual(
+			entry.value.body.map((node) => printCST(node)),
+			["a = 1", "b = 2"],
+		);
+	});
+
+	it("should parse array items", () => {
+		const [entry] = parseCST('foo = [1, "two", [3], { a = 4 }, bar(5)]').body;
+		assert.ok(entry.type === "ENTRY" && entry.value?.type === "ARRAY");
+		assert.deepStrictEqual(
+			entry.value.items.map((node) => node.type),
+			["NUMBER", "STRING", "ARRAY", "OBJECT", "TAG"],
+		);
+	});
+
+	it("should parse tags", () => {
+		const [entry] = parseCST("foo = custom(1 bar.baz)").body;
+		assert.ok(entry.type === "ENTRY" && entry.value?.type === "TAG");
+		assert.strictEqual(entry.value.name.literal, "custom");
+		assert.deepStrictEqual(
+			entry.value.args.map((node) => node.type),
+			["NUMBER", "KEY"],
+		);
+	});
+
+	it("should parse statement arguments", () => {
+		const [statement] = parseCST('extends "base.bconf" 123 true').body;
+		assert.ok(statement.type === "STATEMENT");
+		assert.strictEqual(printCST(statement.key), "extends");
+		assert.deepStrictEqual(
+			statement.args.map((node) => node.type),
+			["STRING", "NUMBER", "BOOLEAN"],
+		);
+	});
+
+	it("should parse embedded values in strings", () => {
+		const [entry] = parseCST('foo = "a ${$b} c"').body;
+		assert.ok(entry.type === "ENTRY" && entry.value?.type === "STRING");
+		const embedded = entry.value.children.find(
+			(child) => !(child instanceof Token) && child.type === "EMBEDDED_VALUE",
+		);
+		assert.ok(embedded && !(embedded instanceof Token) && embedded.type === "EMBEDDED_VALUE");
+		assert.strictEqual(printCST(embedded.value), "$b");
+	});
+
+	it("should parse quoted key parts as strings", () => {
+		const [entry] = parseCST('foo."bar baz".qux[0] = 1').body;
+		assert.deepStrictEqual(
+			entry.key.children.map((child) => child.type),
+			[
+				"IDENTIFIER",
+				"DOT",
+				"STRING",
+				"DOT",
+				"IDENTIFIER",
+				"INDEX_LBRACKET",
+				"IDENTIFIER",
+				"RBRACKET",
+			],
+		);
+	});
+});
+
+describe("Invalid Syntax", () => {
+	it("should reject unterminated objects", () => {
+		assertThrows("foo = { a = 1", "expected '}'");
+	});
+
+	it("should reject unterminated arrays", () => {
+		assertThrows("foo = [1, 2", "expected ']'");
+	});
+
+	it("should reject unterminated strings", () => {
+		assertThrows('foo = "bar', "unterminated string starting at 1:7");
+	});
+
+	it("should reject commas at the root", () => {
+		assertThrows("foo = 1, bar = 2", "commas are only allowed in objects and arrays");
+	});
+
+	it("should reject consecutive commas", () => {
+		assertThrows("foo = [1,, 2]");
+		assertThrows("foo = { a = 1,, b = 2 }");
+	});
+
+	it("should reject invalid operators", () => {
+		assertThrows("foo ) 1", "unexpected operator");
+	});
+
+	it("should reject variables after the first key part", () => {
+		assertThrows("foo.$bar = 1", "unexpected variable key");
+	});
+
+	it("should reject missing values", () => {
+		assertThrows("foo = ", "unexpected value");
+	});
+});
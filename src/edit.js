@@ -0,0 +1,372 @@
+/**
+ * @import { CstNode, CstEntry, CstStatement, CstValue, CstObject, CstDocument, Key } from './index.js'
+ */
+
+import { getKeyParts, parseCST, parseKeyPath } from "./cst.js";
+import { Token, TokenType } from "./lexer.js";
+import { BUILT_IN_STATEMENT_RESOLVERS } from "./resolvers.js";
+import { serializeKeyPath, stringifyValue } from "./stringify.js";
+import { KeyPath } from "./values.js";
+
+/**
+ * @typedef {{ start: number, end: number, text: string }} Replacement
+ *
+ * @typedef {{
+ *   type: "entry",
+ *   node: CstEntry,
+ *   match: "exact" | "nested",
+ * } | {
+ *   type: "statement",
+ *   node: CstStatement,
+ *   match: "exact" | "nested",
+ * } | {
+ *   type: "item",
+ *   node: CstValue,
+ *   match: "exact" | "nested",
+ * }} EditTarget
+ *
+ * @typedef {{ node: CstDocument | CstObject, path: Array<Key> }} EditBlock
+ */
+
+/**
+ * Set or delete the value at a key path in a bconf file, keeping comments and formatting
+ * intact. Only the value of the assignment that wins is replaced, and if the key does not
+ * exist, it is added to the deepest object in the file that contains it
+ * @param {string} input Input bconf file
+ * @param {string | KeyPath} keyPath The key path to edit (eg. `image.tag`, `servers[0].host`)
+ * @param {unknown} value The new value, or `undefined` to delete the key
+ * @returns {string}
+ */
+export function edit(input, keyPath, value) {
+	const path = keyPath instanceof KeyPath ? keyPath : parseKeyPath(keyPath);
+	if (!path.parts.length || path.parts[0].type === "index") {
+		throw new TypeError(`invalid key path '${path.serialize()}'`);
+	}
+
+	const cst = parseCST(input);
+
+	/** @type {Array<EditTarget>} */
+	const targets = [];
+	/** @type {Array<EditBlock>} */
+	const blocks = [{ node: cst, path: [] }];
+	findTargets(cst.body, [], path.parts, targets, blocks);
+
+	if (value === undefined) {
+		return applyReplacements(
+			input,
+			targets.map((target) => removeNode(input, target.node)),
+		);
+	}
+
+	// Appending to an array (ie. `foo << 1` or a statement) does not set the key itself
+	const exact = targets.filter(
+		/** @returns {target is Exclude<EditTarget, { type: "statement" }>} */
+		(target) =>
+			target.match === "exact" &&
+			(target.type === "item" ||
+				(target.type === "entry" && target.node.operation !== "append")),
+	);
+	const last = exact[exact.length - 1];
+	if (last) {
+		return applyReplacements(input, [replaceValue(input, last, value)]);
+	}
+
+	return applyReplacements(input, [insertEntry(input, blocks, path.parts, value)]);
+}
+
+/**
+ * Walk the entries of a block, collecting the nodes for the key path and
+ * the objects that the key could be added to
+ * @param {Array<CstEntry | CstStatement>} body
+ * @param {Array<Key>} prefix The key path of the block
+ * @param {Array<Key>} path The key path being edited
+ * @param {Array<EditTarget>} targets
+ * @param {Array<EditBlock>} blocks
+ */
+function findTargets(body, prefix, path, targets, blocks) {
+	for (const node of body) {
+		const parts = getKeyParts(node.key);
+		if (!parts) {
+			continue;
+		}
+
+		// Statements that aren't built in add their arguments to an array at their key
+		if (node.type === "STATEMENT") {
+			const fullPath = [...prefix, ...parts];
+			const isBuiltIn =
+				parts[0].type === "alphanumeric" && BUILT_IN_STATEMENT_RESOLVERS.has(parts[0].key);
+			if (!isBuiltIn && startsWith(fullPath, path)) {
+				const match = fullPath.length === path.length ? "exact" : "nested";
+				targets.push({ type: "statement", node, match });
+			}
+
+			continue;
+		}
+
+		const fullPath = [...prefix, ...parts];
+		if (startsWith(path, fullPath)) {
+			if (fullPath.length === path.length) {
+				targets.push({ type: "entry", node, match: "exact" });
+			} else if (node.value && node.operation !== "append") {
+				findValueTargets(node.value, fullPath, path, targets, blocks);
+			}
+		} else if (startsWith(fullPath, path)) {
+			targets.push({ type: "entry", node, match: "nested" });
+		}
+	}
+}
+
+/**
+ * @param {CstValue} node
+ * @param {Array<Key>} prefix The key path of the value
+ * @param {Array<Key>} path The key path being edited
+ * @param {Array<EditTarget>} targets
+ * @param {Array<EditBlock>} blocks
+ */
+function findValueTargets(node, prefix, path, targets, blocks) {
+	if (node.type === "OBJECT") {
+		blocks.push({ node, path: prefix });
+		findTargets(node.body, prefix, path, targets, blocks);
+		return;
+	}
+
+	if (node.type !== "ARRAY") {
+		return;
+	}
+
+	const part = path[prefix.length];
+	if (part.type !== "index") {
+		return;
+	}
+
+	const item = node.items[part.index];
+	if (!item) {
+		return;
+	}
+
+	const itemPath = [...prefix, part];
+	if (itemPath.length === path.length) {
+		targets.push({ type: "item", node: item, match: "exact" });
+	} else {
+		findValueTargets(item, itemPath, path, targets, blocks);
+	}
+}
+
+/**
+ * @param {string} input
+ * @param {Exclude<EditTarget, { type: "statement" }>} target
+ * @param {unknown} value
+ * @returns {Replacement}
+ */
+function replaceValue(input, target, value) {
+	const prefix = getIndentation(input, target.node.start);
+	const text = stringifyValue(value, { indent: detectIndent(input) }, prefix);
+	if (target.type === "item") {
+		return { start: target.node.start, end: target.node.end, text };
+	}
+
+	const entry = target.node;
+	if (entry.operation === "assign") {
+		const node = /** @type {CstValue} */ (entry.value);
+		return { start: node.start, end: node.end, text };
+	}
+
+	// The object and `true` shorthands don't have an operator to keep, so
+	// everything after the key is replaced
+	return { start: entry.key.end, end: entry.end, text: ` = ${text}` };
+}
+
+/**
+ * @param {string} input
+ * @param {Array<EditBlock>} blocks
+ * @param {Array<Key>} path
+ * @param {unknown} value
+ * @returns {Replacement}
+ */
+function insertEntry(input, blocks, path, value) {
+	// Using the deepest object that contains the key. Keys can't start with an
+	// array index, so objects that would need one are skipped
+	let block = blocks[0];
+	for (const candidate of blocks) {
+		if (
+			candidate.path.length >= block.path.length &&
+			path[candidate.path.length]?.type !== "index"
+		) {
+			block = candidate;
+		}
+	}
+
+	const key = serializeKeyPath(new KeyPath(path.slice(block.path.length)));
+	const eol = input.includes("\r\n") ? "\r\n" : "\n";
+	const indent = detectIndent(input);
+
+	if (block.node.type === "DOCUMENT") {
+		const text = `${key} = ${stringifyValue(value, { indent })}${eol}`;
+		if (input && !input.endsWith("\n")) {
+			return { start: input.length, end: input.length, text: `${eol}${text}` };
+		}
+
+		return { start: input.length, end: input.length, text };
+	}
+
+	const object = block.node;
+	const isInline = !object.children.some(
+		(child) => child instanceof Token && child.type === TokenType.NEWLINE,
+	);
+	if (isInline) {
+		const line = `${key} = ${stringifyValue(value, { indent }, getIndentation(input, object.start))}`;
+		const lastEntry = object.body[object.body.length - 1];
+		if (!lastEntry) {
+			return { start: object.start, end: object.end, text: `{ ${line} }` };
+		}
+
+		return { start: lastEntry.end, end: lastEntry.end, text: `, ${line}` };
+	}
+
+	// Adding it after whatever is last in the object (ie. an entry, comma or comment),
+	// using the same indentation as the other entries
+	const closingIndent = getIndentation(input, object.end - 1);
+	const lastEntry = object.body[object.body.length - 1];
+	const prefix = lastEntry ? getIndentation(input, lastEntry.start) : closingIndent + indent;
+
+	let insertAt = object.start;
+	for (const child of object.children.slice(0, -1)) {
+		if (
+			!(child instanceof Token) ||
+			(child.type !== TokenType.WHITESPACE && child.type !== TokenType.NEWLINE)
+		) {
+			insertAt = child.end;
+		}
+	}
+
+	const text = `${eol}${prefix}${key} = ${stringifyValue(value, { indent }, prefix)}`;
+	return { start: insertAt, end: insertAt, text };
+}
+
+/**
+ * Remove an entry or array item. If it is the only thing on its line(s), the lines
+ * are removed too, otherwise the comma separating it from its siblings is removed
+ * @param {string} input
+ * @param {CstNode} node
+ * @returns {Replacement}
+ */
+function removeNode(input, node) {
+	const lineStart = input.lastIndexOf("\n", node.start - 1) + 1;
+	const isFirstOnLine = !input.slice(lineStart, node.start).trim();
+
+	// Skipping past anything that can follow it on the same line (ie. whitespace, a comma and a comment)
+	let end = skipWhitespace(input, node.end);
+	const hasComma = input[end] === ",";
+	if (hasComma) {
+		end = skipWhitespace(input, end + 1);
+	}
+
+	const afterComma = end;
+	if (input.startsWith("//", end)) {
+		end = input.indexOf("\n", end);
+		end = end === -1 ? input.length : end;
+		if (input[end - 1] === "\r") {
+			end--;
+		}
+	}
+
+	const lineEnd = input.startsWith("\r\n", end) ? end + 2 : input[end] === "\n" ? end + 1 : end;
+	if (isFirstOnLine && (lineEnd > end || end === input.length)) {
+		return { start: lineStart, end: lineEnd, text: "" };
+	}
+
+	if (hasComma) {
+		return { start: node.start, end: afterComma, text: "" };
+	}
+
+	// Removing the comma before it instead, so the remaining siblings are still separated
+	let start = node.start;
+	while (start > 0 && (input[start - 1] === " " || input[start - 1] === "\t")) {
+		start--;
+	}
+
+	if (input[start - 1] === ",") {
+		return { start: start - 1, end: node.end, text: "" };
+	}
+
+	return { start: node.start, end: node.end, text: "" };
+}
+
+/**
+ * @param {string} input
+ * @param {Array<Replacement>} replacements Replacements that do not overlap
+ * @returns {string}
+ */
+function applyReplacements(input, replacements) {
+	let result = input;
+	for (const { start, end, text } of replacements.sort((a, b) => b.start - a.start)) {
+		result = result.slice(0, start) + text + result.slice(end);
+	}
+
+	return result;
+}
+
+/**
+ * @param {string} input
+ * @param {number} offset
+ * @returns {number} The offset of the next character that isn't a space or tab
+ */
+function skipWhitespace(input, offset) {
+	while (input[offset] === " " || input[offset] === "\t") {
+		offset++;
+	}
+
+	return offset;
+}
+
+/**
+ * @param {string} input
+ * @param {number} offset
+ * @returns {string} The indentation of the line that contains the offset
+ */
+function getIndentation(input, offset) {
+	const lineStart = input.lastIndexOf("\n", offset - 1) + 1;
+	return input.slice(lineStart, skipWhitespace(input, lineStart));
+}
+
+/**
+ * Guess what is used for a single level of indentation in the file
+ * @param {string} input
+ * @returns {string}
+ */
+function detectIndent(input) {
+	/** @type {string | null} */
+	let smallest = null;
+	for (const match of input.matchAll(/^([ \t]+)\S/gm)) {
+		if (match[1].startsWith("\t")) {
+			return "\t";
+		}
+
+		if (smallest === null || match[1].length < smallest.length) {
+			smallest = match[1];
+		}
+	}
+
+	return smallest ?? "\t";
+}
+
+/**
+ * @param {Array<Key>} path
+ * @param {Array<Key>} prefix
+ * @returns {boolean}
+ */
+function startsWith(path, prefix) {
+	if (prefix.length > path.length) {
+		return false;
+	}
+
+	return prefix.every((part, i) => {
+		const other = path[i];
+		if (part.type === "index" || other.type === "index") {
+			return part.type === "index" && other.type === "index" && part.index === other.index;
+		}
+
+		// Variables can't be quoted, so `"$foo"` is a regular key and not the variable `$foo`
+		return (part.type === "variable") === (other.type === "variable") && part.key === other.key;
+	});
+}
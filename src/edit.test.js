@@ -0,0 +1,198 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { edit } from "./edit.js";
+import { parse } from "./parse.js";
+import { KeyPath } from "./values.js";
+
+/**
+ * Helper to assert the output of an edit, and that it still parses to the expected data
+ * @param {string} input
+ * @param {string | KeyPath} keyPath
+ * @param {unknown} value
+ * @param {string} expected
+ * @param {Record<string, unknown>=} data
+ */
+async function assertEdit(input, keyPath, value, expected, data) {
+	const result = edit(input, keyPath, value);
+	assert.strictEqual(result, expected);
+
+	if (data) {
+		const { data: parsed } = await parse(result);
+		assert.deepStrictEqual(parsed, data);
+	}
+}
+
+describe("Setting Values", () => {
+	it("should replace a value and keep comments", async () => {
+		await assertEdit(
+			"// header\na = 1 // trailing\nb = 2\n",
+			"a",
+			5,
+			"// header\na = 5 // trailing\nb = 2\n",
+			{ a: 5, b: 2 },
+		);
+	});
+
+	it("should replace values at dotted, indexed and quoted paths", async () => {
+		await assertEdit(
+			'image.tag = "1.0"\nservers = [{ host = "a" }]\n"with space" = 1\n',
+			"image.tag",
+			"2.0",
+			'image.tag = "2.0"\nservers = [{ host = "a" }]\n"with space" = 1\n',
+		);
+		await assertEdit(
+			'servers = [{ host = "a" }]\n',
+			"servers[0].host",
+			"b",
+			'servers = [{ host = "b" }]\n',
+			{ servers: [{ host: "b" }] },
+		);
+		await assertEdit('"with space" = 1\n', '"with space"', 2, '"with space" = 2\n');
+	});
+
+	it("should replace values nested in objects", async () => {
+		await assertEdit(
+			"server {\n\ttls {\n\t\tenabled = false\n\t}\n}\n",
+			"server.tls.enabled",
+			true,
+			"server {\n\ttls {\n\t\tenabled = true\n\t}\n}\n",
+		);
+	});
+
+	it("should replace the last assignment of a key", async () => {
+		await assertEdit("a = 1\na = 2\n", "a", 3, "a = 1\na = 3\n", { a: 3 });
+	});
+
+	it("should replace the object and true shorthands", async () => {
+		await assertEdit("flag\nnext = 1\n", "flag", false, "flag = false\nnext = 1\n");
+		await assertEdit("obj { a = 1 }\n", "obj", { b: 2 }, "obj = {\n\tb = 2\n}\n");
+	});
+
+	it("should replace array items", async () => {
+		await assertEdit("arr = [1, 2, 3]\n", "arr[1]", "two", 'arr = [1, "two", 3]\n');
+	});
+
+	it("should indent new values like the line they are on", async () => {
+		await assertEdit(
+			"obj {\n  nested = 1\n}\n",
+			"obj.nested",
+			{ a: [{}] },
+			"obj {\n  nested = {\n    a = [\n      {},\n    ]\n  }\n}\n",
+		);
+	});
+
+	it("should accept key paths", async () => {
+		const path = new KeyPath([
+			{ type: "alphanumeric", key: "a" },
+			{ type: "alphanumeric", key: "b" },
+		]);
+		await assertEdit("a.b = 1\n", path, 2, "a.b = 2\n");
+	});
+
+	it("should reject invalid key paths", () => {
+		assert.throws(() => edit("a = 1\n", "[0]", 1));
+		assert.throws(() => edit("a = 1\n", "a = 1", 1));
+		assert.throws(
+			() => edit("a = 1\n", new KeyPath([{ type: "index", index: 0 }]), 1),
+			TypeError,
+		);
+		assert.throws(() => edit("a = 1\n", new KeyPath([]), 1), TypeError);
+	});
+});
+
+describe("Adding Keys", () => {
+	it("should append missing keys to the document", async () => {
+		await assertEdit("a = 1\n", "b.c", "x", 'a = 1\nb.c = "x"\n', { a: 1, b: { c: "x" } });
+		await assertEdit("a = 1", "b", 2, "a = 1\nb = 2\n");
+		await assertEdit("", "a", 1, "a = 1\n");
+	});
+
+	it("should add keys to the deepest object containing them", async () => {
+		await assertEdit(
+			"obj {\n\tx = 1 // comment\n}\n",
+			"obj.y",
+			[1, 2],
+			"obj {\n\tx = 1 // comment\n\ty = [1, 2]\n}\n",
+			{ obj: { x: 1, y: [1, 2] } },
+		);
+		await assertEdit(
+			"obj {\n\tnested {\n\t}\n}\n",
+			"obj.nested.a.b",
+			true,
+			"obj {\n\tnested {\n\t\ta.b = true\n\t}\n}\n",
+		);
+	});
+
+	it("should add keys to inline objects", async () => {
+		await assertEdit("obj { x = 1 }\n", "obj.y", 2, "obj { x = 1, y = 2 }\n");
+		await assertEdit("obj {}\n", "obj.y", 2, "obj { y = 2 }\n");
+	});
+
+	it("should add keys to objects in arrays", async () => {
+		await assertEdit("arr = [{ a = 1 }]\n", "arr[0].b", 2, "arr = [{ a = 1, b = 2 }]\n", {
+			arr: [{ a: 1, b: 2 }],
+		});
+	});
+
+	it("should keep CRLF line endings", async () => {
+		await assertEdit(
+			"a = 1\r\nobj {\r\n\tb = 2\r\n}\r\n",
+			"c",
+			3,
+			"a = 1\r\nobj {\r\n\tb = 2\r\n}\r\nc = 3\r\n",
+		);
+		await assertEdit(
+			"obj {\r\n\tb = 2\r\n}\r\n",
+			"obj.c",
+			3,
+			"obj {\r\n\tb = 2\r\n\tc = 3\r\n}\r\n",
+		);
+	});
+});
+
+describe("Deleting Keys", () => {
+	it("should remove the lines of deleted keys", async () => {
+		await assertEdit("a = 1 // comment\nb = 2\n", "a", undefined, "b = 2\n", { b: 2 });
+		await assertEdit("a = {\n\tb = 1\n}\nc = 2\n", "a", undefined, "c = 2\n");
+	});
+
+	it("should remove every assignment of a key", async () => {
+		await assertEdit("a = 1\nb = 2\na = 3\n", "a", undefined, "b = 2\n");
+	});
+
+	it("should remove nested keys of a deleted key", async () => {
+		await assertEdit("obj.a = 1\nobj { b = 2 }\nother = 3\n", "obj", undefined, "other = 3\n");
+	});
+
+	it("should remove statements that set a deleted key", async () => {
+		await assertEdit(
+			'allow "a" "b"\nobj {\n\tallow "c"\n}\nallow = 1\nother = 2\n',
+			"allow",
+			undefined,
+			'obj {\n\tallow "c"\n}\nother = 2\n',
+			{ obj: { allow: [["c"]] }, other: 2 },
+		);
+		await assertEdit('obj {\n\tallow "c"\n}\n', "obj", undefined, "");
+		await assertEdit('extends "base.bconf"\n', "extends", undefined, 'extends "base.bconf"\n');
+	});
+
+	it("should remove entries from inline objects", async () => {
+		await assertEdit("obj { x = 1, y = 2 }\n", "obj.y", undefined, "obj { x = 1 }\n");
+		await assertEdit("obj { x = 1, y = 2 }\n", "obj.x", undefined, "obj { y = 2 }\n");
+	});
+
+	it("should remove array items", async () => {
+		await assertEdit("arr = [1, 2, 3]\n", "arr[1]", undefined, "arr = [1, 3]\n", {
+			arr: [1, 3],
+		});
+		await assertEdit("arr = [\n\t1,\n\t2,\n]\n", "arr[1]", undefined, "arr = [\n\t1,\n]\n");
+	});
+
+	it("should keep CRLF line endings", async () => {
+		await assertEdit("a = 1\r\nb = 2\r\n", "a", undefined, "b = 2\r\n");
+	});
+
+	it("should leave the input as is when the key does not exist", async () => {
+		await assertEdit("a = 1\n", "b", undefined, "a = 1\n");
+	});
+});
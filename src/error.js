@@ -1,15 +1,257 @@
-/** @import { Token } from './lexer.js' */
+/**
+ * @import { Token } from './lexer.js'
+ * @import { ErrorFormatOptions, ErrorDetails, IncludeLocation, SourceLocation } from './index.js'
+ */
+
+const { toFilePath } = await (typeof window !== "undefined"
+	? import("./browser/paths.js")
+	: import("./node/paths.js"));
+
+export const ErrorCode = {
+	// Syntax
+	UNEXPECTED_TOKEN: "UNEXPECTED_TOKEN", // A token that isn't allowed where it is
+	INVALID_KEY: "INVALID_KEY",
+	INVALID_ARRAY_INDEX: "INVALID_ARRAY_INDEX",
+	INVALID_NUMBER: "INVALID_NUMBER",
+	INVALID_ESCAPE: "INVALID_ESCAPE",
+	INVALID_EMBEDDED_VALUE: "INVALID_EMBEDDED_VALUE", // ${...} in strings
+	INVALID_STATEMENT: "INVALID_STATEMENT",
+	UNTERMINATED_STRING: "UNTERMINATED_STRING",
+	ILLEGAL_CHARACTER: "ILLEGAL_CHARACTER", // A character the lexer could not read (eg. a stray `/`)
+
+	// Values
+	DUPLICATE_KEY: "DUPLICATE_KEY",
+	UNRESOLVED_VARIABLE: "UNRESOLVED_VARIABLE",
+	INVALID_APPEND: "INVALID_APPEND", // `<<` onto a value that isn't an array, with `strict`
+	ARRAY_GAP: "ARRAY_GAP", // An index past the end of an array, with `strict`
+
+	// Resolvers
+	RESOLVER_ERROR: "RESOLVER_ERROR", // A resolver threw an error without a code
+	UNRESOLVED_TAG: "UNRESOLVED_TAG", // A tag without a resolver, with `strict`
+	UNRESOLVED_STATEMENT: "UNRESOLVED_STATEMENT", // A statement without a resolver, with `strict`
+	INVALID_ARGUMENT: "INVALID_ARGUMENT", // A tag or statement got a value it does not accept
+	INVALID_CONVERSION: "INVALID_CONVERSION", // A value could not be converted by a tag (eg. `int()`)
+	INVALID_STATEMENT_RESULT: "INVALID_STATEMENT_RESULT",
+	UNRESOLVED_REFERENCE: "UNRESOLVED_REFERENCE", // No value at the key path for `ref()`
+	MISSING_ENV_VARIABLE: "MISSING_ENV_VARIABLE",
+	VARIABLE_NOT_EXPORTED: "VARIABLE_NOT_EXPORTED",
+	VARIABLE_ALREADY_DECLARED: "VARIABLE_ALREADY_DECLARED",
+	INVALID_ALIAS: "INVALID_ALIAS", // `$foo as $bar` in imports and exports
+	FILE_NOT_FOUND: "FILE_NOT_FOUND",
+
+	// Schemas
+	INVALID_SCHEMA: "INVALID_SCHEMA", // The schema itself is invalid (eg. an unknown type)
+	INVALID_TYPE: "INVALID_TYPE",
+	MISSING_REQUIRED_KEY: "MISSING_REQUIRED_KEY",
+	INVALID_ENUM_VALUE: "INVALID_ENUM_VALUE",
+	OUT_OF_RANGE: "OUT_OF_RANGE", // Outside of `min` or `max`
+	PATTERN_MISMATCH: "PATTERN_MISMATCH",
+	NO_MATCHING_UNION: "NO_MATCHING_UNION",
+	MULTIPLE_MATCHING_UNION: "MULTIPLE_MATCHING_UNION", // More than one schema in `oneOf` matches
+	UNEXPECTED_KEY: "UNEXPECTED_KEY", // A key not allowed by `additionalProperties`
+	INVALID_VALUE: "INVALID_VALUE", // An issue from a Standard Schema, which doesn't have codes
+};
+
+export const WarningCode = {
+	OVERRIDDEN_KEY: "OVERRIDDEN_KEY", // A key assigned more than once in the same document
+	SHADOWED_VARIABLE: "SHADOWED_VARIABLE", // A variable in an object with the same name as one outside of it
+	UNUSED_IMPORT: "UNUSED_IMPORT",
+	UNRESOLVED_STATEMENT: "UNRESOLVED_STATEMENT", // A statement without a resolver, which is collected as is
+	UNRESOLVED_TAG: "UNRESOLVED_TAG", // A tag without a resolver with a name close to one that has one
+	RESOLVER_WARNING: "RESOLVER_WARNING", // From `context.warn()` in a resolver
+	DEPRECATED_KEY: "DEPRECATED_KEY", // A key that is `deprecated` in the schema
+};
+
+/**
+ * An error that is not tied to a position in the bconf data, for errors thrown by resolvers
+ * and helpers. The parser rethrows these as a `BconfError`, keeping the code and details
+ */
+export class CodedError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} code
+	 * @param {ErrorDetails=} details
+	 */
+	constructor(message, code, details = {}) {
+		super(message);
+
+		this.name = "CodedError";
+		this.code = code;
+		this.details = details;
+	}
+}
+
+const ANSI_RESET = "\x1b[0m";
+const ANSI_BOLD = "\x1b[1m";
+const ANSI_RED = "\x1b[31m";
+const ANSI_BLUE = "\x1b[34m";
 
 export class BconfError extends Error {
+	/**
+	 * The URL of the file the error is in, if one was provided when parsing
+	 * @type {URL | undefined}
+	 */
+	file;
+
+	/**
+	 * The tag or statement resolver that failed, if the error is from one
+	 * @type {{ kind: "tag" | "statement", name: string } | undefined}
+	 */
+	resolver;
+
+	/**
+	 * Where the file the error is in was included from (ie. with `import` or `extends`),
+	 * starting with the file that included it directly
+	 * @type {Array<IncludeLocation>}
+	 */
+	includedFrom = [];
+
 	/**
 	 * @param {string} message
-	 * @param {Token} token
+	 * @param {Token | SourceLocation} token Where the error is
+	 * @param {string} code A code from `ErrorCode`, which unlike the message does not change
+	 * @param {ErrorDetails=} details
+	 * @param {ErrorOptions=} options
 	 */
-	constructor(message, token) {
-		super(`${message} at line ${token.row} column ${token.column} of the bconf data`);
+	constructor(message, token, code, details = {}, options) {
+		// Newlines are tokenized with the row after them, but the error belongs at the end of the line
+		const isNewline = "type" in token && token.type === "NEWLINE";
+		const row = isNewline ? token.row - 1 : token.row;
+		// Tokens the lexer could not read know better than the parser what is wrong with them
+		const lexerError = "error" in token ? token.error : null;
+		const reason = lexerError?.reason ?? message;
+		super(`${reason} at line ${row} column ${token.column} of the bconf data`, options);
 
 		this.name = "BconfError";
-		this.row = token.row;
+		/** The message without the position */
+		this.reason = reason;
+		this.row = row;
 		this.column = token.column;
+		this.endRow = isNewline ? row : token.endRow;
+		this.endColumn = isNewline ? token.column + 1 : token.endColumn;
+		this.code = lexerError?.code ?? code;
+		this.details = details;
+	}
+
+	/**
+	 * Record that the file the error is in was included from another file. The message is
+	 * updated to include the file and where it was included from
+	 * @param {IncludeLocation} location
+	 */
+	addIncludedFrom(location) {
+		this.includedFrom.push(location);
+
+		const file = this.file ? formatFile(this.file) : "the bconf data";
+		const trace = this.includedFrom.map(
+			(include) =>
+				`\n    included from ${formatLocation(include.file, include.row, include.column)}`,
+		);
+		this.message = `${this.reason} at line ${this.row} column ${this.column} of ${file}${trace.join("")}`;
+	}
+
+	/**
+	 * Render the error as a code frame, showing the lines around it with the
+	 * part of the source that caused it underlined
+	 * @param {string} source The bconf data that was being parsed. For errors in included
+	 * files, this is the source of that file
+	 * @param {ErrorFormatOptions=} opts Options for rendering
+	 * @returns {string}
+	 */
+	format(source, opts) {
+		const color = opts?.color ?? false;
+		const context = opts?.context ?? 2;
+		const file = opts?.file ?? this.file;
+
+		/**
+		 * @param {string} text
+		 * @param {string} style
+		 */
+		const paint = (text, style) => (color ? `${style}${text}${ANSI_RESET}` : text);
+
+		// Columns don't count carriage returns, so they are dropped to line up with them
+		const lines = source.split("\n").map((line) => line.replaceAll("\r", ""));
+		const first = Math.max(1, this.row - context);
+		// Not counting the empty line after a trailing newline, unless the error is on it
+		const count =
+			lines.at(-1) === "" && this.row < lines.length ? lines.length - 1 : lines.length;
+		const last = Math.min(count, this.row + context);
+		const gutter = " ".repeat(String(last).length);
+
+		const location = formatLocation(file, this.row, this.column);
+		const result = [
+			`${paint("error", ANSI_BOLD + ANSI_RED)}${paint(`: ${this.reason}`, ANSI_BOLD)}`,
+			`${gutter}${paint("-->", ANSI_BLUE)} ${location}`,
+			`${gutter} ${paint("|", ANSI_BLUE)}`,
+		];
+
+		for (let row = first; row <= last; row++) {
+			const line = lines[row - 1] ?? "";
+			const number = String(row).padStart(gutter.length);
+			result.push(`${paint(`${number} |`, ANSI_BLUE)} ${line}`.trimEnd());
+			if (row !== this.row) {
+				continue;
+			}
+
+			// Errors spanning multiple lines are underlined until the end of the first one
+			const end = this.endRow === this.row ? this.endColumn : line.length + 1;
+			const width = Math.max(1, end - this.column);
+
+			// Tabs are kept so the underline lines up however wide they are displayed
+			const indent = line.slice(0, this.column - 1).replace(/[^\t]/g, " ");
+			const marker = paint("^".repeat(width), ANSI_BOLD + ANSI_RED);
+			result.push(`${gutter} ${paint("|", ANSI_BLUE)} ${indent}${marker}`);
+		}
+
+		if (this.includedFrom.length) {
+			result.push(`${gutter} ${paint("|", ANSI_BLUE)}`);
+			for (const include of this.includedFrom) {
+				const location = formatLocation(include.file, include.row, include.column);
+				result.push(`${gutter} ${paint("=", ANSI_BLUE)} included from ${location}`);
+			}
+		}
+
+		return result.join("\n");
+	}
+}
+
+/**
+ * Details for an error about an unexpected token
+ * @param {Token} token
+ * @param {string=} expected The type of token that was expected instead
+ * @returns {ErrorDetails}
+ */
+export function getTokenDetails(token, expected) {
+	/** @type {ErrorDetails} */
+	const details = { actual: token.type };
+	if (expected) {
+		details.expected = expected;
 	}
+
+	if (token.literal !== null) {
+		details.literal = token.literal;
+	}
+
+	return details;
+}
+
+/**
+ * @param {URL | string | undefined} file
+ * @param {number} row
+ * @param {number} column
+ * @returns {string}
+ */
+function formatLocation(file, row, column) {
+	return `${file ? `${formatFile(file)}:` : ""}${row}:${column}`;
+}
+
+/**
+ * @param {URL | string} file
+ * @returns {string}
+ */
+function formatFile(file) {
+	if (typeof file === "string") {
+		return file;
+	}
+
+	return file.protocol === "file:" ? toFilePath(file) : file.href;
 }
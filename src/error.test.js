@@ -0,0 +1,521 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { BconfError, CodedError, ErrorCode } from "./error.js";
+import { parse } from "./parse.js";
+
+/**
+ * Helper to get the error thrown when parsing
+ * @param {string} input
+ * @param {import("./index.js").ParseOptions=} opts
+ * @returns {Promise<BconfError>}
+ */
+async function getError(input, opts) {
+	try {
+		await parse(input, opts);
+	} catch (error) {
+		assert.ok(error instanceof BconfError);
+		return error;
+	}
+
+	assert.fail("expected parsing to throw");
+}
+
+describe("Error Positions", () => {
+	it("should include the start and end of the token", async () => {
+		const error = await getError("a = 1\nb = invalid+\n");
+		assert.strictEqual(error.reason, "unexpected identifier as value 'invalid+'");
+		assert.deepStrictEqual(
+			[error.row, error.column, error.endRow, error.endColumn],
+			[2, 5, 2, 13],
+		);
+	});
+
+	it("should report newlines at the end of the line they are on", async () => {
+		const error = await getError("a = 1\nb =\nc = 2\n");
+		assert.deepStrictEqual(
+			[error.row, error.column, error.endRow, error.endColumn],
+			[2, 4, 2, 5],
+		);
+		assert.match(error.message, /at line 2 column 4/);
+	});
+
+	it("should include the file being parsed", async () => {
+		const file = new URL("file:///configs/app.bconf");
+		const error = await getError("a = b", { file });
+		assert.strictEqual(error.file, file);
+	});
+});
+
+describe("Error Codes", () => {
+	/**
+	 * @param {string} input
+	 * @param {import("./index.js").ParseOptions=} opts
+	 */
+	async function getCode(input, opts) {
+		const { code, details } = await getError(input, opts);
+		return { code, details };
+	}
+
+	it("should include the code and details for syntax errors", async () => {
+		const unique = {
+			name: "unique",
+			/** @type {import("./index.js").StatementResolver} */
+			resolver: async ({ next }) => {
+				await next(); // Skip `keys`
+				await next({ duplicateKeys: "disallow" });
+				return { action: "discard" };
+			},
+		};
+		assert.deepStrictEqual(
+			await getCode("unique keys { a = 1, a = 2 }", { resolvers: { statements: [unique] } }),
+			{ code: ErrorCode.DUPLICATE_KEY, details: { key: "a" } },
+		);
+		assert.deepStrictEqual(await getCode("a = $missing.value"), {
+			code: ErrorCode.UNRESOLVED_VARIABLE,
+			details: { variable: "$missing.value" },
+		});
+		assert.deepStrictEqual(await getCode("a = [1, 2"), {
+			code: ErrorCode.UNEXPECTED_TOKEN,
+			details: { expected: "RBRACKET", actual: "EOF" },
+		});
+		assert.deepStrictEqual(await getCode("a = bad"), {
+			code: ErrorCode.UNEXPECTED_TOKEN,
+			details: { actual: "IDENTIFIER", literal: "bad" },
+		});
+		assert.deepStrictEqual(await getCode("a.$b = 1"), {
+			code: ErrorCode.INVALID_KEY,
+			details: { key: "a", variable: "$b" },
+		});
+		assert.deepStrictEqual(await getCode("a[1.5] = 1"), {
+			code: ErrorCode.INVALID_ARRAY_INDEX,
+			details: { literal: "1.5" },
+		});
+	});
+
+	it("should include the code and details for invalid values", async () => {
+		assert.deepStrictEqual(await getCode("a = 1__0"), {
+			code: ErrorCode.INVALID_NUMBER,
+			details: { literal: "1__0" },
+		});
+		assert.deepStrictEqual(await getCode('a = "\\q"'), {
+			code: ErrorCode.INVALID_ESCAPE,
+			details: { literal: "\\q" },
+		});
+		assert.strictEqual((await getCode('a = "${[1]}"')).code, ErrorCode.INVALID_EMBEDDED_VALUE);
+	});
+
+	it("should include the code and details from built-in resolvers", async () => {
+		assert.deepStrictEqual(await getCode('a = env("MISSING")', { env: {} }), {
+			code: ErrorCode.MISSING_ENV_VARIABLE,
+			details: { tag: "env", variable: "MISSING" },
+		});
+		assert.deepStrictEqual(await getCode("a = ref(missing)"), {
+			code: ErrorCode.UNRESOLVED_REFERENCE,
+			details: { tag: "ref", key: "missing" },
+		});
+		assert.deepStrictEqual(await getCode("a = int([])"), {
+			code: ErrorCode.INVALID_CONVERSION,
+			details: { tag: "int", actual: "array" },
+		});
+		assert.deepStrictEqual(await getCode("extends 1"), {
+			code: ErrorCode.INVALID_ARGUMENT,
+			details: { statement: "extends" },
+		});
+		assert.deepStrictEqual(
+			await getCode('import from "vars.bconf" { $missing }', {
+				loader: async () => "export vars { $other = 1 }",
+			}),
+			{
+				code: ErrorCode.VARIABLE_NOT_EXPORTED,
+				details: { statement: "import", variable: "$missing", file: "vars.bconf" },
+			},
+		);
+	});
+
+	it("should keep the code and details of errors from custom resolvers", async () => {
+		const { code, details } = await getError("a = custom(1)", {
+			resolvers: {
+				tags: [
+					{
+						name: "custom",
+						resolver: async () => {
+							throw new CodedError("not allowed", "CUSTOM", { reason: "test" });
+						},
+					},
+				],
+			},
+		});
+		assert.strictEqual(code, "CUSTOM");
+		assert.deepStrictEqual(details, { tag: "custom", reason: "test" });
+	});
+
+	it("should use a generic code for errors without one from resolvers", async () => {
+		const { code, details } = await getError("a = custom(1)", {
+			resolvers: {
+				tags: [
+					{
+						name: "custom",
+						resolver: async () => {
+							throw new Error("not allowed");
+						},
+					},
+				],
+			},
+		});
+		assert.strictEqual(code, ErrorCode.RESOLVER_ERROR);
+		assert.deepStrictEqual(details, { tag: "custom" });
+	});
+});
+
+describe("Resolver Errors", () => {
+	class CustomError extends Error {
+		extra = "custom field";
+	}
+
+	const failing = {
+		name: "failing",
+		/** @type {import("./index.js").TagResolver & import("./index.js").StatementResolver} */
+		resolver: async ({ next }) => {
+			await next();
+			throw new CustomError("something went wrong");
+		},
+	};
+	const resolvers = { tags: [failing], statements: [failing] };
+
+	it("should keep the original error as the cause", async () => {
+		const error = await getError("a = failing(1)", { resolvers });
+		assert.ok(error.cause instanceof CustomError);
+		assert.strictEqual(error.cause.extra, "custom field");
+		assert.strictEqual(error.reason, "tag 'failing' failed: something went wrong");
+	});
+
+	it("should include the tag that failed", async () => {
+		const error = await getError("a = 1\nb = [failing(\n\t1\n)]", { resolvers });
+		assert.deepStrictEqual(error.resolver, { kind: "tag", name: "failing" });
+		assert.deepStrictEqual([error.row, error.column], [2, 6]);
+		assert.strictEqual(error.code, ErrorCode.RESOLVER_ERROR);
+		assert.deepStrictEqual(error.details, { tag: "failing" });
+	});
+
+	it("should include the statement that failed", async () => {
+		const error = await getError("obj {\n\tfailing 1 2\n}", { resolvers });
+		assert.deepStrictEqual(error.resolver, { kind: "statement", name: "failing" });
+		assert.deepStrictEqual([error.row, error.column], [2, 2]);
+		assert.strictEqual(error.reason, "statement 'failing' failed: something went wrong");
+	});
+
+	it("should keep the code of errors from built-in resolvers", async () => {
+		const error = await getError('a = "x"\nb = env("MISSING")', { env: {} });
+		assert.strictEqual(error.code, ErrorCode.MISSING_ENV_VARIABLE);
+		assert.ok(error.cause instanceof CodedError);
+		assert.strictEqual(
+			error.reason,
+			"tag 'env' failed: no environment variable 'MISSING' is set",
+		);
+		assert.deepStrictEqual([error.row, error.column], [2, 5]);
+	});
+
+	it("should not wrap errors from values passed to resolvers", async () => {
+		const error = await getError('a = string(env("MISSING"))', { env: {} });
+		assert.deepStrictEqual(error.resolver, { kind: "tag", name: "env" });
+		assert.deepStrictEqual([error.row, error.column], [1, 12]);
+
+		const syntaxError = await getError('a = string("${[1]}")');
+		assert.strictEqual(syntaxError.resolver, undefined);
+		assert.strictEqual(syntaxError.code, ErrorCode.INVALID_EMBEDDED_VALUE);
+	});
+});
+
+describe("Included Files", () => {
+	/** @type {Record<string, string>} */
+	const files = {
+		"app.bconf": 'a = 1\nextends "base.bconf"\n',
+		"base.bconf": 'import from "vars.bconf" { $x }\nb = $x\n',
+		"vars.bconf": "export vars {\n\t$x = bad\n}\n",
+	};
+	const opts = {
+		rootDir: "/configs",
+		file: new URL("file:///configs/app.bconf"),
+		/** @type {import("./index.js").FileLoader} */
+		loader: async (_, path) => files[path],
+	};
+
+	it("should include the file the error is in", async () => {
+		const error = await getError(files["app.bconf"], opts);
+		assert.strictEqual(error.file?.href, "file:///configs/vars.bconf");
+		assert.deepStrictEqual([error.row, error.column], [2, 7]);
+		assert.strictEqual(error.code, ErrorCode.UNEXPECTED_TOKEN);
+		assert.strictEqual(error.resolver, undefined);
+	});
+
+	it("should include where each file was included from", async () => {
+		const error = await getError(files["app.bconf"], opts);
+		assert.deepStrictEqual(
+			error.includedFrom.map(({ file, row, column }) => [file?.href, row, column]),
+			[
+				["file:///configs/base.bconf", 1, 1],
+				["file:///configs/app.bconf", 2, 1],
+			],
+		);
+		assert.strictEqual(
+			error.message,
+			[
+				"unexpected identifier as value 'bad' at line 2 column 7 of /configs/vars.bconf",
+				"    included from /configs/base.bconf:1:1",
+				"    included from /configs/app.bconf:2:1",
+			].join("\n"),
+		);
+	});
+
+	it("should show where the file was included from in code frames", async () => {
+		const error = await getError(files["app.bconf"], opts);
+		assert.strictEqual(
+			error.format(files["vars.bconf"], { context: 0 }),
+			[
+				"error: unexpected identifier as value 'bad'",
+				" --> /configs/vars.bconf:2:7",
+				"  |",
+				"2 | \t$x = bad",
+				"  | \t     ^^^",
+				"  |",
+				"  = included from /configs/base.bconf:1:1",
+				"  = included from /configs/app.bconf:2:1",
+			].join("\n"),
+		);
+	});
+
+	it("should not include anything for errors in the file being parsed", async () => {
+		const error = await getError("a = bad", opts);
+		assert.deepStrictEqual(error.includedFrom, []);
+		assert.strictEqual(
+			error.message,
+			"unexpected identifier as value 'bad' at line 1 column 5 of the bconf data",
+		);
+	});
+});
+
+describe("Code Frames", () => {
+	it("should show the lines around the error", async () => {
+		const input = "a = 1\nb = 2\nc = invalid+\nd = 4\ne = 5\nf = 6\n";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input),
+			[
+				"error: unexpected identifier as value 'invalid+'",
+				" --> 3:5",
+				"  |",
+				"1 | a = 1",
+				"2 | b = 2",
+				"3 | c = invalid+",
+				"  |     ^^^^^^^^",
+				"4 | d = 4",
+				"5 | e = 5",
+			].join("\n"),
+		);
+	});
+
+	it("should change the number of lines shown", async () => {
+		const input = "a = 1\nb = invalid+\nc = 3\n";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 0 }),
+			[
+				"error: unexpected identifier as value 'invalid+'",
+				" --> 2:5",
+				"  |",
+				"2 | b = invalid+",
+				"  |     ^^^^^^^^",
+			].join("\n"),
+		);
+	});
+
+	it("should underline variables that could not be resolved", async () => {
+		const input = '$port = 80\naddr = "${$host}:${$prot}"\n';
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 0 }),
+			[
+				"error: could not resolve variable '$host'",
+				" --> 2:11",
+				"  |",
+				'2 | addr = "${$host}:${$prot}"',
+				"  |           ^^^^^",
+			].join("\n"),
+		);
+	});
+
+	it("should pad line numbers to the same width", async () => {
+		const input = `${"a = 1\n".repeat(9)}b = bad\nc = 3\n`;
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 1 }),
+			[
+				"error: unexpected identifier as value 'bad'",
+				"  --> 10:5",
+				"   |",
+				" 9 | a = 1",
+				"10 | b = bad",
+				"   |     ^^^",
+				"11 | c = 3",
+			].join("\n"),
+		);
+	});
+
+	it("should keep tabs before the underline", async () => {
+		const input = "obj {\n\ta = bad\n}\n";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 0 }),
+			[
+				"error: unexpected identifier as value 'bad'",
+				" --> 2:6",
+				"  |",
+				"2 | \ta = bad",
+				"  | \t    ^^^",
+			].join("\n"),
+		);
+	});
+
+	it("should ignore carriage returns", async () => {
+		const input = "a = 1\r\nb = bad\r\n";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 0 }),
+			[
+				"error: unexpected identifier as value 'bad'",
+				" --> 2:5",
+				"  |",
+				"2 | b = bad",
+				"  |     ^^^",
+			].join("\n"),
+		);
+	});
+
+	it("should show at least one caret for errors at the end of the input", async () => {
+		const input = "obj {\n\ta = 1\n";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { context: 1 }),
+			[
+				"error: expected '}', got null",
+				" --> 3:1",
+				"  |",
+				"2 | \ta = 1",
+				"3 |",
+				"  | ^",
+			].join("\n"),
+		);
+	});
+
+	it("should show the file name", async () => {
+		const input = "a = bad";
+		const error = await getError(input, { file: new URL("file:///configs/my%20app.bconf") });
+		assert.match(error.format(input), /^ --> \/configs\/my app\.bconf:1:5$/m);
+		assert.match(error.format(input, { file: "app.bconf" }), /^ --> app\.bconf:1:5$/m);
+
+		const remote = await getError(input, { file: new URL("https://example.com/app.bconf") });
+		assert.match(remote.format(input), /^ --> https:\/\/example\.com\/app\.bconf:1:5$/m);
+	});
+
+	it("should show file names the way the loader reads them", async () => {
+		const input = "a = bad";
+		const file = pathToFileURL("/configs/100% done.bconf");
+		const error = await getError(input, { file });
+		assert.ok(error.format(input).includes(` --> ${fileURLToPath(file)}:1:5\n`));
+	});
+
+	it("should highlight with colors", async () => {
+		const input = "a = bad";
+		const error = await getError(input);
+		assert.strictEqual(
+			error.format(input, { color: true }),
+			[
+				"\x1b[1m\x1b[31merror\x1b[0m\x1b[1m: unexpected identifier as value 'bad'\x1b[0m",
+				" \x1b[34m-->\x1b[0m 1:5",
+				"  \x1b[34m|\x1b[0m",
+				"\x1b[34m1 |\x1b[0m a = bad",
+				"  \x1b[34m|\x1b[0m     \x1b[1m\x1b[31m^^^\x1b[0m",
+			].join("\n"),
+		);
+	});
+});
+
+describe("Lexer Errors", () => {
+	it("should use the reason from the lexer for illegal tokens", async () => {
+		const error = await getError('a = 1\nb = "value\nc = 2');
+		assert.strictEqual(error.reason, "unterminated string starting at 2:5");
+		assert.strictEqual(error.code, ErrorCode.UNTERMINATED_STRING);
+		assert.deepStrictEqual([error.row, error.column], [2, 11]);
+	});
+
+	it("should report illegal characters where they are", async () => {
+		const error = await getError("a = 1\nb = 2 // comment\nc = 3 / 4");
+		assert.strictEqual(
+			error.message,
+			"unexpected '/', comments start with '//' at line 3 column 7 of the bconf data",
+		);
+		assert.strictEqual(error.code, ErrorCode.ILLEGAL_CHARACTER);
+	});
+
+	it("should report unterminated triple-quoted strings at the end of the input", async () => {
+		const error = await getError('a = 1\nb = """\nvalue\n\nc = 2\n');
+		assert.strictEqual(error.reason, "unterminated triple-quoted string starting at 2:5");
+		assert.deepStrictEqual([error.row, error.column], [6, 1]);
+	});
+});
+
+describe("Suggestions", () => {
+	it("should suggest variables in scope with a similar name", async () => {
+		const error = await getError("$database = { host = 1 }\nobj {\n\ta = $databse.host\n}");
+		assert.strictEqual(
+			error.reason,
+			"could not resolve variable '$databse.host' (did you mean '$database.host'?)",
+		);
+		assert.deepStrictEqual(error.details.suggestions, ["$database.host"]);
+	});
+
+	it("should suggest keys in the variable when only the key is missing", async () => {
+		const error = await getError("$server = { host = 1, port = 2 }\na = $server.hots");
+		assert.deepStrictEqual(error.details.suggestions, ["$server.host"]);
+	});
+
+	it("should list several suggestions with the closest first", async () => {
+		const error = await getError("$value1 = 1\n$value2 = 2\n$values = 3\na = $vlaue1");
+		assert.strictEqual(
+			error.reason,
+			"could not resolve variable '$vlaue1' (did you mean '$value1', '$value2' or '$values'?)",
+		);
+	});
+
+	it("should not suggest names that are too different", async () => {
+		const error = await getError("$host = 1\na = $port");
+		assert.strictEqual(error.reason, "could not resolve variable '$port'");
+		assert.deepStrictEqual(error.details, { variable: "$port" });
+	});
+
+	it("should warn about tags with a name close to a known tag", async () => {
+		const { data, warnings } = await parse("a = strng(1)\nb = custom(2)");
+		assert.deepStrictEqual(
+			warnings.map(({ code, message }) => ({ code, message })),
+			[
+				{
+					code: "UNRESOLVED_TAG",
+					message:
+						"tag 'strng' has no resolver, so it is kept as is (did you mean 'string'?)",
+				},
+			],
+		);
+		assert.strictEqual(Object.keys(data).length, 2);
+	});
+
+	it("should suggest statements with a resolver", async () => {
+		const { warnings } = await parse('improt from "vars.bconf" { $a }');
+		assert.deepStrictEqual(
+			warnings.map(({ message }) => message),
+			[
+				"statement 'improt' has no resolver, so it is collected as is (did you mean 'import'?)",
+			],
+		);
+	});
+});
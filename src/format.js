@@ -0,0 +1,468 @@
+/**
+ * @import { CstItem } from './cst.js'
+ * @import { FormatOptions, CstElement, CstNode, CstEntry, CstStatement, CstKey, CstValue, CstObject, CstArray } from './index.js'
+ */
+
+import { collectItems, parseCST, printCST } from "./cst.js";
+import { Token, TokenType } from "./lexer.js";
+import { serializeKey } from "./stringify.js";
+
+/**
+ * Format a bconf file into its canonical form. Comments are kept where they are
+ * @param {string} input Input bconf file
+ * @param {FormatOptions=} opts Options for formatting
+ * @returns {string}
+ */
+export function format(input, opts) {
+	const formatter = new Formatter(opts);
+	return formatter.format(input);
+}
+
+class Formatter {
+	/** @type {string} */ indent = "\t";
+	/** @type {number} */ indentWidth = 4;
+	/** @type {number} */ lineWidth = 100;
+	/** @type {boolean} */ sortKeys = false;
+
+	/**
+	 * @param {FormatOptions=} opts
+	 */
+	constructor(opts) {
+		if (opts?.indentWidth !== undefined) {
+			this.indentWidth = opts.indentWidth;
+		}
+
+		if (opts?.indentStyle === "space") {
+			this.indent = " ".repeat(this.indentWidth);
+		}
+
+		if (opts?.lineWidth !== undefined) {
+			this.lineWidth = opts.lineWidth;
+		}
+
+		if (opts?.sortKeys) {
+			this.sortKeys = true;
+		}
+	}
+
+	/**
+	 * @param {string} input
+	 * @returns {string}
+	 */
+	format(input) {
+		const cst = parseCST(input);
+		const lines = this.formatBlock(collectItems(cst.children), 0);
+		return lines.length ? `${lines.join("\n")}\n` : "";
+	}
+
+	/**
+	 * @param {number} depth
+	 * @returns {number} The column a line at the given depth starts at
+	 */
+	columnAt(depth) {
+		return depth * (this.indent === "\t" ? this.indentWidth : this.indent.length);
+	}
+
+	// ----------------------
+	// BLOCKS
+	// ----------------------
+	/**
+	 * Format the entries and comments of a document or object, one per line
+	 * @param {Array<CstItem>} items
+	 * @param {number} depth
+	 * @returns {Array<string>}
+	 */
+	formatBlock(items, depth) {
+		const prefix = this.indent.repeat(depth);
+		const sorted = this.sortKeys ? sortItems(items, depth === 0) : items;
+
+		/** @type {Array<string>} */
+		const lines = [];
+		for (const item of sorted) {
+			if (item.blankBefore && lines.length) {
+				lines.push("");
+			}
+
+			if (item.type === "comment") {
+				lines.push(`${prefix}${formatComment(item.token)}`);
+				continue;
+			}
+
+			const entry = /** @type {CstEntry | CstStatement} */ (item.node);
+			let line = `${prefix}${this.formatEntry(entry, depth)}`;
+			if (item.trailing) {
+				line += ` ${formatComment(item.trailing)}`;
+			}
+
+			lines.push(line);
+		}
+
+		return lines;
+	}
+
+	/**
+	 * @param {CstEntry | CstStatement} node
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	formatEntry(node, depth) {
+		const key = formatKey(node.key);
+		const column = this.columnAt(depth) + key.length;
+
+		if (node.type === "STATEMENT") {
+			let result = key;
+			for (const arg of node.args) {
+				result += ` ${this.formatValue(arg, depth, column + result.length + 1)}`;
+			}
+
+			return result;
+		}
+
+		switch (node.operation) {
+			case "assign":
+			case "append": {
+				const operator = node.operation === "assign" ? "=" : "<<";
+				const value = /** @type {CstValue} */ (node.value);
+				return `${key} ${operator} ${this.formatValue(value, depth, column + operator.length + 2)}`;
+			}
+			case "object-shorthand": {
+				const value = /** @type {CstValue} */ (node.value);
+				return `${key} ${this.formatValue(value, depth, column + 1)}`;
+			}
+			case "true-shorthand":
+				return key;
+		}
+	}
+
+	// ----------------------
+	// VALUES
+	// ----------------------
+	/**
+	 * @param {CstValue} node
+	 * @param {number} depth The depth of the line the value starts on
+	 * @param {number} column The column the value starts at
+	 * @returns {string}
+	 */
+	formatValue(node, depth, column) {
+		switch (node.type) {
+			case "KEY":
+				return formatKey(node);
+			case "NUMBER":
+				// Whitespace is allowed around the `.` of a float, but never needed
+				return node.children
+					.filter(
+						(child) => child instanceof Token && child.type !== TokenType.WHITESPACE,
+					)
+					.map((child) => /** @type {Token} */ (child).literal)
+					.join("");
+			case "BOOLEAN":
+			case "NULL":
+			case "STRING":
+				// Strings are kept as is, since changing how they are written could change their content
+				return printCST(node);
+			case "TAG": {
+				let result = `${node.name.literal}(`;
+				result += node.args
+					.map((arg) => this.formatValue(arg, depth, column + result.length))
+					.join(" ");
+				return `${result})`;
+			}
+			case "OBJECT":
+				return this.formatObject(node, depth, column);
+			case "ARRAY":
+				return this.formatArray(node, depth, column);
+		}
+	}
+
+	/**
+	 * @param {CstObject} node
+	 * @param {number} depth
+	 * @param {number} column
+	 * @returns {string}
+	 */
+	formatObject(node, depth, column) {
+		const children = node.children.slice(1, -1);
+		const items = collectItems(children);
+		if (!items.length) {
+			return "{}";
+		}
+
+		const comment = takeOpeningComment(children, items);
+		const opening = comment ? `{ ${formatComment(comment)}` : "{";
+
+		// Objects written on a single line are kept that way, as long as they still fit
+		const isInline = !node.children.some(
+			(child) => child instanceof Token && child.type === TokenType.NEWLINE,
+		);
+		const nodes = isInline && withoutComments(this.sortKeys ? sortItems(items) : items);
+		if (nodes) {
+			const entries = nodes.map((entry) =>
+				this.formatEntry(/** @type {CstEntry | CstStatement} */ (entry), depth),
+			);
+			const inline = `{ ${entries.join(", ")} }`;
+			if (!inline.includes("\n") && column + inline.length <= this.lineWidth) {
+				return inline;
+			}
+		}
+
+		const lines = this.formatBlock(items, depth + 1);
+		return `${opening}\n${formatLines(lines)}${this.indent.repeat(depth)}}`;
+	}
+
+	/**
+	 * @param {CstArray} node
+	 * @param {number} depth
+	 * @param {number} column
+	 * @returns {string}
+	 */
+	formatArray(node, depth, column) {
+		const children = node.children.slice(1, -1);
+		const items = collectItems(children);
+		if (!items.length) {
+			return "[]";
+		}
+
+		const comment = takeOpeningComment(children, items);
+		const opening = comment ? `[ ${formatComment(comment)}` : "[";
+
+		// Arrays are put on a single line when possible, regardless of how they were written
+		const nodes = !comment && withoutComments(items);
+		if (nodes) {
+			let inline = "[";
+			for (const value of nodes) {
+				if (inline.length > 1) {
+					inline += ", ";
+				}
+
+				inline += this.formatValue(
+					/** @type {CstValue} */ (value),
+					depth,
+					column + inline.length,
+				);
+			}
+			inline += "]";
+
+			if (!inline.includes("\n") && column + inline.length <= this.lineWidth) {
+				return inline;
+			}
+		}
+
+		const prefix = this.indent.repeat(depth + 1);
+
+		/** @type {Array<string>} */
+		const lines = [];
+		for (const item of items) {
+			if (item.blankBefore && lines.length) {
+				lines.push("");
+			}
+
+			if (item.type === "comment") {
+				lines.push(`${prefix}${formatComment(item.token)}`);
+				continue;
+			}
+
+			const value = /** @type {CstValue} */ (item.node);
+			let line = `${prefix}${this.formatValue(value, depth + 1, this.columnAt(depth + 1))},`;
+			if (item.trailing) {
+				line += ` ${formatComment(item.trailing)}`;
+			}
+
+			lines.push(line);
+		}
+
+		return `${opening}\n${formatLines(lines)}${this.indent.repeat(depth)}]`;
+	}
+}
+
+/**
+ * Remove the comment on the same line as the opening bracket of an object or array from
+ * its items, so it can stay on that line
+ * @param {Array<CstElement>} children The children between the brackets
+ * @param {Array<CstItem>} items The items of the children, which are modified
+ * @returns {Token | null} The comment, if there is one
+ */
+function takeOpeningComment(children, items) {
+	const first = children.find(
+		(child) => !(child instanceof Token) || child.type !== TokenType.WHITESPACE,
+	);
+	if (!(first instanceof Token) || first.type !== TokenType.COMMENT) {
+		return null;
+	}
+
+	const item = /** @type {CstItem & { type: "comment" }} */ (items.shift());
+	return item.token;
+}
+
+/**
+ * @param {Array<string>} lines
+ * @returns {string} The lines with a newline after each of them
+ */
+function formatLines(lines) {
+	return lines.map((line) => `${line}\n`).join("");
+}
+
+/**
+ * @param {Array<CstItem>} items
+ * @returns {Array<CstNode> | null} The nodes for the items, or `null` if there are any comments
+ */
+function withoutComments(items) {
+	/** @type {Array<CstNode>} */
+	const nodes = [];
+	for (const item of items) {
+		if (item.type === "comment" || item.trailing) {
+			return null;
+		}
+
+		nodes.push(item.node);
+	}
+
+	return nodes;
+}
+
+/**
+ * Sort entries by their key. Leading comments stay with the entry below them, and entries
+ * are only sorted within runs separated by blank lines, standalone comments, statements,
+ * variables and `ref()` tags, since moving those could change the meaning of the document.
+ * Only the first part of a key is compared, so entries like `foo = {}` and `foo.bar = 1`
+ * keep their order relative to each other
+ * @param {Array<CstItem>} items
+ * @param {boolean=} keepHeader If the comments at the start are a header for the whole file,
+ * which stays at the top instead of moving with the entry below it
+ * @returns {Array<CstItem>}
+ */
+function sortItems(items, keepHeader = false) {
+	/** @type {Array<CstItem>} */
+	const result = [];
+	if (keepHeader) {
+		// The header ends at the first blank line, after which comments are about the entry below
+		for (const item of items) {
+			if (item.type !== "comment" || (result.length && item.blankBefore)) {
+				break;
+			}
+
+			result.push(item);
+		}
+	}
+
+	/** @type {Array<{ key: string, items: Array<CstItem> }>} */
+	let run = [];
+	/** @type {Array<CstItem>} */
+	let comments = [];
+
+	const flush = () => {
+		if (run.length) {
+			// Keeping the blank line where the run started, not with the entry that had it
+			const blankBefore = run[0].items[0].blankBefore;
+			run[0].items[0].blankBefore = false;
+			run.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+			run[0].items[0].blankBefore = blankBefore;
+			result.push(...run.flatMap((entry) => entry.items));
+			run = [];
+		}
+
+		result.push(...comments);
+		comments = [];
+	};
+
+	for (const item of items.slice(result.length)) {
+		if (item.blankBefore) {
+			flush();
+		}
+
+		if (item.type === "comment") {
+			comments.push(item);
+			continue;
+		}
+
+		const node = item.node;
+		if (
+			node.type !== "ENTRY" ||
+			node.key.children.some(
+				(child) => child instanceof Token && child.type === TokenType.VARIABLE,
+			) ||
+			hasRefTag(node)
+		) {
+			flush();
+			result.push(item);
+			continue;
+		}
+
+		run.push({ key: formatFirstKeyPart(node.key), items: [...comments, item] });
+		comments = [];
+	}
+
+	flush();
+	return result;
+}
+
+/**
+ * @param {CstNode} node
+ * @returns {boolean}
+ */
+function hasRefTag(node) {
+	if (node.type === "TAG" && node.name.literal === "ref") {
+		return true;
+	}
+
+	return node.children.some((child) => !(child instanceof Token) && hasRefTag(child));
+}
+
+/**
+ * @param {CstKey} node
+ * @returns {string}
+ */
+function formatFirstKeyPart(node) {
+	const [first] = node.children;
+	return first instanceof Token ? (first.literal ?? "") : formatQuotedKey(first);
+}
+
+/**
+ * @param {CstKey} node
+ * @returns {string}
+ */
+function formatKey(node) {
+	let result = "";
+	for (const child of node.children) {
+		if (child instanceof Token) {
+			if (child.type !== TokenType.WHITESPACE) {
+				result += child.literal;
+			}
+
+			continue;
+		}
+
+		result += formatQuotedKey(child);
+	}
+
+	return result;
+}
+
+/**
+ * Remove the quotes from a key if they aren't needed
+ * @param {CstNode} node
+ * @returns {string}
+ */
+function formatQuotedKey(node) {
+	const source = printCST(node);
+	const content = node.children.slice(1, -1);
+
+	// Escape sequences and embedded values would need to be resolved to know if
+	// the key could be unquoted, so those keys are always kept as is
+	if (
+		!content.length ||
+		!content.every((child) => child instanceof Token && child.type === TokenType.STRING_CONTENT)
+	) {
+		return source;
+	}
+
+	const key = content.map((child) => /** @type {Token} */ (child).literal).join("");
+	return serializeKey(key) === key ? key : source;
+}
+
+/**
+ * @param {Token} token
+ * @returns {string}
+ */
+function formatComment(token) {
+	return (token.literal ?? "").trimEnd();
+}
@@ -0,0 +1,285 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { format } from "./format.js";
+import { parse } from "./parse.js";
+
+/**
+ * Helper to assert the formatted output, and that formatting it again does not change it
+ * @param {string} input
+ * @param {string} expected
+ * @param {import("./index.js").FormatOptions=} opts
+ */
+function assertFormat(input, expected, opts) {
+	const formatted = format(input, opts);
+	assert.strictEqual(formatted, expected);
+	assert.strictEqual(format(formatted, opts), formatted);
+}
+
+describe("Spacing", () => {
+	it("should normalize spacing around operators", () => {
+		assertFormat("foo=1\nbar   <<   2\nbaz{a=1}", "foo = 1\nbar << 2\nbaz { a = 1 }\n");
+	});
+
+	it("should remove whitespace inside keys and numbers", () => {
+		assertFormat("foo . bar[ 0 ] = 1 . 5", "foo.bar[0] = 1.5\n");
+	});
+
+	it("should normalize spacing in statements and tags", () => {
+		assertFormat(
+			'extends    "base.bconf"\nfoo = custom(  1   2 )',
+			'extends "base.bconf"\nfoo = custom(1 2)\n',
+		);
+	});
+
+	it("should remove trailing whitespace", () => {
+		assertFormat("foo = 1   \t\n// comment   ", "foo = 1\n// comment\n");
+	});
+
+	it("should keep strings as is", () => {
+		assertFormat('foo = "a  ${ $b }  c"', 'foo = "a  ${ $b }  c"\n');
+	});
+
+	it("should convert CRLF line endings", () => {
+		assertFormat("foo = 1\r\nbar = 2\r\n", "foo = 1\nbar = 2\n");
+	});
+
+	it("should format an empty document", () => {
+		assertFormat("\n\n  \n", "");
+	});
+});
+
+describe("Blank Lines", () => {
+	it("should collapse runs of blank lines", () => {
+		assertFormat("foo = 1\n\n\n\nbar = 2", "foo = 1\n\nbar = 2\n");
+	});
+
+	it("should remove leading and trailing blank lines", () => {
+		assertFormat("\n\n\nfoo = 1\n\n\n", "foo = 1\n");
+	});
+
+	it("should remove blank lines at the start and end of objects", () => {
+		assertFormat("foo {\n\n\ta = 1\n\n\tb = 2\n\n}", "foo {\n\ta = 1\n\n\tb = 2\n}\n");
+	});
+});
+
+describe("Indentation", () => {
+	it("should indent nested objects", () => {
+		assertFormat(
+			"server {\nhost = 1\n      tls {\n  enabled = true\n}\n}",
+			"server {\n\thost = 1\n\ttls {\n\t\tenabled = true\n\t}\n}\n",
+		);
+	});
+
+	it("should indent with spaces", () => {
+		assertFormat("server {\nhost = 1\n}", "server {\n  host = 1\n}\n", {
+			indentStyle: "space",
+			indentWidth: 2,
+		});
+	});
+
+	it("should put entries on separate lines in multi-line objects", () => {
+		assertFormat("foo {\n\ta = 1, b = 2,\n}", "foo {\n\ta = 1\n\tb = 2\n}\n");
+	});
+});
+
+describe("Objects", () => {
+	it("should keep inline objects on one line", () => {
+		assertFormat("foo = {a=1,b=2,}", "foo = { a = 1, b = 2 }\n");
+	});
+
+	it("should format empty objects", () => {
+		assertFormat("foo = {\n\n}", "foo = {}\n");
+	});
+
+	it("should split inline objects that are too long", () => {
+		assertFormat(
+			'foo = { first = "aaaaaaaaaa", second = "bbbbbbbbbb" }',
+			'foo = {\n\tfirst = "aaaaaaaaaa"\n\tsecond = "bbbbbbbbbb"\n}\n',
+			{ lineWidth: 30 },
+		);
+	});
+});
+
+describe("Arrays", () => {
+	it("should put arrays that fit on one line", () => {
+		assertFormat("arr = [\n\t1,\n\t2,\n\t3\n]", "arr = [1, 2, 3]\n");
+	});
+
+	it("should remove trailing commas from inline arrays", () => {
+		assertFormat("arr = [1,2,3,]", "arr = [1, 2, 3]\n");
+	});
+
+	it("should wrap arrays that are too long", () => {
+		assertFormat(
+			'arr = ["aaaaaaaaaa", "bbbbbbbbbb", "cccccccccc"]',
+			'arr = [\n\t"aaaaaaaaaa",\n\t"bbbbbbbbbb",\n\t"cccccccccc",\n]\n',
+			{ lineWidth: 30 },
+		);
+	});
+
+	it("should measure tabs using the indent width", () => {
+		const input = "foo {\n\tarr = [1, 2, 3]\n}";
+		assertFormat(input, "foo {\n\tarr = [1, 2, 3]\n}\n", { lineWidth: 20 });
+		assertFormat(input, "foo {\n\tarr = [\n\t\t1,\n\t\t2,\n\t\t3,\n\t]\n}\n", {
+			lineWidth: 20,
+			indentWidth: 8,
+		});
+	});
+
+	it("should wrap arrays containing multi-line objects", () => {
+		assertFormat("arr = [{\n\ta = 1\n}, 2]", "arr = [\n\t{\n\t\ta = 1\n\t},\n\t2,\n]\n");
+	});
+});
+
+describe("Keys", () => {
+	it("should remove quotes from keys that don't need them", () => {
+		assertFormat('"foo"."bar-baz".qux[0] = 1', "foo.bar-baz.qux[0] = 1\n");
+	});
+
+	it("should keep quotes on keys that need them", () => {
+		assertFormat(
+			'"foo bar" = 1\n"true" = 2\n"a\\u0041" = 3\n"+1" = 4',
+			'"foo bar" = 1\n"true" = 2\n"a\\u0041" = 3\n"+1" = 4\n',
+		);
+	});
+});
+
+describe("Comments", () => {
+	it("should keep comments on their own lines", () => {
+		assertFormat(
+			"// header\n\n   // about foo\nfoo = 1\n// footer",
+			"// header\n\n// about foo\nfoo = 1\n// footer\n",
+		);
+	});
+
+	it("should keep trailing comments on the same line", () => {
+		assertFormat("foo = 1     // trailing\nbar", "foo = 1 // trailing\nbar\n");
+	});
+
+	it("should indent comments in objects", () => {
+		assertFormat(
+			"foo { // opening\n// inside\na = 1 // trailing\n   // end\n}",
+			"foo { // opening\n\t// inside\n\ta = 1 // trailing\n\t// end\n}\n",
+		);
+	});
+
+	it("should split objects with comments across multiple lines", () => {
+		assertFormat(
+			"foo = { a = 1 } // ok\nbar = { b = 1 // c\n}",
+			"foo = { a = 1 } // ok\nbar = {\n\tb = 1 // c\n}\n",
+		);
+	});
+
+	it("should keep comments in arrays", () => {
+		assertFormat(
+			"ports = [80, // http\n// secure\n443]",
+			"ports = [\n\t80, // http\n\t// secure\n\t443,\n]\n",
+		);
+	});
+
+	it("should keep comments after an opening bracket on its line", () => {
+		assertFormat(
+			"ports = [   // http\n80, 443]\nempty = [ // none\n]",
+			"ports = [ // http\n\t80,\n\t443,\n]\nempty = [ // none\n]\n",
+		);
+	});
+});
+
+describe("Sorting Keys", () => {
+	it("should not sort keys by default", () => {
+		assertFormat("b = 1\na = 2", "b = 1\na = 2\n");
+	});
+
+	it("should sort keys", () => {
+		assertFormat("c = 1\na = 2\nb = 3", "a = 2\nb = 3\nc = 1\n", { sortKeys: true });
+	});
+
+	it("should move leading comments with their key", () => {
+		assertFormat(
+			"obj {\n\t// about b\n\tb = 1 // trailing b\n\t// about a\n\ta = 2\n}",
+			"obj {\n\t// about a\n\ta = 2\n\t// about b\n\tb = 1 // trailing b\n}\n",
+			{
+				sortKeys: true,
+			},
+		);
+	});
+
+	it("should keep the header comment at the top of the file", () => {
+		assertFormat(
+			"// header\nb = 1\n// about a\na = 2",
+			"// header\n// about a\na = 2\nb = 1\n",
+			{
+				sortKeys: true,
+			},
+		);
+	});
+
+	it("should only sort within groups separated by blank lines", () => {
+		assertFormat("d = 1\nc = 2\n\nb = 3\na = 4", "c = 2\nd = 1\n\na = 4\nb = 3\n", {
+			sortKeys: true,
+		});
+	});
+
+	it("should not move keys across statements and variables", () => {
+		assertFormat(
+			'b = 1\na = 2\nextends "base.bconf"\nd = 3\n$var = 1\nc = $var',
+			'a = 2\nb = 1\nextends "base.bconf"\nd = 3\n$var = 1\nc = $var\n',
+			{ sortKeys: true },
+		);
+	});
+
+	it("should not move keys across ref tags", () => {
+		assertFormat(
+			"b = 1\na = 2\nc = ref(b)\nz = 1\ny = 2",
+			"a = 2\nb = 1\nc = ref(b)\ny = 2\nz = 1\n",
+			{
+				sortKeys: true,
+			},
+		);
+	});
+
+	it("should keep the order of keys with the same first part", () => {
+		assertFormat(
+			"foo.b = 1\nbar = 1\nfoo = { a = 1 }\nfoo.a = 2",
+			"bar = 1\nfoo.b = 1\nfoo = { a = 1 }\nfoo.a = 2\n",
+			{
+				sortKeys: true,
+			},
+		);
+	});
+
+	it("should sort keys in nested objects", () => {
+		assertFormat(
+			"foo { b = 1, a = 2 }\nbar {\n\td = 1\n\tc = 2\n}",
+			"bar {\n\tc = 2\n\td = 1\n}\nfoo { a = 2, b = 1 }\n",
+			{
+				sortKeys: true,
+			},
+		);
+	});
+});
+
+describe("Semantics", () => {
+	it("should not change the parsed result", async () => {
+		const input = [
+			"// config",
+			'"name"   =   "app"',
+			'server{host="localhost"',
+			"ports=[80,443,]}",
+			"$base = 8000",
+			"   extra . port = $base",
+			"list << { a = 1, b = [1 ,2] }",
+			'msg = "port ${$base}"',
+			"enabled",
+			'nums = [1 . 5, -2e3, int("3")]',
+		].join("\n");
+
+		const { data: expected } = await parse(input);
+		const { data } = await parse(format(input));
+		assert.deepStrictEqual(data, expected);
+	});
+
+	it("should throw on invalid syntax", () => {
+		assert.throws(() => format("foo = {"));
+	});
+});
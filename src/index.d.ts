@@ -1,4 +1,5 @@
 import type { KeyPath, Tag, Statement, Collection } from "./values.js";
+import type { Token } from "./lexer.js";
 
 export type Value =
 	| Statement
@@ -46,9 +47,11 @@ export type ParseOptions = {
 	/**
 	 * A custom loader to load files. This defaults to reading
 	 * files on disk in non-browser environments, and using `fetch`
-	 * for browser environments
+	 * for browser environments. Set `resolveURL` on the loader to
+	 * get the URLs of the files it loads, otherwise the URLs of the
+	 * default loader are used
 	 */
-	loader?: FileLoader;
+	loader?: FileLoader & { resolveURL?: FileURLResolver };
 	/**
 	 * If the parsed results should unwrap internal types into their
 	 * native types. For example, an unresolved tag like `custom_tag(123)`
@@ -61,6 +64,80 @@ export type ParseOptions = {
 	 * @default true
 	 */
 	unwrap?: boolean;
+	/**
+	 * Return a `sourceMap` with the location of the key and value for every
+	 * key path in the parsed data
+	 *
+	 * @default false
+	 */
+	sourceMap?: boolean;
+	/**
+	 * Return `provenance` with where every leaf value in the data was assigned, and the
+	 * values it overrode. This includes values merged in from other files (ie. with `extends`)
+	 *
+	 * @default false
+	 */
+	provenance?: boolean;
+	/**
+	 * Keep parsing after an error instead of throwing it. Parsing picks back up at the next
+	 * line, comma or closing bracket, and the errors are returned as `diagnostics` along
+	 * with whatever data could be parsed
+	 *
+	 * @default false
+	 */
+	recover?: boolean;
+	/**
+	 * Called with every warning as it is found, including warnings from files parsed
+	 * by resolvers. Warnings are also returned as `warnings` when parsing is done
+	 */
+	onWarning?: (warning: Diagnostic) => void;
+	/**
+	 * Throw an error for things that are allowed but are likely mistakes, instead of
+	 * falling back to a default. This enables every rule in `StrictOptions`, or only
+	 * the ones that are set when given an object
+	 *
+	 * @default false
+	 */
+	strict?: boolean | StrictOptions;
+	/**
+	 * Validate the data against a schema once it is parsed. The first violation is thrown
+	 * as an error with all of them in its details, or when `recover` is enabled, they are
+	 * all returned as `diagnostics`. Either a bconf `Schema` or a `JsonSchema`. Missing keys
+	 * get their `default` first, and missing required keys are thrown together as one error.
+	 * A `StandardSchema` from a validator library can be used instead, in which case the data
+	 * is replaced by its output
+	 */
+	schema?: Schema | JsonSchema | StandardSchema;
+	/**
+	 * Convert values to the types in `schema` before validating them, with the same rules
+	 * as the `string`, `float`, `int` and `bool` tags (eg. `env("PORT")` gives `8080` instead
+	 * of `"8080"` for a key declared as an integer). Values that can't be converted are
+	 * errors at where they are
+	 *
+	 * @default false
+	 */
+	coerce?: boolean;
+};
+
+export type StrictOptions = {
+	/**
+	 * Tags without a resolver, which are otherwise kept as a `Tag`
+	 */
+	unknownTags?: boolean;
+	/**
+	 * Statements without a resolver, which are otherwise collected as a `Statement`
+	 */
+	unknownStatements?: boolean;
+	/**
+	 * Appending with `<<` to a key that isn't an array, which otherwise replaces it
+	 * with an array
+	 */
+	appendToNonArray?: boolean;
+	/**
+	 * Assigning to an index past the end of an array, which otherwise fills the
+	 * items before it with `null`
+	 */
+	arrayGaps?: boolean;
 };
 
 export type ParseResult<T extends Value = SerializableValue> = {
@@ -72,11 +149,473 @@ export type ParseResult<T extends Value = SerializableValue> = {
 	 * Exported variables for the input
 	 */
 	variables: Record<string, T>;
+	/**
+	 * The location of every key path in the data (eg. `servers[0].host`), keyed by the
+	 * serialized key path. Only returned when the `sourceMap` option is enabled
+	 */
+	sourceMap?: Record<string, SourceMapping>;
+	/**
+	 * Where every leaf value in the data was assigned, keyed by the serialized key path.
+	 * Only returned when the `provenance` option is enabled
+	 */
+	provenance?: Record<string, Provenance>;
+	/**
+	 * The errors that were recovered from. Only returned when the `recover` option is enabled
+	 */
+	diagnostics?: Array<Diagnostic>;
+	/**
+	 * Problems that did not stop parsing, like a key that was overridden or an imported
+	 * variable that was never used. This includes warnings from files parsed by resolvers
+	 */
+	warnings: Array<Diagnostic>;
+};
+
+export type Diagnostic = {
+	/**
+	 * The URL of the file, if one was provided when parsing
+	 */
+	file?: URL;
+	row: number;
+	column: number;
+	endRow: number;
+	endColumn: number;
+	message: string;
+	severity: "error" | "warning";
+	/**
+	 * A code from `ErrorCode` for errors, or `WarningCode` for warnings
+	 */
+	code: string;
+};
+
+export type Assignment = {
+	/**
+	 * The value that was assigned
+	 */
+	value: Value;
+	/**
+	 * Where the key and value were written
+	 */
+	location: SourceMapping;
+	/**
+	 * How the variable the value was taken from was written (eg. `$foo.bar`), if it was
+	 */
+	variable?: string;
+};
+
+export type Provenance = Assignment & {
+	/**
+	 * The values that were previously assigned to the key path, starting with the most recent
+	 */
+	overridden: Array<Assignment>;
+};
+
+export type SourceMapping = {
+	/**
+	 * Where the key was written. Array items don't have a key, so this is `null` for them
+	 */
+	key: SourceLocation | null;
+	/**
+	 * Where the value was written. For the `true` shorthand (ie. `key` on its own), this
+	 * is the same as the key
+	 */
+	value: SourceLocation;
+};
+
+export type SourceLocation = {
+	/**
+	 * The URL of the file, if one was provided when parsing
+	 */
+	file?: URL;
+	row: number;
+	column: number;
+	/**
+	 * The row of the last character
+	 */
+	endRow: number;
+	/**
+	 * The column after the last character
+	 */
+	endColumn: number;
+};
+
+export type SchemaType =
+	| "string"
+	| "number"
+	| "integer"
+	| "boolean"
+	| "null"
+	| "array"
+	| "object"
+	| "any";
+
+/**
+ * A schema for a value. Every rule is optional, and rules that don't apply to the
+ * value (eg. `pattern` for a number) are ignored
+ */
+export type Schema = {
+	/**
+	 * The type the value has to be, or one of the types if given an array
+	 */
+	type?: SchemaType | Array<SchemaType>;
+	/**
+	 * If the key has to be in the object, for schemas in `keys`
+	 */
+	required?: boolean;
+	/**
+	 * The values that are allowed
+	 */
+	enum?: Array<unknown>;
+	/**
+	 * The smallest number allowed, or the shortest length for strings and arrays
+	 */
+	min?: number;
+	/**
+	 * The largest number allowed, or the longest length for strings and arrays
+	 */
+	max?: number;
+	/**
+	 * A regular expression strings have to match
+	 */
+	pattern?: string;
+	/**
+	 * The schema for every item in an array
+	 */
+	items?: Schema;
+	/**
+	 * The schemas for the keys of an object
+	 */
+	keys?: Record<string, Schema>;
+	/**
+	 * The schema for the keys of an object that are not in `keys`
+	 */
+	values?: Schema;
+	/**
+	 * Schemas where the value has to match at least one of them
+	 */
+	union?: Array<Schema>;
+	/**
+	 * What the value is for, which is not checked but used as the doc comment
+	 * in `generateTypes()`
+	 */
+	description?: string;
+	/**
+	 * The value for the key when it is missing, for schemas in `keys`
+	 */
+	default?: unknown;
+	/**
+	 * If the key should no longer be used, for schemas in `keys`. Parsing warns about it
+	 */
+	deprecated?: boolean | Deprecation;
+};
+
+export type Deprecation = {
+	/**
+	 * The key path from the root of the document that replaces the key (eg. `server.port`)
+	 */
+	replacement?: string;
+	/**
+	 * Move the value to `replacement`, unless it already has a value
+	 *
+	 * @default false
+	 */
+	move?: boolean;
+};
+
+/**
+ * A validator implementing the Standard Schema interface (https://standardschema.dev),
+ * like the schemas from Zod, Valibot and ArkType
+ */
+export type StandardSchema<Input = unknown, Output = Input> = {
+	readonly "~standard": {
+		readonly version: 1;
+		readonly vendor: string;
+		readonly validate: (
+			value: unknown,
+		) => StandardResult<Output> | Promise<StandardResult<Output>>;
+		readonly types?: { readonly input: Input; readonly output: Output } | undefined;
+	};
+};
+
+export type StandardResult<Output> =
+	| { readonly value: Output; readonly issues?: undefined }
+	| { readonly issues: ReadonlyArray<StandardIssue> };
+
+export type StandardIssue = {
+	readonly message: string;
+	readonly path?: ReadonlyArray<PropertyKey | { readonly key: PropertyKey }> | undefined;
+};
+
+/**
+ * The type of the data after it is validated by a Standard Schema
+ */
+export type StandardOutput<TSchema extends StandardSchema> = NonNullable<
+	TSchema["~standard"]["types"]
+>["output"];
+
+export type ParseWithResult<TSchema extends StandardSchema> = Omit<ParseResult<Value>, "data"> & {
+	data: StandardOutput<TSchema>;
+};
+
+export type JsonSchemaType =
+	| "string"
+	| "number"
+	| "integer"
+	| "boolean"
+	| "null"
+	| "array"
+	| "object";
+
+/**
+ * The subset of JSON Schema (draft 2020-12) that `validate()` supports. Other keywords
+ * are ignored, and `$ref` can only point into the same schema (eg. `#/$defs/server`)
+ */
+export type JsonSchema =
+	| boolean
+	| {
+			$schema?: string;
+			$ref?: string;
+			$defs?: Record<string, JsonSchema>;
+			description?: string;
+			default?: unknown;
+			deprecated?: boolean | Deprecation;
+			type?: JsonSchemaType | Array<JsonSchemaType>;
+			enum?: Array<unknown>;
+			const?: unknown;
+			minimum?: number;
+			maximum?: number;
+			exclusiveMinimum?: number;
+			exclusiveMaximum?: number;
+			minLength?: number;
+			maxLength?: number;
+			minItems?: number;
+			maxItems?: number;
+			pattern?: string;
+			items?: JsonSchema;
+			required?: Array<string>;
+			properties?: Record<string, JsonSchema>;
+			additionalProperties?: JsonSchema;
+			anyOf?: Array<JsonSchema>;
+			oneOf?: Array<JsonSchema>;
+			allOf?: Array<JsonSchema>;
+			[keyword: string]: unknown;
+	  };
+
+export type ValidateOptions = {
+	/**
+	 * The `sourceMap` from parsing the data, to include where the invalid values are
+	 */
+	sourceMap?: Record<string, SourceMapping>;
+};
+
+export type NormalizeResult = {
+	/**
+	 * The data with defaults filled in and deprecated keys moved. Objects and arrays
+	 * are the same ones that were passed in, since they are changed in place
+	 */
+	data: unknown;
+	/**
+	 * The deprecated keys that are in the data, with `DEPRECATED_KEY` as their code
+	 */
+	deprecations: Array<SchemaIssue>;
+};
+
+export type CoerceResult = {
+	/**
+	 * The data with the values converted. Objects and arrays are the same ones that were
+	 * passed in, since they are converted in place
+	 */
+	data: unknown;
+	/**
+	 * The values that could not be converted, which are left as they were
+	 */
+	issues: Array<SchemaIssue>;
+};
+
+export type SchemaIssue = {
+	/**
+	 * The key path of the invalid value
+	 */
+	path: Array<Key>;
+	/**
+	 * The serialized key path (eg. `servers[0].host`), or an empty string for the data itself
+	 */
+	key: string;
+	message: string;
+	/**
+	 * A code from `ErrorCode`
+	 */
+	code: string;
+	/**
+	 * Where the invalid value is, if a source map was provided. For missing keys,
+	 * this is where the object they are missing from is
+	 */
+	location?: SourceLocation;
+};
+
+export type GenerateTypesSource =
+	| {
+			/**
+			 * The schema the config is validated against
+			 */
+			schema: Schema | JsonSchema;
+	  }
+	| {
+			/**
+			 * The data from parsing a representative config. Arrays are typed from
+			 * all of their items, so keys missing from some of them are optional
+			 */
+			data: unknown;
+	  };
+
+export type GenerateTypesOptions = {
+	/**
+	 * The name of the interface for the whole config. Nested objects are named
+	 * after it (eg. `ConfigServer`)
+	 *
+	 * @default "Config"
+	 */
+	name?: string;
+	/**
+	 * Comments to use as the doc comments of keys, from `extractComments()`
+	 */
+	comments?: Record<string, DocComment>;
+};
+
+export type StringifyOptions = {
+	/**
+	 * The string to use for each level of indentation. If a number is
+	 * provided, that many spaces will be used instead
+	 *
+	 * @default "\t"
+	 */
+	indent?: string | number;
+};
+
+export type FormatOptions = {
+	/**
+	 * Whether to indent with tabs or spaces
+	 *
+	 * @default "tab"
+	 */
+	indentStyle?: "tab" | "space";
+	/**
+	 * The number of spaces for each level of indentation. When indenting with
+	 * tabs, this is the width a tab counts for when measuring lines
+	 *
+	 * @default 4
+	 */
+	indentWidth?: number;
+	/**
+	 * The width lines should fit in. Arrays and inline objects that would go
+	 * past it are split across multiple lines
+	 *
+	 * @default 100
+	 */
+	lineWidth?: number;
+	/**
+	 * Sort entries by the first part of their key. Entries are only sorted within groups
+	 * separated by blank lines, standalone comments, statements, variables and `ref()` tags,
+	 * so the meaning of the document does not change. Custom resolvers that look up other
+	 * keys in the document are not accounted for
+	 *
+	 * @default false
+	 */
+	sortKeys?: boolean;
+};
+
+/**
+ * Structured information about an error. Which fields are set depends on the error code
+ */
+export type ErrorDetails = {
+	/**
+	 * The key path the error is for (eg. the duplicate key)
+	 */
+	key?: string;
+	/**
+	 * The name of the variable the error is for, including the `$`
+	 */
+	variable?: string;
+	/**
+	 * The name of the tag the error is from
+	 */
+	tag?: string;
+	/**
+	 * The name of the statement the error is from
+	 */
+	statement?: string;
+	/**
+	 * What was expected, as a token type for syntax errors (eg. `RBRACE`)
+	 */
+	expected?: string;
+	/**
+	 * What was found instead, as a token type for syntax errors
+	 * or the type of the value for resolvers
+	 */
+	actual?: string;
+	/**
+	 * The source text the error is for (eg. the invalid number or escape sequence)
+	 */
+	literal?: string;
+	/**
+	 * The path of the file the error is for, as it was written
+	 */
+	file?: string;
+	/**
+	 * Known names close to the one that was not found, closest first
+	 */
+	suggestions?: Array<string>;
+	/**
+	 * Every key path the error is for, when there is more than one (eg. missing required keys)
+	 */
+	keys?: Array<string>;
+	[key: string]: unknown;
+};
+
+export type IncludeLocation = {
+	/**
+	 * The URL of the file with the `import` or `extends`, if one was provided when parsing
+	 */
+	file?: URL;
+	row: number;
+	column: number;
+};
+
+export type ErrorFormatOptions = {
+	/**
+	 * Highlight the output with ANSI escape codes
+	 *
+	 * @default false
+	 */
+	color?: boolean;
+	/**
+	 * The number of lines to show before and after the line with the error
+	 *
+	 * @default 2
+	 */
+	context?: number;
+	/**
+	 * The file name to show. This defaults to the file the error is in, if one was
+	 * provided when parsing
+	 */
+	file?: URL | string;
+};
+
+export type DocComment = {
+	/**
+	 * The text of the comment lines directly above the key, without the
+	 * leading `//`. Multiple lines are joined with `\n`
+	 */
+	leading: string | null;
+	/**
+	 * The text of the comment at the end of the line the entry ends on
+	 */
+	trailing: string | null;
 };
 
 export type TagResolver = (context: ResolverContext) => Promise<Value>;
 export type StatementResolver = (context: ResolverContext) => Promise<StatementAction>;
 export type FileLoader = (rootDir: string, path: string, args?: FileLoaderArgs) => Promise<string>;
+export type FileURLResolver = (rootDir: string, path: string) => URL;
 
 export type ResolverContext = {
 	/**
@@ -121,6 +660,15 @@ export type ResolverContext = {
 	 * provided to the parser and return its raw content
 	 */
 	loadFile: (path: string, args?: FileLoaderArgs) => Promise<string> | string;
+	/**
+	 * Get the URL of the file at the given path, as it would be loaded by `loadFile`.
+	 * This should be passed as the `file` when parsing the file
+	 */
+	getFileURL: (path: string) => URL;
+	/**
+	 * Add a warning at the tag or statement being resolved. This does not stop parsing
+	 */
+	warn: (message: string) => void;
 	/**
 	 * What the current arguments are for parsing values
 	 */
@@ -186,6 +734,12 @@ export type SetVariableArgs = {
 	 * @default false
 	 */
 	exportOnly?: boolean;
+	/**
+	 * Warn if the variable is never used in the document (eg. for imported variables)
+	 *
+	 * @default false
+	 */
+	warnIfUnused?: boolean;
 };
 
 export type FileLoaderArgs = {
@@ -311,3 +865,95 @@ export type ParsedNumber = {
 // Represents a node in the config tree that can hold children.
 // Essentially its a union of an array and object, but typed to allow flexible access.
 export type Container = Record<string | number, Value>;
+
+type CstBase<T extends string> = {
+	type: T;
+	/**
+	 * Every token and node that makes up this node, in source order. This includes
+	 * trivia (whitespace, comments and newlines), so printing the children of a node
+	 * gives back its exact source
+	 */
+	children: CstElement[];
+	/**
+	 * Offset of the first character of the node in the input
+	 */
+	start: number;
+	/**
+	 * Offset after the last character of the node in the input
+	 */
+	end: number;
+};
+
+export type CstElement = CstNode | Token;
+
+export type CstNode =
+	| CstDocument
+	| CstEntry
+	| CstStatement
+	| CstKey
+	| CstObject
+	| CstArray
+	| CstTag
+	| CstString
+	| CstEmbeddedValue
+	| CstNumber
+	| CstLiteral;
+
+export type CstValue = CstKey | CstObject | CstArray | CstTag | CstString | CstNumber | CstLiteral;
+
+export type CstDocument = CstBase<"DOCUMENT"> & {
+	/**
+	 * Key-value pairs and statements at the top level of the document
+	 */
+	body: Array<CstEntry | CstStatement>;
+};
+
+export type CstEntry = CstBase<"ENTRY"> & {
+	key: CstKey;
+	operation: Exclude<Operation, "statement">;
+	/**
+	 * The `=` or `<<` token. This is `null` for the object and `true` shorthands
+	 */
+	operator: Token | null;
+	/**
+	 * The value being assigned. This is `null` for the `true` shorthand (ie. `foo`)
+	 */
+	value: CstValue | null;
+};
+
+export type CstStatement = CstBase<"STATEMENT"> & {
+	key: CstKey;
+	args: CstValue[];
+};
+
+/**
+ * A key or key path. This is also used for variables and key paths used as values
+ * (eg. `$foo.bar`). Quoted key parts are `CstString` children
+ */
+export type CstKey = CstBase<"KEY">;
+
+export type CstObject = CstBase<"OBJECT"> & {
+	body: Array<CstEntry | CstStatement>;
+};
+
+export type CstArray = CstBase<"ARRAY"> & {
+	items: CstValue[];
+};
+
+export type CstTag = CstBase<"TAG"> & {
+	name: Token;
+	args: CstValue[];
+};
+
+/**
+ * A string, with its content, escape sequences and embedded values as children
+ */
+export type CstString = CstBase<"STRING">;
+
+export type CstEmbeddedValue = CstBase<"EMBEDDED_VALUE"> & {
+	value: CstValue;
+};
+
+export type CstNumber = CstBase<"NUMBER">;
+
+export type CstLiteral = CstBase<"BOOLEAN" | "NULL">;
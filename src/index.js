@@ -1,2 +1,10 @@
 export { tokenize } from "./lexer.js";
-export { parse } from "./parse.js";
+export { parse, parseWith } from "./parse.js";
+export { stringify } from "./stringify.js";
+export { parseCST, printCST } from "./cst.js";
+export { format } from "./format.js";
+export { edit } from "./edit.js";
+export { extractComments } from "./comments.js";
+export { coerce, normalize, validate } from "./schema.js";
+export { generateTypes } from "./types.js";
+export { BconfError, CodedError, ErrorCode, WarningCode } from "./error.js";
@@ -1,7 +1,10 @@
 /**
- * @typedef {{ mode: number, stringType: number }} LexerContext
+ * @typedef {{ mode: number, stringType: number, start?: { row: number, column: number } }} LexerContext
+ * @typedef {{ reason: string, code: string }} TokenError
  */
 
+import { ErrorCode } from "./error.js";
+
 /**
  * @param {string} input Input bconf file
  */
@@ -86,6 +89,21 @@ export class Token {
 		this.literal = literal;
 		this.row = row;
 		this.column = column;
+
+		// Set by the lexer once the token has been read
+		/** The offset of the first character of the token in the input */
+		this.start = 0;
+		/** The offset after the last character of the token in the input */
+		this.end = 0;
+		/** The row the token ends on. For newlines, this is the row after it */
+		this.endRow = row;
+		/** The column after the last character of the token */
+		this.endColumn = column;
+		/**
+		 * Why the lexer could not read the token, for `ILLEGAL` tokens
+		 * @type {TokenError | null}
+		 */
+		this.error = null;
 	}
 }
 
@@ -111,6 +129,19 @@ export class Lexer {
 		return this.contextStack[this.contextStack.length - 1];
 	}
 
+	/**
+	 * @param {string} literal
+	 * @param {number} column
+	 * @param {string} reason
+	 * @param {string=} code
+	 * @returns {Token}
+	 */
+	illegal(literal, column, reason, code = ErrorCode.ILLEGAL_CHARACTER) {
+		const token = new Token(TokenType.ILLEGAL, literal, this.row, column);
+		token.error = { reason, code };
+		return token;
+	}
+
 	/**
 	 * @param {number} n
 	 * @returns {string | null}
@@ -274,8 +305,29 @@ export class Lexer {
 					return new Token(TokenType.STRING_CONTENT, literal, this.row, startCol);
 				}
 
+				// Strings can only span multiple lines when they are triple-quoted. The string ends
+				// with the line, so the newline is left to be read as usual after its context
+				if (currChar === "\n") {
+					const index = this.contextStack.findLastIndex(
+						(context) => context.mode === LexerMode.STRING,
+					);
+					const token = this.illegal(
+						"",
+						startCol,
+						this.unterminatedStringReason(),
+						ErrorCode.UNTERMINATED_STRING,
+					);
+					this.contextStack.length = Math.max(1, index);
+					return token;
+				}
+
+				const token = this.illegal(
+					currChar,
+					startCol,
+					getIllegalStringCharReason(currChar),
+				);
 				this.advance();
-				return new Token(TokenType.ILLEGAL, currChar, this.row, startCol);
+				return token;
 			}
 
 			this.advance();
@@ -290,6 +342,15 @@ export class Lexer {
 		return null;
 	}
 
+	/**
+	 * @returns {string}
+	 */
+	unterminatedStringReason() {
+		const string = this.contextStack.findLast((context) => context.mode === LexerMode.STRING);
+		const kind = string?.stringType === StringType.TRIPLE ? "triple-quoted string" : "string";
+		return `unterminated ${kind} starting at ${string?.start?.row}:${string?.start?.column}`;
+	}
+
 	/**
 	 * @returns {Token}
 	 */
@@ -298,6 +359,14 @@ export class Lexer {
 		const col = this.column;
 
 		if (char === null) {
+			// Strings that are still open are reported before the end of the input, so
+			// the error points out where the string started
+			if (this.contextStack.some((context) => context.mode === LexerMode.STRING)) {
+				const reason = this.unterminatedStringReason();
+				this.contextStack = [this.contextStack[0]];
+				return this.illegal("", col, reason, ErrorCode.UNTERMINATED_STRING);
+			}
+
 			return new Token(TokenType.EOF, null, this.row, col);
 		}
 
@@ -322,7 +391,7 @@ export class Lexer {
 					return this.readComment();
 				}
 				this.advance();
-				return new Token(TokenType.ILLEGAL, "/", this.row, col);
+				return this.illegal("/", col, "unexpected '/', comments start with '//'");
 			case "=":
 				this.advance();
 				return new Token(TokenType.ASSIGN, "=", this.row, col);
@@ -332,7 +401,7 @@ export class Lexer {
 					return new Token(TokenType.APPEND, "<<", this.row, col);
 				}
 				this.advance();
-				return new Token(TokenType.ILLEGAL, "<", this.row, col);
+				return this.illegal("<", col, "unexpected '<', appending uses '<<'");
 			case ".":
 				this.advance();
 				return new Token(TokenType.DOT, ".", this.row, col);
@@ -381,7 +450,7 @@ export class Lexer {
 					return this.readVariable();
 				}
 				this.advance();
-				return new Token(TokenType.ILLEGAL, "$", this.row, col);
+				return this.illegal("$", col, "expected a variable name after '$'");
 			case "{":
 				this.advance();
 				return new Token(TokenType.LBRACE, "{", this.row, col);
@@ -390,7 +459,7 @@ export class Lexer {
 				if (this.currentContext.mode === LexerMode.EMBEDDED_VALUE) {
 					if (this.contextStack.length <= 1) {
 						// Orphaned closing brace outside any embedded value
-						return new Token(TokenType.ILLEGAL, "}", this.row, col);
+						return this.illegal("}", col, "unexpected '}'");
 					}
 
 					this.contextStack.pop();
@@ -409,7 +478,7 @@ export class Lexer {
 					return new Token(TokenType.NEWLINE, "\r\n", this.row, col);
 				}
 				this.advance();
-				return new Token(TokenType.ILLEGAL, "\r", this.row, col);
+				return this.illegal("\r", col, "unexpected carriage return");
 
 			case '"': {
 				const isTripleQuote = this.peek(1) === '"' && this.peek(2) === '"';
@@ -420,6 +489,7 @@ export class Lexer {
 					this.contextStack.push({
 						mode: LexerMode.STRING,
 						stringType: isTripleQuote ? StringType.TRIPLE : StringType.DOUBLE,
+						start: { row: this.row, column: col },
 					});
 				}
 
@@ -438,7 +508,7 @@ export class Lexer {
 				}
 
 				this.advance();
-				return new Token(TokenType.ILLEGAL, char, this.row, col);
+				return this.illegal(char, col, getIllegalCharReason(char));
 		}
 	}
 
@@ -446,7 +516,16 @@ export class Lexer {
 	 * @returns {Token}
 	 */
 	next() {
+		const start = this.position;
 		const token = this.readToken();
+
+		// Everything that is consumed while reading a token is a part of it, so
+		// its end is wherever the lexer ended up
+		token.start = start;
+		token.end = this.position;
+		token.endRow = this.row;
+		token.endColumn = this.column;
+
 		this.lastToken = token;
 		return token;
 	}
@@ -512,3 +591,38 @@ function isAllowedChar(char, type) {
 
 	return !disallowed;
 }
+
+/**
+ * @param {string} char A character that is not allowed in a string
+ * @returns {string}
+ */
+function getIllegalStringCharReason(char) {
+	if (char === "\r") {
+		return "unexpected carriage return";
+	}
+
+	if (char === '"' || char === "$" || char === "\\") {
+		return `'${char}' must be escaped in strings`;
+	}
+
+	return `control character ${formatCodePoint(char)} not allowed in string`;
+}
+
+/**
+ * @param {string} char A character that is not allowed outside of strings
+ * @returns {string}
+ */
+function getIllegalCharReason(char) {
+	return isDisallowedChar(char)
+		? `unexpected control character ${formatCodePoint(char)}`
+		: `unexpected character '${char}'`;
+}
+
+/**
+ * @param {string} char
+ * @returns {string} The code point of the character (eg. `U+0007`)
+ */
+function formatCodePoint(char) {
+	const code = char.codePointAt(0) ?? 0;
+	return `U+${code.toString(16).toUpperCase().padStart(4, "0")}`;
+}
@@ -318,7 +318,10 @@ describe("Strings", () => {
 		assert.strictEqual(tokens[1].type, TokenType.STRING_CONTENT);
 		assert.strictEqual(tokens[1].literal, "hello");
 		assert.strictEqual(tokens[2].type, TokenType.ILLEGAL);
-		assert.strictEqual(tokens[2].literal, "\n");
+		assert.strictEqual(tokens[2].literal, "");
+		assert.strictEqual(tokens[3].type, TokenType.NEWLINE);
+		assert.strictEqual(tokens[4].type, TokenType.IDENTIFIER);
+		assert.strictEqual(tokens[4].literal, "world");
 	});
 });
 
@@ -762,6 +765,46 @@ describe("Position Tracking", () => {
 		assert.strictEqual(tokens[2].row, 2);
 		assert.strictEqual(tokens[2].column, 1);
 	});
+
+	it("should track start and end offsets", () => {
+		const input = 'abc = "x"';
+		const tokens = tokenize(input);
+		assert.deepStrictEqual(
+			tokens.map((token) => input.slice(token.start, token.end)),
+			["abc", " ", "=", " ", '"', "x", '"', ""],
+		);
+		assert.strictEqual(tokens[tokens.length - 1].start, input.length);
+	});
+
+	it("should track end rows and columns", () => {
+		const tokens = tokenize("abc = 123");
+		assert.strictEqual(tokens[0].endRow, 1);
+		assert.strictEqual(tokens[0].endColumn, 4);
+		assert.strictEqual(tokens[4].endColumn, 10);
+	});
+
+	it("should track end positions across CRLF", () => {
+		const input = "a\r\nb";
+		const tokens = tokenize(input);
+		assert.strictEqual(tokens[1].start, 1);
+		assert.strictEqual(tokens[1].end, 3);
+		assert.strictEqual(tokens[1].endRow, 2);
+		assert.strictEqual(tokens[1].endColumn, 1);
+		assert.strictEqual(tokens[2].start, 3);
+		assert.strictEqual(tokens[2].endColumn, 2);
+	});
+
+	it("should track end positions of multi-line strings", () => {
+		const input = 'a = """line 1\nline 2"""';
+		const tokens = tokenize(input);
+		const content = tokens[5];
+		assert.strictEqual(content.type, TokenType.STRING_CONTENT);
+		assert.strictEqual(input.slice(content.start, content.end), "line 1\nline 2");
+		assert.strictEqual(content.endRow, 2);
+		assert.strictEqual(content.endColumn, 7);
+		assert.strictEqual(tokens[6].endRow, 2);
+		assert.strictEqual(tokens[6].endColumn, 10);
+	});
 });
 
 describe("Edge Cases", () => {
@@ -794,6 +837,7 @@ describe("Edge Cases", () => {
 		assert.deepStrictEqual(types, [
 			TokenType.DOUBLE_QUOTE,
 			TokenType.STRING_CONTENT,
+			TokenType.ILLEGAL,
 			TokenType.EOF,
 		]);
 	});
@@ -805,6 +849,7 @@ describe("Edge Cases", () => {
 			TokenType.DOUBLE_QUOTE,
 			TokenType.EMBEDDED_VALUE_START,
 			TokenType.IDENTIFIER,
+			TokenType.ILLEGAL,
 			TokenType.EOF,
 		]);
 	});
@@ -893,3 +938,80 @@ describe("Edge Cases", () => {
 		assert.strictEqual(tokens[2].literal, "23e10");
 	});
 });
+
+describe("Illegal Tokens", () => {
+	/**
+	 * @param {string} input
+	 */
+	function getIllegal(input) {
+		const token = tokenize(input).find((t) => t.type === TokenType.ILLEGAL);
+		assert.ok(token, "expected an illegal token");
+		return { literal: token.literal, row: token.row, column: token.column, ...token.error };
+	}
+
+	it("should report unterminated strings with where they start", () => {
+		assert.deepStrictEqual(getIllegal('a = "value'), {
+			literal: "",
+			row: 1,
+			column: 11,
+			reason: "unterminated string starting at 1:5",
+			code: "UNTERMINATED_STRING",
+		});
+		assert.deepStrictEqual(getIllegal('a = 1\nb = """\nvalue\n'), {
+			literal: "",
+			row: 4,
+			column: 1,
+			reason: "unterminated triple-quoted string starting at 2:5",
+			code: "UNTERMINATED_STRING",
+		});
+	});
+
+	it("should report strings that are unterminated at the end of a line", () => {
+		assert.deepStrictEqual(getIllegal('a = "value\nb = 1'), {
+			literal: "",
+			row: 1,
+			column: 11,
+			reason: "unterminated string starting at 1:5",
+			code: "UNTERMINATED_STRING",
+		});
+	});
+
+	it("should report unterminated strings with an embedded value", () => {
+		const tokens = tokenize('"${value');
+		assert.deepStrictEqual(tokens.at(-2)?.error, {
+			reason: "unterminated string starting at 1:1",
+			code: "UNTERMINATED_STRING",
+		});
+		assert.strictEqual(tokens.at(-1)?.type, TokenType.EOF);
+	});
+
+	it("should report carriage returns that are not a part of a newline", () => {
+		assert.strictEqual(getIllegal("a = 1\r b = 2").reason, "unexpected carriage return");
+		assert.strictEqual(getIllegal('"a\rb"').reason, "unexpected carriage return");
+	});
+
+	it("should report control characters", () => {
+		assert.deepStrictEqual(getIllegal('"a\u0007"'), {
+			literal: "\u0007",
+			row: 1,
+			column: 3,
+			reason: "control character U+0007 not allowed in string",
+			code: "ILLEGAL_CHARACTER",
+		});
+		assert.strictEqual(getIllegal("a = \u001b").reason, "unexpected control character U+001B");
+	});
+
+	it("should report characters that need to be escaped in strings", () => {
+		assert.strictEqual(getIllegal('"cost $5"').reason, "'$' must be escaped in strings");
+	});
+
+	it("should report stray characters", () => {
+		assert.strictEqual(
+			getIllegal("a = 1 / 2").reason,
+			"unexpected '/', comments start with '//'",
+		);
+		assert.strictEqual(getIllegal("a < 1").reason, "unexpected '<', appending uses '<<'");
+		assert.strictEqual(getIllegal("a = $").reason, "expected a variable name after '$'");
+		assert.strictEqual(getIllegal("a = 1 ; b = 2").reason, "unexpected character ';'");
+	});
+});
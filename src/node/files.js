@@ -2,6 +2,8 @@
 
 import { readFile } from "node:fs/promises";
 import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { CodedError, ErrorCode } from "../error.js";
 
 /** @type {FileLoader} */
 export async function resolveFile(root, path, opts = {}) {
@@ -16,9 +18,20 @@ export async function resolveFile(root, path, opts = {}) {
 		encoding: "utf-8",
 		signal: controller.signal,
 	}).catch(() => {
-		throw new Error(`no such file or directory '${finalPath}'`);
+		throw new CodedError(`no such file or directory '${finalPath}'`, ErrorCode.FILE_NOT_FOUND, {
+			file: path,
+		});
 	});
 	clearTimeout(abortTimeout);
 
 	return file;
 }
+
+/**
+ * @param {string} root
+ * @param {string} path
+ * @returns {URL} The URL of the file `resolveFile` would read
+ */
+export function resolveURL(root, path) {
+	return pathToFileURL(resolve(root, path));
+}
@@ -0,0 +1,9 @@
+import { fileURLToPath } from "node:url";
+
+/**
+ * @param {URL} url A `file:` URL
+ * @returns {string} The path on disk, which is what the default loader reads
+ */
+export function toFilePath(url) {
+	return fileURLToPath(url);
+}
@@ -1,22 +1,34 @@
 /**
- * @import { Key, Operation, ParsedNumber, Value, NextArgs, ResolverContext, StatementResolver, TagResolver, ParseOptions, FileLoader, StatementAction, Container, ParseResult, SerializableValue } from './index.js'
+ * @import { Key, Operation, ParsedNumber, Value, NextArgs, ResolverContext, StatementResolver, TagResolver, ParseOptions, FileLoader, FileURLResolver, StatementAction, Container, ParseResult, SerializableValue, SourceLocation, SourceMapping, Assignment, Provenance, Diagnostic, ErrorDetails, StrictOptions, SchemaIssue, Schema, JsonSchema, StandardSchema, ParseWithResult } from './index.js'
  * @import { Token } from './lexer.js'
  */
 
+/**
+ * @typedef {Assignment & { path: Array<Key>, overridden: Array<Assignment> }} SourceRecord
+ */
+
 import { Keywords, tokenize, TokenType } from "./lexer.js";
 import { BUILT_IN_STATEMENT_RESOLVERS, BUILT_IN_TAG_RESOLVERS } from "./resolvers.js";
+import { coerce, isStandardSchema, normalize, validate, validateStandard } from "./schema.js";
+import { serializeKeyPath } from "./stringify.js";
 import {
 	deepMerge,
 	getParentForKey,
+	formatSuggestions,
+	getSuggestions,
 	getValueAtPath,
+	getValueType,
 	isObject,
 	looksLikeNumber,
+	parseEscapeSequence,
 	validateAndParseNumber,
 } from "./utils.js";
 import { Collection, KeyPath, Statement, Tag, unwrap } from "./values.js";
-import { BconfError } from "./error.js";
+import { BconfError, CodedError, ErrorCode, getTokenDetails, WarningCode } from "./error.js";
 
 const EXPONENT_REGEX = /[eE]/;
+/** Where errors that aren't in a specific part of the document are */
+const DOCUMENT_START = { row: 1, column: 1, endRow: 1, endColumn: 1 };
 
 /**
  * Parse a bconf file
@@ -30,6 +42,21 @@ export function parse(input, opts) {
 	return parser.parse();
 }
 
+/**
+ * Parse a bconf file and validate it with a Standard Schema (eg. from Zod or Valibot), so
+ * the data has the type of the schema's output. The issues are thrown as a `BconfError`
+ * at where the value is, like with the `schema` option
+ * @template {StandardSchema} TSchema
+ * @param {TSchema} schema
+ * @param {string} input Input bconf file
+ * @param {Omit<ParseOptions, "schema">=} opts Options for parsing
+ * @returns {Promise<ParseWithResult<TSchema>>}
+ */
+export async function parseWith(schema, input, opts) {
+	const result = await parse(input, { ...opts, schema });
+	return /** @type {ParseWithResult<TSchema>} */ (/** @type {unknown} */ (result));
+}
+
 const browser = typeof window !== "undefined";
 const defaultLoader = await (browser ? import("./browser/files.js") : import("./node/files.js"));
 const defaultEnv = /** @type {Record<string, unknown>} */ (browser ? window : process.env);
@@ -69,6 +96,73 @@ class Scope {
 
 		return { found: false };
 	}
+
+	/**
+	 * Find the names closest to the part of a path that could not be resolved
+	 * @param {KeyPath} path A path that could not be resolved
+	 * @returns {Array<string>} The path with that part replaced by each of the names
+	 */
+	suggest(path) {
+		const [first, ...rest] = path.parts;
+		if (first.type === "index") {
+			return [];
+		}
+
+		/** @type {Scope | null} */
+		let scope = this;
+		while (scope && !Object.hasOwn(scope.variables, first.key)) {
+			scope = scope.parent;
+		}
+
+		if (!scope) {
+			/** @type {Array<string>} */
+			const names = [];
+			for (
+				let current = /** @type {Scope | null} */ (this);
+				current;
+				current = current.parent
+			) {
+				names.push(...Object.keys(current.variables));
+			}
+
+			return getSuggestions(first.key, names).map((name) =>
+				new KeyPath([{ ...first, key: name }, ...rest]).serialize(),
+			);
+		}
+
+		// The variable exists, so the suggestions are for the first key in it that doesn't
+		let current = scope.variables[first.key];
+		for (let i = 0; i < rest.length; i++) {
+			const part = rest[i];
+			if (part.type === "index") {
+				if (!Array.isArray(current)) {
+					return [];
+				}
+
+				current = current[part.index];
+				continue;
+			}
+
+			if (!isObject(current)) {
+				return [];
+			}
+
+			if (!Object.hasOwn(current, part.key)) {
+				return getSuggestions(part.key, Object.keys(current)).map((key) =>
+					new KeyPath([
+						first,
+						...rest.slice(0, i),
+						{ ...part, key },
+						...rest.slice(i + 1),
+					]).serialize(),
+				);
+			}
+
+			current = current[part.key];
+		}
+
+		return [];
+	}
 }
 
 class Parser {
@@ -77,12 +171,49 @@ class Parser {
 	// ----------------------
 	/** @type {ParseOptions} */ opts;
 	/** @type {Record<string, Value>} */ result = {};
+	/**
+	 * If the document is being parsed for a resolver (ie. with `extends`), which is
+	 * only a part of the data, so it isn't validated against the schema
+	 */
+	nested = false;
+	/**
+	 * The fallbacks that are errors instead
+	 * @type {Required<StrictOptions>}
+	 */
+	strict = {
+		unknownTags: false,
+		unknownStatements: false,
+		appendToNonArray: false,
+		arrayGaps: false,
+	};
+	/**
+	 * The errors that were recovered from. Only collected when `recover` is enabled
+	 * @type {Array<Diagnostic> | null}
+	 */
+	diagnostics = null;
+	/**
+	 * Problems that did not stop parsing (eg. a key that was overridden)
+	 * @type {Array<Diagnostic>}
+	 */
+	warnings = [];
+	/**
+	 * Errors thrown while parsing values for resolvers, which are passed through as is
+	 * @type {WeakSet<BconfError>}
+	 */
+	valueErrors = new WeakSet();
+	/**
+	 * Errors thrown while parsing files for resolvers, which are passed through
+	 * with where the file was included from
+	 * @type {WeakSet<BconfError>}
+	 */
+	includedErrors = new WeakSet();
 
 	// ----------------------
 	// TOKENS
 	// ----------------------
 	/** @type {Array<Token>} */ tokens;
 	/** @type {Token} */ currentToken;
+	/** @type {Token} */ previousToken;
 	/** @type {number} */ position;
 
 	// ----------------------
@@ -91,6 +222,11 @@ class Parser {
 	/** @type {Scope} */ rootScope = new Scope(null);
 	/** @type {Scope} */ currentScope = this.rootScope;
 	/** @type {Record<string, Value>} */ exportedVariables = {};
+	/**
+	 * Imported variables that have not been used yet, and the statement that imported them
+	 * @type {Map<string, Token>}
+	 */
+	unusedImports = new Map();
 
 	// ----------------------
 	// RESOLVERS / FILES
@@ -102,9 +238,36 @@ class Parser {
 		/** @type {Map<string, TagResolver>} */ tags: new Map(BUILT_IN_TAG_RESOLVERS),
 	};
 	/** @type {Record<string, unknown>} */ env = defaultEnv;
-	/** @type {FileLoader} */ fileLoader = defaultLoader.resolveFile;
+	/** @type {FileLoader & { resolveURL?: FileURLResolver }} */ fileLoader =
+		defaultLoader.resolveFile;
 	/** @type {string} */ rootFilePath = browser ? "/" : import.meta.dirname;
 
+	// ----------------------
+	// SOURCES
+	// ----------------------
+	/**
+	 * The key path of the block or array being parsed, or `null` when
+	 * what is being parsed does not end up in the data (ie. variables)
+	 * @type {Array<Key> | null}
+	 */
+	path = [];
+	/**
+	 * Where each key path was last assigned in this document, to warn when it is overridden
+	 * @type {Map<string, Token>}
+	 */
+	assignedKeys = new Map();
+	/**
+	 * Where each key path was assigned. Only tracked when `sourceMap` or `provenance` is enabled
+	 * @type {Map<string, SourceRecord> | null}
+	 */
+	sources = null;
+	/**
+	 * The sources of documents parsed by resolvers, so they can be carried
+	 * over if the document is merged into this one (ie. with `extends`)
+	 * @type {WeakMap<object, Map<string, SourceRecord>>}
+	 */
+	parsedSources = new WeakMap();
+
 	/**
 	 * @param {string} input The file to parse
 	 * @param {ParseOptions=} opts Options for parsing
@@ -137,6 +300,26 @@ class Parser {
 			this.fileLoader = opts.loader;
 		}
 
+		if (opts?.recover) {
+			this.diagnostics = [];
+		}
+
+		if (opts?.strict === true) {
+			this.strict = {
+				unknownTags: true,
+				unknownStatements: true,
+				appendToNonArray: true,
+				arrayGaps: true,
+			};
+		} else if (opts?.strict) {
+			Object.assign(this.strict, opts.strict);
+		}
+
+		// Sources are also needed for where values that don't match the schema are
+		if (opts?.sourceMap || opts?.provenance || opts?.schema) {
+			this.sources = new Map();
+		}
+
 		if (opts?.variables) {
 			for (const [name, value] of Object.entries(opts.variables)) {
 				this.currentScope.define(name, value);
@@ -148,6 +331,7 @@ class Parser {
 			(t) => t.type !== TokenType.COMMENT && t.type !== TokenType.WHITESPACE,
 		);
 		this.currentToken = this.tokens[this.position];
+		this.previousToken = this.currentToken;
 	}
 
 	// ----------------------
@@ -167,10 +351,146 @@ class Parser {
 	}
 
 	advance() {
+		this.previousToken = this.currentToken;
 		this.currentToken = this.peek();
 		this.position++;
 	}
 
+	/**
+	 * @param {BconfError} error
+	 */
+	addDiagnostic(error) {
+		this.diagnostics?.push({
+			file: error.file ?? this.opts.file,
+			row: error.row,
+			column: error.column,
+			endRow: error.endRow,
+			endColumn: error.endColumn,
+			message: error.reason,
+			severity: "error",
+			code: error.code,
+		});
+	}
+
+	/**
+	 * @param {string} message
+	 * @param {string} code A code from `WarningCode`
+	 * @param {Token} start
+	 * @param {Token=} end
+	 */
+	addWarning(message, code, start, end = start) {
+		/** @type {Diagnostic} */
+		const warning = { ...this.getLocation(start, end), message, severity: "warning", code };
+		this.warnings.push(warning);
+		this.opts.onWarning?.(warning);
+	}
+
+	/**
+	 * Keep track of where a key path was assigned, warning if it overrides
+	 * a value that was assigned earlier in the document
+	 * @param {Array<Key> | null} path
+	 * @param {boolean} isOverride If the key already had a value that is replaced
+	 * @param {[Token, Token]} tokens The first and last token of the key
+	 */
+	warnOverride(path, isOverride, [start, end]) {
+		if (!path) {
+			return;
+		}
+
+		const serialized = serializeKeyPath(new KeyPath(path));
+		const previous = this.assignedKeys.get(serialized);
+		if (previous && isOverride) {
+			this.addWarning(
+				`key '${serialized}' overrides the value assigned on line ${previous.row}`,
+				WarningCode.OVERRIDDEN_KEY,
+				start,
+				end,
+			);
+		}
+
+		this.assignedKeys.set(serialized, start);
+	}
+
+	/**
+	 * Warn if a variable being declared in an object has the same name as one outside of it
+	 * @param {KeyPath} key
+	 * @param {[Token, Token]} tokens The first and last token of the key
+	 */
+	warnShadow(key, [start, end]) {
+		const [variable] = key.parts;
+		if (variable.type !== "variable" || !this.currentScope.parent?.resolve(key).found) {
+			return;
+		}
+
+		this.addWarning(
+			`variable '${variable.key}' shadows a variable outside of the object`,
+			WarningCode.SHADOWED_VARIABLE,
+			start,
+			end,
+		);
+	}
+
+	/**
+	 * Look up a variable in the current scope, marking it as used
+	 * @param {KeyPath} key
+	 */
+	resolveVariable(key) {
+		const [first] = key.parts;
+		if (first.type === "variable") {
+			this.unusedImports.delete(first.key);
+		}
+
+		return this.currentScope.resolve(key);
+	}
+
+	/**
+	 * @param {KeyPath} key A variable that could not be resolved
+	 * @param {Token} start The first token of the variable, which has already been parsed
+	 * @returns {BconfError}
+	 */
+	unresolvedVariableError(key, start) {
+		const suggestions = this.currentScope.suggest(key);
+		return new BconfError(
+			`could not resolve variable '${key.serialize()}'${formatSuggestions(suggestions)}`,
+			this.getLocation(start, this.previousToken),
+			ErrorCode.UNRESOLVED_VARIABLE,
+			withSuggestions({ variable: key.serialize() }, suggestions),
+		);
+	}
+
+	/**
+	 * Skip past whatever failed to parse, stopping before the first of the given tokens
+	 * that is not nested in brackets or parentheses
+	 * @param {Array<string>} stopTokens
+	 */
+	synchronize(stopTokens) {
+		let depth = 0;
+		while (this.currentToken.type !== TokenType.EOF) {
+			const { type } = this.currentToken;
+			if (depth === 0 && stopTokens.includes(type)) {
+				return;
+			}
+
+			if (
+				type === TokenType.LBRACE ||
+				type === TokenType.LBRACKET ||
+				type === TokenType.INDEX_LBRACKET ||
+				type === TokenType.LPAREN
+			) {
+				depth++;
+			} else if (
+				depth > 0 &&
+				(type === TokenType.RBRACE ||
+					type === TokenType.RBRACKET ||
+					type === TokenType.RPAREN)
+			) {
+				depth--;
+			}
+
+			this.advance();
+		}
+	}
+
 	isTag() {
 		return (
 			this.currentToken.type === TokenType.IDENTIFIER &&
@@ -179,13 +499,262 @@ class Parser {
 		);
 	}
 
+	/**
+	 * @param {Token} start The first token of the key or value
+	 * @param {Token} end The last token of the key or value
+	 * @returns {SourceLocation}
+	 */
+	getLocation(start, end) {
+		return {
+			file: this.opts.file,
+			row: start.row,
+			column: start.column,
+			endRow: end.endRow,
+			endColumn: end.endColumn,
+		};
+	}
+
+	/**
+	 * @param {SchemaIssue} issue A warning from the schema (eg. a deprecated key)
+	 */
+	addSchemaWarning(issue) {
+		const location = issue.location ?? DOCUMENT_START;
+		/** @type {Diagnostic} */
+		const warning = {
+			file: issue.location?.file ?? this.opts.file,
+			row: location.row,
+			column: location.column,
+			endRow: location.endRow,
+			endColumn: location.endColumn,
+			message: issue.message,
+			severity: "warning",
+			code: issue.code,
+		};
+		this.warnings.push(warning);
+		this.opts.onWarning?.(warning);
+	}
+
+	/**
+	 * Add what doesn't match the schema as diagnostics, or throw the first of them. When more
+	 * than one required key is missing, they are thrown together instead, so they don't have
+	 * to be found one at a time
+	 * @param {Array<SchemaIssue>} issues
+	 */
+	reportSchemaIssues(issues) {
+		const errors = issues.map((issue) => {
+			const error = new BconfError(
+				issue.message,
+				issue.location ?? DOCUMENT_START,
+				issue.code,
+				{ key: issue.key },
+			);
+			error.file = issue.location?.file ?? this.opts.file;
+			return error;
+		});
+
+		if (this.diagnostics) {
+			for (const error of errors) {
+				this.addDiagnostic(error);
+			}
+
+			return;
+		}
+
+		const missing = issues.filter(({ code }) => code === ErrorCode.MISSING_REQUIRED_KEY);
+		let [first] = errors;
+		if (missing.length > 1) {
+			const keys = missing.map(({ key }) => key);
+			const quoted = keys.map((key) => `'${key}'`);
+			const last = quoted.pop();
+			first = new BconfError(
+				`missing required keys ${quoted.join(", ")} and ${last}`,
+				missing[0].location ?? DOCUMENT_START,
+				ErrorCode.MISSING_REQUIRED_KEY,
+				{ key: missing[0].key, keys },
+			);
+			first.file = missing[0].location?.file ?? this.opts.file;
+		}
+
+		if (first) {
+			first.details.issues = issues;
+			throw first;
+		}
+	}
+
+	/**
+	 * @param {Array<Key> | null} path
+	 * @param {SourceMapping} location
+	 * @param {Value} value
+	 * @param {number} valuePosition The position of the first token of the value
+	 */
+	addSource(path, location, value, valuePosition) {
+		if (!this.sources || !path) {
+			return;
+		}
+
+		/** @type {SourceRecord} */
+		const record = { path, value, location, overridden: [] };
+		const variable = this.getVariableSource(valuePosition);
+		if (variable) {
+			record.variable = variable;
+		}
+
+		const key = serializeKeyPath(new KeyPath(path));
+		const existing = this.sources.get(key);
+		if (existing) {
+			// Statements are added to rather than overridden
+			record.overridden =
+				value instanceof Statement && existing.value === value
+					? existing.overridden
+					: [toAssignment(existing), ...existing.overridden];
+		}
+
+		this.sources.set(key, record);
+	}
+
+	/**
+	 * @param {number} start The position of the first token of the value
+	 * @returns {string | null} How the variable the value is from was written (eg. `$foo.bar`), if it is from one
+	 */
+	getVariableSource(start) {
+		if (this.tokens[start]?.type !== TokenType.VARIABLE) {
+			return null;
+		}
+
+		return this.tokens
+			.slice(start, this.position)
+			.map((token) => token.literal)
+			.join("");
+	}
+
+	/**
+	 * Carry over where the values of a document merged into the block (ie. with `extends`) were
+	 * assigned. This needs to be called before the value is merged, since objects that already
+	 * exist are merged with rather than overridden
+	 * @param {Array<Key> | null} path The key path of the block
+	 * @param {Record<string, Value>} root
+	 * @param {Record<string, Value>} value
+	 */
+	mergeSources(path, root, value) {
+		if (!this.sources || !path) {
+			return;
+		}
+
+		const merged = this.parsedSources.get(value);
+		if (!merged) {
+			this.removeSources(path, value);
+			return;
+		}
+
+		for (const record of merged.values()) {
+			if (
+				isObject(record.value) &&
+				isObject(getValueAtPath(root, new KeyPath(record.path)))
+			) {
+				continue;
+			}
+
+			const fullPath = [...path, ...record.path];
+			const key = serializeKeyPath(new KeyPath(fullPath));
+			const existing = this.sources.get(key);
+			this.sources.set(key, {
+				...record,
+				path: fullPath,
+				overridden: existing
+					? [...record.overridden, toAssignment(existing), ...existing.overridden]
+					: record.overridden,
+			});
+		}
+	}
+
+	/**
+	 * Remove the sources for values that are overwritten by merging in a value
+	 * when it isn't known where its values are from
+	 * @param {Array<Key>} path
+	 * @param {Record<string, Value>} value
+	 */
+	removeSources(path, value) {
+		const sources = /** @type {Map<string, SourceRecord>} */ (this.sources);
+		for (const [key, child] of Object.entries(value)) {
+			/** @type {Array<Key>} */
+			const childPath = [...path, { type: "alphanumeric", key }];
+			if (isObject(child)) {
+				this.removeSources(childPath, child);
+				continue;
+			}
+
+			const serialized = serializeKeyPath(new KeyPath(childPath));
+			for (const mapped of sources.keys()) {
+				if (
+					mapped === serialized ||
+					mapped.startsWith(`${serialized}.`) ||
+					mapped.startsWith(`${serialized}[`)
+				) {
+					sources.delete(mapped);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Values can be overwritten after their source is added (eg. `foo = { bar = 1 }` followed
+	 * by `foo = 2`), so this only returns the sources for the key paths still in the data
+	 * @returns {Map<string, SourceRecord>}
+	 */
+	getSources() {
+		/** @type {Map<string, SourceRecord>} */
+		const sources = new Map();
+		for (const [key, record] of this.sources ?? []) {
+			if (getValueAtPath(this.result, new KeyPath(record.path)) !== undefined) {
+				sources.set(key, record);
+			}
+		}
+
+		return sources;
+	}
+
+	/**
+	 * @param {Map<string, SourceRecord>} sources
+	 * @returns {Record<string, Provenance>} The provenance of every leaf value in the data
+	 */
+	getProvenance(sources) {
+		/** @type {Set<string>} */
+		const parents = new Set();
+		for (const { path } of sources.values()) {
+			for (let i = 1; i < path.length; i++) {
+				parents.add(serializeKeyPath(new KeyPath(path.slice(0, i))));
+			}
+		}
+
+		/** @param {Assignment} assignment */
+		const format = (assignment) => {
+			const result = toAssignment(assignment);
+			if (this.opts.unwrap) {
+				result.value = /** @type {Value} */ (unwrap(result.value));
+			}
+
+			return result;
+		};
+
+		/** @type {Record<string, Provenance>} */
+		const provenance = {};
+		for (const [key, record] of sources) {
+			if (!parents.has(key)) {
+				provenance[key] = { ...format(record), overridden: record.overridden.map(format) };
+			}
+		}
+
+		return provenance;
+	}
+
 	/**
 	 * @param {string} stopToken
 	 * @param {NextArgs} args
 	 * @param {"statement" | "tag"} type
+	 * @param {Token} start The first token of the tag or statement
 	 * @returns {ResolverContext}
 	 */
-	createResolverContext(stopToken, args, type) {
+	createResolverContext(stopToken, args, type, start) {
 		return {
 			file: this.opts.file,
 			env: this.env,
@@ -203,11 +772,19 @@ class Parser {
 				}
 
 				const argsToUse = newArgs ?? args;
-				const value = await (type === "statement"
-					? this.parseStatementValue(argsToUse)
-					: this.parseValue(argsToUse));
+				try {
+					const value = await (type === "statement"
+						? this.parseStatementValue(argsToUse)
+						: this.parseValue(argsToUse));
+
+					return { success: true, value };
+				} catch (error) {
+					if (error instanceof BconfError) {
+						this.valueErrors.add(error);
+					}
 
-				return { success: true, value };
+					throw error;
+				}
 			},
 			lookup: (path) => {
 				const value = getValueAtPath(this.result, path);
@@ -219,7 +796,7 @@ class Parser {
 			},
 			variables: {
 				get: (name) =>
-					this.currentScope.resolve(
+					this.resolveVariable(
 						name instanceof KeyPath
 							? name
 							: new KeyPath([{ type: "variable", key: name }]),
@@ -247,6 +824,10 @@ class Parser {
 						} else {
 							this.currentScope.define(name, value);
 						}
+
+						if (args?.warnIfUnused) {
+							this.unusedImports.set(name, start);
+						}
 					}
 
 					if (args?.export) {
@@ -260,13 +841,106 @@ class Parser {
 					return true;
 				},
 			},
+			getFileURL: (path) =>
+				this.fileLoader.resolveURL
+					? this.fileLoader.resolveURL(this.rootFilePath, path)
+					: defaultLoader.resolveURL(this.rootFilePath, path),
+			warn: (message) => this.addWarning(message, WarningCode.RESOLVER_WARNING, start),
 			parse: (input, opts) =>
-				/** @type {Promise<ParseResult>} */ (
-					parse(input, { ...this.opts, ...opts, unwrap: opts?.unwrap ?? false })
-				),
+				this.parseNested(input, { ...this.opts, ...opts, unwrap: opts?.unwrap ?? false }),
 		};
 	}
 
+	/**
+	 * Rethrow an error from outside of the parser (ie. a helper) at a token, keeping
+	 * the code and details it was thrown with, and the error itself as the cause
+	 * @param {unknown} error
+	 * @param {Token} token
+	 * @param {string} message
+	 * @param {string} code The code to use if the error does not have one
+	 * @param {ErrorDetails=} details
+	 * @returns {BconfError}
+	 */
+	wrapError(error, token, message, code, details) {
+		const isCoded = error instanceof CodedError || error instanceof BconfError;
+		return new BconfError(
+			message,
+			token,
+			isCoded ? error.code : code,
+			{ ...details, ...(isCoded ? error.details : {}) },
+			{ cause: error },
+		);
+	}
+
+	/**
+	 * Rethrow an error from a resolver at the start of its tag or statement
+	 * @param {unknown} error
+	 * @param {Token} start The first token of the tag or statement
+	 * @param {"tag" | "statement"} kind
+	 * @param {string} name
+	 * @returns {BconfError}
+	 */
+	wrapResolverError(error, start, kind, name) {
+		// Errors from parsing the values passed to the resolver are already at the right
+		// position, and would otherwise be wrapped again for every tag they are nested in
+		if (error instanceof BconfError && this.valueErrors.has(error)) {
+			return error;
+		}
+
+		// Errors in files the resolver parsed are kept at their position in that file
+		if (error instanceof BconfError && this.includedErrors.has(error)) {
+			error.addIncludedFrom({ file: this.opts.file, row: start.row, column: start.column });
+			return error;
+		}
+
+		const reason = error instanceof Error ? error.message : `unexpected error: ${error}`;
+		const wrapped = this.wrapError(
+			error,
+			start,
+			`${kind} '${name}' failed: ${reason}`,
+			ErrorCode.RESOLVER_ERROR,
+			kind === "tag" ? { tag: name } : { statement: name },
+		);
+		wrapped.resolver = { kind, name };
+		return wrapped;
+	}
+
+	/**
+	 * Parse a document for a resolver, keeping track of where its values are from
+	 * @param {string} input
+	 * @param {ParseOptions} opts
+	 * @returns {Promise<ParseResult>}
+	 */
+	async parseNested(input, opts) {
+		const parser = new Parser(input, opts);
+		parser.nested = true;
+
+		/** @type {ParseResult} */
+		let result;
+		try {
+			result = await parser.parse();
+		} catch (error) {
+			if (error instanceof BconfError) {
+				this.includedErrors.add(error);
+			}
+
+			throw error;
+		}
+
+		if (result.diagnostics) {
+			this.diagnostics?.push(...result.diagnostics);
+		}
+
+		// The warnings were already passed to `onWarning` by the nested parser
+		this.warnings.push(...result.warnings);
+
+		if (parser.sources) {
+			this.parsedSources.set(result.data, parser.getSources());
+		}
+
+		return result;
+	}
+
 	// ----------------------
 	// KEYS
 	// ----------------------
@@ -279,6 +953,8 @@ class Parser {
 			throw new BconfError(
 				"expected a valid key but got an empty literal",
 				this.currentToken,
+				ErrorCode.INVALID_KEY,
+				getTokenDetails(this.currentToken),
 			);
 		}
 
@@ -295,7 +971,12 @@ class Parser {
 			}
 			case TokenType.IDENTIFIER: {
 				if (this.currentToken.literal.includes("+")) {
-					throw new BconfError("invalid key", this.currentToken);
+					throw new BconfError(
+						"invalid key",
+						this.currentToken,
+						ErrorCode.INVALID_KEY,
+						getTokenDetails(this.currentToken),
+					);
 				}
 				/** @type {Key} */
 				const key = { type: "alphanumeric", key: this.currentToken.literal };
@@ -305,7 +986,11 @@ class Parser {
 			case TokenType.DOUBLE_QUOTE: {
 				const value = await this.parseString(args);
 				if (!value) {
-					throw new BconfError("unexpected empty key part", this.currentToken);
+					throw new BconfError(
+						"unexpected empty key part",
+						this.currentToken,
+						ErrorCode.INVALID_KEY,
+					);
 				}
 
 				return { type: "alphanumeric", key: value };
@@ -313,7 +998,12 @@ class Parser {
 			case TokenType.INDEX_LBRACKET: {
 				this.advance(); // Consume `[`
 				if (this.currentToken.type !== TokenType.IDENTIFIER) {
-					throw new BconfError("expected number for array index", this.currentToken);
+					throw new BconfError(
+						"expected number for array index",
+						this.currentToken,
+						ErrorCode.INVALID_ARRAY_INDEX,
+						getTokenDetails(this.currentToken, TokenType.IDENTIFIER),
+					);
 				}
 
 				const index = this.parseNumber();
@@ -321,6 +1011,8 @@ class Parser {
 					throw new BconfError(
 						"expected array index to be an integer",
 						this.currentToken,
+						ErrorCode.INVALID_ARRAY_INDEX,
+						{ literal: String(index.value) },
 					);
 				}
 
@@ -328,18 +1020,30 @@ class Parser {
 					throw new BconfError(
 						"expected non-negative integer for array index",
 						this.currentToken,
+						ErrorCode.INVALID_ARRAY_INDEX,
+						{ literal: String(index.value) },
 					);
 				}
 
 				if (this.currentToken.type !== TokenType.RBRACKET) {
-					throw new BconfError("expected ']'", this.currentToken);
+					throw new BconfError(
+						"expected ']'",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken, TokenType.RBRACKET),
+					);
 				}
 
 				this.advance(); // Consume `]`
 				return { type: "index", index: index.value };
 			}
 			default:
-				throw new BconfError("expected key", this.currentToken);
+				throw new BconfError(
+					"expected key",
+					this.currentToken,
+					ErrorCode.INVALID_KEY,
+					getTokenDetails(this.currentToken),
+				);
 		}
 	}
 
@@ -359,7 +1063,12 @@ class Parser {
 
 			// Variable keys can only be the first key
 			if (key.type === "variable") {
-				throw new BconfError("unexpected variable key in key sequence", this.currentToken);
+				throw new BconfError(
+					"unexpected variable key in key sequence",
+					this.currentToken,
+					ErrorCode.INVALID_KEY,
+					{ key: path.serialize(), variable: key.key },
+				);
 			}
 
 			path.addKey(key);
@@ -392,7 +1101,12 @@ class Parser {
 			// This accounts for trailing commas in objects like `{foo,}`
 			case TokenType.COMMA:
 				if (stopToken === TokenType.EOF) {
-					throw new BconfError("unexpected end of data", this.currentToken);
+					throw new BconfError(
+						"unexpected end of data",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken),
+					);
 				}
 				return "true-shorthand";
 			case TokenType.IDENTIFIER:
@@ -407,6 +1121,8 @@ class Parser {
 				throw new BconfError(
 					`unexpected operator '${this.currentToken.literal}'`,
 					this.currentToken,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(this.currentToken),
 				);
 		}
 	}
@@ -420,9 +1136,15 @@ class Parser {
 	 */
 	async resolveTag(args) {
 		if (!this.currentToken.literal) {
-			throw new BconfError("unexpected empty tag name", this.currentToken);
+			throw new BconfError(
+				"unexpected empty tag name",
+				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken),
+			);
 		}
 
+		const start = this.currentToken;
 		const tagName = this.currentToken.literal;
 		this.advance(); // Consume tag name
 
@@ -430,6 +1152,8 @@ class Parser {
 			throw new BconfError(
 				`expected '(', got '${this.currentToken.literal}'`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				{ ...getTokenDetails(this.currentToken, TokenType.LPAREN), tag: tagName },
 			);
 		}
 		this.advance(); // Consume `(`
@@ -442,16 +1166,31 @@ class Parser {
 		if (resolver) {
 			try {
 				value = await resolver(
-					this.createResolverContext(TokenType.RPAREN, newArgs, "tag"),
+					this.createResolverContext(TokenType.RPAREN, newArgs, "tag", start),
 				);
 			} catch (error) {
-				if (error instanceof Error) {
-					throw new BconfError(error.message, this.currentToken);
-				}
-
-				throw new BconfError("unexpected error when resolving tag", this.currentToken);
+				throw this.wrapResolverError(error, start, "tag", tagName);
 			}
 		} else {
+			// Tags without a resolver are kept as is, so only names that look like a typo are warned about
+			const suggestions = getSuggestions(tagName, this.resolvers.tags.keys());
+			if (this.strict.unknownTags) {
+				throw new BconfError(
+					`tag '${tagName}' has no resolver${formatSuggestions(suggestions)}`,
+					start,
+					ErrorCode.UNRESOLVED_TAG,
+					withSuggestions({ tag: tagName }, suggestions),
+				);
+			}
+
+			if (suggestions.length) {
+				this.addWarning(
+					`tag '${tagName}' has no resolver, so it is kept as is${formatSuggestions(suggestions)}`,
+					WarningCode.UNRESOLVED_TAG,
+					start,
+				);
+			}
+
 			value = await this.parseValue(newArgs);
 		}
 
@@ -459,6 +1198,8 @@ class Parser {
 			throw new BconfError(
 				`expected ')', got '${this.currentToken.type}'`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				{ ...getTokenDetails(this.currentToken, TokenType.RPAREN), tag: tagName },
 			);
 		}
 
@@ -483,12 +1224,16 @@ class Parser {
 				throw new BconfError(
 					"dotted keys are not allowed in statements",
 					this.currentToken,
+					ErrorCode.INVALID_STATEMENT,
+					getTokenDetails(this.currentToken),
 				);
 			}
 			if (this.currentToken.type === TokenType.INDEX_LBRACKET) {
 				throw new BconfError(
 					"array indexes are not allowed in statements",
 					this.currentToken,
+					ErrorCode.INVALID_STATEMENT,
+					getTokenDetails(this.currentToken),
 				);
 			}
 
@@ -523,31 +1268,41 @@ class Parser {
 
 	/**
 	 * @param {KeyPath} key
+	 * @param {Token} start The first token of the statement
 	 * @param {NextArgs} args
 	 * @param {string} stopToken
 	 * @returns {Promise<StatementAction>}
 	 */
-	async resolveStatement(key, args, stopToken) {
+	async resolveStatement(key, start, args, stopToken) {
 		if (key.parts[0].type === "index") {
 			throw new BconfError(
 				"expected variable key as first key, got index key",
 				this.currentToken,
+				ErrorCode.INVALID_STATEMENT,
+				{ key: key.serialize() },
+			);
+		}
+
+		const name = key.parts[0].key;
+		const resolver = this.resolvers.statements.get(name);
+		if (!resolver && this.strict.unknownStatements) {
+			const suggestions = getSuggestions(name, this.resolvers.statements.keys());
+			throw new BconfError(
+				`statement '${name}' has no resolver${formatSuggestions(suggestions)}`,
+				start,
+				ErrorCode.UNRESOLVED_STATEMENT,
+				withSuggestions({ statement: name }, suggestions),
 			);
 		}
 
-		const resolver = this.resolvers.statements.get(key.parts[0].key);
 		if (!resolver) {
 			return { action: "collect" };
 		}
 
 		try {
-			return await resolver(this.createResolverContext(stopToken, args, "statement"));
+			return await resolver(this.createResolverContext(stopToken, args, "statement", start));
 		} catch (error) {
-			if (error instanceof Error) {
-				throw new BconfError(error.message, this.currentToken);
-			}
-
-			throw new BconfError("unexpected error while resolving statement", this.currentToken);
+			throw this.wrapResolverError(error, start, "statement", name);
 		}
 	}
 
@@ -562,6 +1317,8 @@ class Parser {
 			throw new BconfError(
 				`expected number but got '${this.currentToken.literal}'`,
 				this.currentToken,
+				ErrorCode.INVALID_NUMBER,
+				getTokenDetails(this.currentToken, TokenType.IDENTIFIER),
 			);
 		}
 
@@ -582,7 +1339,15 @@ class Parser {
 			resolvedNumber += ".";
 			this.advance();
 			if (this.currentToken.type !== TokenType.IDENTIFIER) {
-				throw new BconfError("unterminated float", this.currentToken);
+				throw new BconfError(
+					"unterminated float",
+					this.currentToken,
+					ErrorCode.INVALID_NUMBER,
+					{
+						...getTokenDetails(this.currentToken, TokenType.IDENTIFIER),
+						literal: resolvedNumber,
+					},
+				);
 			}
 
 			resolvedNumber += this.currentToken.literal ?? "";
@@ -593,11 +1358,12 @@ class Parser {
 			const value = validateAndParseNumber(resolvedNumber);
 			return { type, value };
 		} catch (error) {
-			if (error instanceof Error) {
-				throw new BconfError(error.message, this.currentToken);
-			}
-
-			throw new BconfError(`could not parse number: ${error}`, this.currentToken);
+			throw this.wrapError(
+				error,
+				this.currentToken,
+				error instanceof Error ? error.message : `could not parse number: ${error}`,
+				ErrorCode.INVALID_NUMBER,
+			);
 		}
 	}
 
@@ -615,6 +1381,8 @@ class Parser {
 			throw new BconfError(
 				`expected expression, got '${this.currentToken.literal}'`,
 				this.currentToken,
+				ErrorCode.INVALID_EMBEDDED_VALUE,
+				getTokenDetails(this.currentToken),
 			);
 		}
 
@@ -626,13 +1394,11 @@ class Parser {
 				value = await this.parseString(args);
 				break;
 			case TokenType.VARIABLE: {
+				const start = this.currentToken;
 				const key = await this.parseKey(args);
-				const variable = this.currentScope.resolve(key);
+				const variable = this.resolveVariable(key);
 				if (!variable.found) {
-					throw new BconfError(
-						`could not resolve variable '${key.serialize()}'`,
-						this.currentToken,
-					);
+					throw this.unresolvedVariableError(key, start);
 				}
 
 				if (
@@ -644,6 +1410,8 @@ class Parser {
 					throw new BconfError(
 						"variable must resolve to a primitive in embedded values",
 						this.currentToken,
+						ErrorCode.INVALID_EMBEDDED_VALUE,
+						{ variable: key.serialize() },
 					);
 				}
 
@@ -657,6 +1425,7 @@ class Parser {
 						throw new BconfError(
 							"tags must resolve to a primitive in embedded values",
 							this.currentToken,
+							ErrorCode.INVALID_EMBEDDED_VALUE,
 						);
 					}
 
@@ -674,6 +1443,8 @@ class Parser {
 				throw new BconfError(
 					"only primitive values are allowed in embedded values",
 					this.currentToken,
+					ErrorCode.INVALID_EMBEDDED_VALUE,
+					getTokenDetails(this.currentToken),
 				);
 		}
 
@@ -681,6 +1452,8 @@ class Parser {
 			throw new BconfError(
 				`expected '}', got '${this.currentToken.literal}'`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACE),
 			);
 		}
 
@@ -690,46 +1463,25 @@ class Parser {
 
 	parseEscapedValue() {
 		if (!this.currentToken.literal) {
-			throw new BconfError("unexpected empty value", this.currentToken);
-		}
-
-		const code = this.currentToken.literal[1];
-		switch (code) {
-			case '"':
-				return '"';
-			case "\\":
-				return "\\";
-			case "$":
-				return "$";
-			case "b":
-				return "\b";
-			case "f":
-				return "\f";
-			case "n":
-				return "\n";
-			case "r":
-				return "\r";
-			case "t":
-				return "\t";
-			case "u":
-			case "U": {
-				const codePoint = parseInt(this.currentToken.literal.substring(2), 16);
-				if (Number.isNaN(codePoint)) {
-					throw new BconfError("invalid escaped unicode code point", this.currentToken);
-				}
-
-				try {
-					return String.fromCodePoint(codePoint);
-				} catch {
-					throw new BconfError("invalid escaped unicode code point", this.currentToken);
-				}
-			}
+			throw new BconfError(
+				"unexpected empty value",
+				this.currentToken,
+				ErrorCode.INVALID_ESCAPE,
+				getTokenDetails(this.currentToken),
+			);
+		}
 
-			default:
-				throw new BconfError(
-					`invalid escape sequence '${this.currentToken.literal}'`,
-					this.currentToken,
-				);
+		try {
+			return parseEscapeSequence(this.currentToken.literal);
+		} catch (error) {
+			throw this.wrapError(
+				error,
+				this.currentToken,
+				error instanceof Error
+					? error.message
+					: `could not parse escape sequence: ${error}`,
+				ErrorCode.INVALID_ESCAPE,
+			);
 		}
 	}
 
@@ -756,7 +1508,12 @@ class Parser {
 					this.advance();
 					break;
 				default:
-					throw new BconfError("unexpected value in string", this.currentToken);
+					throw new BconfError(
+						"unexpected value in string",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken),
+					);
 			}
 		}
 
@@ -764,6 +1521,8 @@ class Parser {
 			throw new BconfError(
 				`expected ${boundary}, got ${this.currentToken.literal}`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, boundary),
 			);
 		}
 
@@ -788,6 +1547,8 @@ class Parser {
 			throw new BconfError(
 				`expected '}', got ${this.currentToken.literal}`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACE),
 			);
 		}
 
@@ -824,7 +1585,40 @@ class Parser {
 				break;
 			}
 
-			arr.push(await this.parseValue(args));
+			const basePath = this.path;
+			const valueStart = this.currentToken;
+			const valuePosition = this.position;
+			if (basePath) {
+				this.path = [...basePath, { type: "index", index: arr.length }];
+			}
+
+			/** @type {Value} */
+			let value;
+			try {
+				value = await this.parseValue(args);
+			} catch (error) {
+				if (!this.diagnostics || !(error instanceof BconfError)) {
+					throw error;
+				}
+
+				this.addDiagnostic(error);
+				this.path = basePath;
+				this.synchronize([TokenType.NEWLINE, TokenType.COMMA, TokenType.RBRACKET]);
+				if (this.currentToken.type === TokenType.COMMA) {
+					this.advance();
+				}
+
+				continue;
+			}
+
+			arr.push(value);
+			this.addSource(
+				this.path,
+				{ key: null, value: this.getLocation(valueStart, this.previousToken) },
+				value,
+				valuePosition,
+			);
+			this.path = basePath;
 
 			if (this.currentToken.type === TokenType.COMMA) {
 				this.advance();
@@ -835,6 +1629,8 @@ class Parser {
 			throw new BconfError(
 				`expected ']', got ${this.currentToken.literal}`,
 				this.currentToken,
+				ErrorCode.UNEXPECTED_TOKEN,
+				getTokenDetails(this.currentToken, TokenType.RBRACKET),
 			);
 		}
 
@@ -874,6 +1670,8 @@ class Parser {
 				throw new BconfError(
 					`unexpected identifier as value '${this.currentToken.literal}'`,
 					this.currentToken,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(this.currentToken),
 				);
 			}
 			case TokenType.NULL:
@@ -893,20 +1691,23 @@ class Parser {
 				return await this.parseString(args);
 			case TokenType.VARIABLE: {
 				if (!this.currentToken.literal) {
-					throw new BconfError("unexpected empty variable name", this.currentToken);
+					throw new BconfError(
+						"unexpected empty variable name",
+						this.currentToken,
+						ErrorCode.UNEXPECTED_TOKEN,
+						getTokenDetails(this.currentToken),
+					);
 				}
 
+				const start = this.currentToken;
 				const key = await this.parseKey(args);
 				if (args.varAsKeyPath) {
 					return key;
 				}
 
-				const variable = this.currentScope.resolve(key);
+				const variable = this.resolveVariable(key);
 				if (!variable.found) {
-					throw new BconfError(
-						`could not resolve variable '${key.serialize()}'`,
-						this.currentToken,
-					);
+					throw this.unresolvedVariableError(key, start);
 				}
 
 				return variable.value;
@@ -915,6 +1716,8 @@ class Parser {
 				throw new BconfError(
 					`unexpected value '${this.currentToken.literal}'`,
 					this.currentToken,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(this.currentToken),
 				);
 		}
 	}
@@ -941,132 +1744,369 @@ class Parser {
 				break;
 			}
 
-			const parsedKey = await this.parseKey(args);
-			const lastKey = parsedKey.parts[parsedKey.parts.length - 1];
-			const keyToUse = lastKey.type === "index" ? lastKey.index : lastKey.key;
+			const basePath = this.path;
+			try {
+				await this.parseEntry(stopToken, root, args);
+			} catch (error) {
+				if (!this.diagnostics || !(error instanceof BconfError)) {
+					throw error;
+				}
 
-			let rootToUse = root;
-			if (parsedKey.parts[0].type === "variable") {
-				rootToUse = args.treatVarsAsKeys ? root : this.currentScope.variables;
-			}
+				// Picking back up at the next entry. Commas only separate entries in objects,
+				// so they are skipped over like any other token at the root
+				this.addDiagnostic(error);
+				this.path = basePath;
+				this.synchronize(
+					isNotRoot
+						? [TokenType.NEWLINE, TokenType.COMMA, TokenType.RBRACE]
+						: [TokenType.NEWLINE],
+				);
 
-			const operator = this.parseOperator(stopToken);
-			const parent = getParentForKey(rootToUse, parsedKey);
-			const isDuplicateKey = lastKey.type !== "index" && Object.hasOwn(parent, keyToUse);
-			if (isDuplicateKey && args.duplicateKeys === "disallow") {
-				throw new BconfError("cannot have duplicate keys", this.currentToken);
+				if (this.currentToken.type === TokenType.COMMA) {
+					this.advance();
+				}
 			}
+		}
 
-			switch (operator) {
-				case "assign":
-				case "object-shorthand":
-				case "true-shorthand": {
-					const value =
-						operator === "true-shorthand" ? true : await this.parseValue(args);
+		this.currentScope = this.currentScope.parent ?? this.rootScope;
+	}
 
-					if (isDuplicateKey && args.duplicateKeys === "collect") {
-						const collection = createCollection(keyToUse, parent);
-						collection.add(value);
-					} else {
-						parent[keyToUse] = value;
-					}
+	/**
+	 * Parse a single key-value pair or statement in a block
+	 * @param {string} stopToken
+	 * @param {Record<string, Value>} root
+	 * @param {NextArgs} args
+	 */
+	async parseEntry(stopToken, root, args) {
+		const isNotRoot = stopToken === TokenType.RBRACE;
 
-					break;
+		const keyStart = this.currentToken;
+		const parsedKey = await this.parseKey(args);
+		const keyEnd = this.previousToken;
+		const keyLocation = this.sources && this.getLocation(keyStart, this.previousToken);
+		const lastKey = parsedKey.parts[parsedKey.parts.length - 1];
+		const keyToUse = lastKey.type === "index" ? lastKey.index : lastKey.key;
+
+		let rootToUse = root;
+		if (parsedKey.parts[0].type === "variable") {
+			rootToUse = args.treatVarsAsKeys ? root : this.currentScope.variables;
+		}
+
+		// Variables are not a part of the data, so they are left out of the source map
+		const basePath = this.path;
+		const fullPath = basePath && rootToUse === root ? [...basePath, ...parsedKey.parts] : null;
+
+		const operator = this.parseOperator(stopToken);
+		const valueStart = this.currentToken;
+		const valuePosition = this.position;
+		/** @type {Container} */
+		let parent;
+		try {
+			parent = getParentForKey(rootToUse, parsedKey, !this.strict.arrayGaps);
+		} catch (error) {
+			throw this.wrapError(
+				error,
+				keyStart,
+				error instanceof Error ? error.message : `could not assign key: ${error}`,
+				ErrorCode.ARRAY_GAP,
+			);
+		}
+
+		const isDuplicateKey = lastKey.type !== "index" && Object.hasOwn(parent, keyToUse);
+		if (isDuplicateKey && args.duplicateKeys === "disallow") {
+			throw new BconfError(
+				"cannot have duplicate keys",
+				this.currentToken,
+				ErrorCode.DUPLICATE_KEY,
+				{ key: parsedKey.serialize() },
+			);
+		}
+
+		switch (operator) {
+			case "assign":
+			case "object-shorthand":
+			case "true-shorthand": {
+				this.warnOverride(fullPath, isDuplicateKey && args.duplicateKeys !== "collect", [
+					keyStart,
+					keyEnd,
+				]);
+				if (rootToUse !== root && parsedKey.parts.length === 1 && !isDuplicateKey) {
+					this.warnShadow(parsedKey, [keyStart, keyEnd]);
 				}
-				case "append": {
-					let targetArray = parent[keyToUse];
 
-					if (isDuplicateKey && args.duplicateKeys === "collect") {
-						const collection = createCollection(keyToUse, parent);
-						if (Array.isArray(collection.last)) {
-							targetArray = collection.last;
-						} else {
-							targetArray = [];
-							collection.add(targetArray);
-						}
-					} else if (!Array.isArray(targetArray)) {
+				this.path = fullPath;
+				const value = operator === "true-shorthand" ? true : await this.parseValue(args);
+				this.path = basePath;
+
+				if (keyLocation) {
+					const valueLocation =
+						operator === "true-shorthand"
+							? keyLocation
+							: this.getLocation(valueStart, this.previousToken);
+					this.addSource(
+						fullPath,
+						{ key: keyLocation, value: valueLocation },
+						value,
+						valuePosition,
+					);
+				}
+
+				if (isDuplicateKey && args.duplicateKeys === "collect") {
+					const collection = createCollection(keyToUse, parent);
+					collection.add(value);
+				} else {
+					parent[keyToUse] = value;
+				}
+
+				break;
+			}
+			case "append": {
+				let targetArray = parent[keyToUse];
+
+				if (isDuplicateKey && args.duplicateKeys === "collect") {
+					const collection = createCollection(keyToUse, parent);
+					if (Array.isArray(collection.last)) {
+						targetArray = collection.last;
+					} else {
 						targetArray = [];
-						parent[keyToUse] = targetArray;
+						collection.add(targetArray);
+					}
+				} else if (!Array.isArray(targetArray)) {
+					if (this.strict.appendToNonArray && targetArray !== undefined) {
+						throw new BconfError(
+							`cannot append to '${parsedKey.serialize()}', which is not an array`,
+							keyStart,
+							ErrorCode.INVALID_APPEND,
+							{ key: parsedKey.serialize(), actual: getValueType(targetArray) },
+						);
 					}
 
-					targetArray.push(await this.parseValue(args));
-					break;
+					targetArray = [];
+					parent[keyToUse] = targetArray;
+				}
+
+				/** @type {Array<Key> | null} */
+				const itemPath = fullPath && [
+					...fullPath,
+					{ type: "index", index: targetArray.length },
+				];
+				this.path = itemPath;
+				const value = await this.parseValue(args);
+				targetArray.push(value);
+				this.path = basePath;
+
+				if (keyLocation) {
+					this.addSource(
+						itemPath,
+						{
+							key: keyLocation,
+							value: this.getLocation(valueStart, this.previousToken),
+						},
+						value,
+						valuePosition,
+					);
+				}
+
+				break;
+			}
+			case "statement": {
+				const [name] = parsedKey.parts;
+				if (
+					fullPath &&
+					name.type !== "index" &&
+					!this.resolvers.statements.has(name.key) &&
+					!this.strict.unknownStatements
+				) {
+					const suggestions = getSuggestions(name.key, this.resolvers.statements.keys());
+					this.addWarning(
+						`statement '${name.key}' has no resolver, so it is collected as is${formatSuggestions(suggestions)}`,
+						WarningCode.UNRESOLVED_STATEMENT,
+						keyStart,
+						keyEnd,
+					);
 				}
-				case "statement": {
-					const resolved = await this.resolveStatement(parsedKey, args, stopToken);
-					// This accounts for scenarios where there is no resolver, so values
-					// are collected, or a resolver does not get all the values in the statement.
-					// For the latter, they are simply discarded
-					const remainingValues = await this.parseStatementArgs(args, stopToken);
-					switch (resolved.action) {
-						case "collect": {
-							let targetStatement = parent[keyToUse];
-
-							if (isDuplicateKey && args.duplicateKeys === "collect") {
-								const collection = createCollection(keyToUse, parent);
-								if (collection.last instanceof Statement) {
-									targetStatement = collection.last;
-								} else {
-									targetStatement = new Statement(parsedKey, []);
-									collection.add(targetStatement);
-								}
-							} else if (!(targetStatement instanceof Statement)) {
+
+				// What a resolver parses is only a part of the data if it says so, so
+				// nothing is mapped until the statement is resolved
+				this.path = null;
+				const resolved = await this.resolveStatement(parsedKey, keyStart, args, stopToken);
+				// This accounts for scenarios where there is no resolver, so values
+				// are collected, or a resolver does not get all the values in the statement.
+				// For the latter, they are simply discarded
+				const remainingValues = await this.parseStatementArgs(args, stopToken);
+				this.path = basePath;
+				switch (resolved.action) {
+					case "collect": {
+						let targetStatement = parent[keyToUse];
+
+						if (isDuplicateKey && args.duplicateKeys === "collect") {
+							const collection = createCollection(keyToUse, parent);
+							if (collection.last instanceof Statement) {
+								targetStatement = collection.last;
+							} else {
 								targetStatement = new Statement(parsedKey, []);
-								parent[keyToUse] = targetStatement;
+								collection.add(targetStatement);
 							}
+						} else if (!(targetStatement instanceof Statement)) {
+							targetStatement = new Statement(parsedKey, []);
+							parent[keyToUse] = targetStatement;
+						}
 
-							targetStatement.args.push(
-								resolved.value !== undefined ? [resolved.value] : remainingValues,
-							);
+						targetStatement.args.push(
+							resolved.value !== undefined ? [resolved.value] : remainingValues,
+						);
 
-							break;
+						if (keyLocation) {
+							this.addSource(
+								fullPath,
+								{
+									key: keyLocation,
+									value: this.getLocation(valueStart, this.previousToken),
+								},
+								targetStatement,
+								valuePosition,
+							);
 						}
-						case "merge": {
-							if (!isObject(resolved.value)) {
-								throw new BconfError(
-									"cannot merge non object values into current document when resolving statement",
-									this.currentToken,
-								);
-							}
-							deepMerge(root, resolved.value);
-							break;
+
+						break;
+					}
+					case "merge": {
+						if (!isObject(resolved.value)) {
+							throw new BconfError(
+								"cannot merge non object values into current document when resolving statement",
+								this.currentToken,
+								ErrorCode.INVALID_STATEMENT_RESULT,
+								{ statement: parsedKey.serialize() },
+							);
 						}
-						// Nothing to do if the action is "discard"
-						case "discard":
-							break;
+						this.mergeSources(basePath, root, resolved.value);
+						deepMerge(root, resolved.value);
+						break;
 					}
-					break;
+					// Nothing to do if the action is "discard"
+					case "discard":
+						break;
 				}
+				break;
 			}
+		}
 
-			if (this.currentToken.type === TokenType.COMMA) {
-				if (isNotRoot) {
-					this.advance();
-				} else {
-					throw new BconfError(
-						"commas are only allowed in objects and arrays",
-						this.currentToken,
-					);
-				}
+		if (this.currentToken.type === TokenType.COMMA) {
+			if (isNotRoot) {
+				this.advance();
+			} else {
+				throw new BconfError(
+					"commas are only allowed in objects and arrays",
+					this.currentToken,
+					ErrorCode.UNEXPECTED_TOKEN,
+					getTokenDetails(this.currentToken),
+				);
 			}
 		}
-
-		this.currentScope = this.currentScope.parent ?? this.rootScope;
 	}
 
 	/**
 	 * @returns {Promise<ParseResult>}
 	 */
 	async parse() {
-		await this.parseBlock(TokenType.EOF, this.result, {});
-		return {
+		try {
+			await this.parseBlock(TokenType.EOF, this.result, {});
+		} catch (error) {
+			if (error instanceof BconfError && !error.file) {
+				error.file = this.opts.file;
+			}
+
+			throw error;
+		}
+
+		for (const [name, start] of this.unusedImports) {
+			this.addWarning(
+				`imported variable '${name}' is never used`,
+				WarningCode.UNUSED_IMPORT,
+				start,
+			);
+		}
+
+		/** @type {ParseResult} */
+		const result = {
 			data: /** @type {ParseResult['data']} */ (
 				this.opts.unwrap ? unwrap(this.result) : this.result
 			),
 			variables: /** @type {ParseResult['data']} */ (
 				this.opts.unwrap ? unwrap(this.exportedVariables) : this.exportedVariables
 			),
+			warnings: this.warnings,
 		};
+
+		if (this.diagnostics) {
+			result.diagnostics = this.diagnostics;
+		}
+
+		/** @type {Record<string, SourceMapping>} */
+		const sourceMap = {};
+		if (this.sources) {
+			const sources = this.getSources();
+			for (const [key, record] of sources) {
+				sourceMap[key] = record.location;
+			}
+
+			if (this.opts.sourceMap) {
+				result.sourceMap = sourceMap;
+			}
+
+			if (this.opts.provenance) {
+				result.provenance = this.getProvenance(sources);
+			}
+		}
+
+		if (this.opts.schema && !this.nested) {
+			await this.applySchema(result, this.opts.schema, sourceMap);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Prepare and validate the data with the schema, replacing it with the output of
+	 * Standard Schemas since they can transform it
+	 * @param {ParseResult<Value>} result
+	 * @param {Schema | JsonSchema | StandardSchema} schema
+	 * @param {Record<string, SourceMapping>} sourceMap
+	 */
+	async applySchema(result, schema, sourceMap) {
+		if (isStandardSchema(schema)) {
+			const validated = await validateStandard(result.data, schema, { sourceMap });
+			if (validated.success) {
+				result.data = /** @type {ParseResult['data']} */ (validated.value);
+			} else {
+				this.reportSchemaIssues(validated.issues);
+			}
+
+			return;
+		}
+
+		const normalized = normalize(result.data, schema, { sourceMap });
+		for (const deprecation of normalized.deprecations) {
+			this.addSchemaWarning(deprecation);
+		}
+
+		/** @type {Array<SchemaIssue>} */
+		let issues = [];
+		if (this.opts.coerce) {
+			const coerced = coerce(result.data, schema, { sourceMap });
+			result.data = /** @type {ParseResult['data']} */ (coerced.data);
+			issues = coerced.issues;
+		}
+
+		// Values that couldn't be converted would otherwise be reported again as the wrong type
+		const unconverted = new Set(issues.map(({ key }) => key));
+		for (const issue of validate(result.data, schema, { sourceMap })) {
+			if (!unconverted.has(issue.key)) {
+				issues.push(issue);
+			}
+		}
+
+		this.reportSchemaIssues(issues);
 	}
 }
 
@@ -1084,3 +2124,20 @@ export function createCollection(key, container) {
 
 	return collectionToUse;
 }
+
+/**
+ * @param {Assignment} assignment
+ * @returns {Assignment}
+ */
+function toAssignment({ value, location, variable }) {
+	return variable === undefined ? { value, location } : { value, location, variable };
+}
+
+/**
+ * @param {ErrorDetails} details
+ * @param {Array<string>} suggestions
+ * @returns {ErrorDetails} The details, with the suggestions if there are any
+ */
+function withSuggestions(details, suggestions) {
+	return suggestions.length ? { ...details, suggestions } : details;
+}
@@ -1,7 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
 import { parse } from "./parse.js";
-import { BconfError } from "./error.js";
+import { BconfError, WarningCode } from "./error.js";
 
 /**
  * Helper to assert that parsing throws an error
@@ -126,7 +126,7 @@ describe("Invalid Syntax", () => {
 	});
 
 	it("should reject unterminated string", async () => {
-		await assertThrows('"unclosed', "unexpected value in string");
+		await assertThrows('"unclosed', "unterminated string starting at 1:1");
 	});
 
 	it("should reject invalid escape sequence", async () => {
@@ -1234,13 +1234,544 @@ describe("Error Reporting", () => {
 	});
 
 	it("should report error for unclosed embedded value", async () => {
-		// invalid number since embedded values can only have primitive values, so
-		// this identifier is treated as a number always (since its not a tag identifier)
-		await assertThrows('"${unclosed', "invalid number");
+		await assertThrows('"${unclosed', "unterminated string starting at 1:1");
 	});
 
 	it("should report meaningful error for invalid operator", async () => {
-		await assertThrows("key < 5", "unexpected operator");
+		await assertThrows("key < 5", "unexpected '<', appending uses '<<'");
+	});
+});
+
+describe("Source Maps", () => {
+	/**
+	 * Helper to get the mappings as `[row, column, endRow, endColumn]` tuples
+	 * @param {string} input
+	 * @param {import("./index.js").ParseOptions=} opts
+	 */
+	async function getSourceMap(input, opts) {
+		const { sourceMap } = await parse(input, { ...opts, sourceMap: true });
+		assert.ok(sourceMap);
+
+		/** @type {Record<string, { key: Array<number> | null, value: Array<number> }>} */
+		const result = {};
+		for (const [path, { key, value }] of Object.entries(sourceMap)) {
+			result[path] = {
+				key: key && [key.row, key.column, key.endRow, key.endColumn],
+				value: [value.row, value.column, value.endRow, value.endColumn],
+			};
+		}
+
+		return result;
+	}
+
+	it("should not return a source map by default", async () => {
+		const result = await parse("key = 1");
+		assert.strictEqual(result.sourceMap, undefined);
+	});
+
+	it("should map keys and values", async () => {
+		assert.deepStrictEqual(await getSourceMap('name = "app"\nflag\nnested.key = 1.5'), {
+			name: { key: [1, 1, 1, 5], value: [1, 8, 1, 13] },
+			flag: { key: [2, 1, 2, 5], value: [2, 1, 2, 5] },
+			"nested.key": { key: [3, 1, 3, 11], value: [3, 14, 3, 17] },
+		});
+	});
+
+	it("should map nested objects and arrays", async () => {
+		const input = 'server {\n\tports = [80, 443]\n}\nservers = [{ host = "a" }]';
+		assert.deepStrictEqual(await getSourceMap(input), {
+			"server.ports[0]": { key: null, value: [2, 11, 2, 13] },
+			"server.ports[1]": { key: null, value: [2, 15, 2, 18] },
+			"server.ports": { key: [2, 2, 2, 7], value: [2, 10, 2, 19] },
+			server: { key: [1, 1, 1, 7], value: [1, 8, 3, 2] },
+			"servers[0].host": { key: [4, 14, 4, 18], value: [4, 21, 4, 24] },
+			"servers[0]": { key: null, value: [4, 12, 4, 26] },
+			servers: { key: [4, 1, 4, 8], value: [4, 11, 4, 27] },
+		});
+	});
+
+	it("should map values that span multiple lines", async () => {
+		assert.deepStrictEqual(await getSourceMap('text = """line 1\nline 2"""'), {
+			text: { key: [1, 1, 1, 5], value: [1, 8, 2, 10] },
+		});
+	});
+
+	it("should map appended values and statements", async () => {
+		assert.deepStrictEqual(await getSourceMap("arr << 1\narr << { x = 2 }\ncmd run now"), {
+			"arr[0]": { key: [1, 1, 1, 4], value: [1, 8, 1, 9] },
+			"arr[1].x": { key: [2, 10, 2, 11], value: [2, 14, 2, 15] },
+			"arr[1]": { key: [2, 1, 2, 4], value: [2, 8, 2, 17] },
+			cmd: { key: [3, 1, 3, 4], value: [3, 5, 3, 12] },
+		});
+	});
+
+	it("should only map what is in the final data", async () => {
+		const input = "$var = { a = 1 }\nold = { gone = 1 }\nold = 2\nkey = 1\nkey = 2";
+		assert.deepStrictEqual(await getSourceMap(input), {
+			old: { key: [3, 1, 3, 4], value: [3, 7, 3, 8] },
+			key: { key: [5, 1, 5, 4], value: [5, 7, 5, 8] },
+		});
+	});
+
+	it("should remove mappings for merged values", async () => {
+		const sourceMap = await getSourceMap('a = 1\nb { c = 2, d = 3 }\nextends "base"', {
+			resolvers: {
+				statements: [
+					{
+						name: "extends",
+						resolver: async () => ({ action: "merge", value: { a: 2, b: { c: 4 } } }),
+					},
+				],
+			},
+		});
+		assert.deepStrictEqual(Object.keys(sourceMap), ["b.d", "b"]);
+	});
+
+	it("should include the file", async () => {
+		const file = new URL("file:///config.bconf");
+		const { sourceMap } = await parse("key = 1", { sourceMap: true, file });
+		assert.strictEqual(sourceMap?.key.value.file, file);
+		assert.strictEqual(sourceMap?.key.key?.file, file);
+	});
+});
+
+describe("Provenance", () => {
+	/** @type {Record<string, string>} */
+	const files = {
+		"base.bconf":
+			'name = "base"\nserver {\n\thost = "a"\n\tport = 80\n}\n$shared = 5\nexport vars { $shared }',
+	};
+
+	/** @type {import("./index.js").ParseOptions} */
+	const opts = {
+		provenance: true,
+		rootDir: "/configs",
+		file: new URL("file:///configs/main.bconf"),
+		loader: async (_, path) => files[path],
+	};
+
+	it("should not return provenance by default", async () => {
+		const result = await parse("key = 1");
+		assert.strictEqual(result.provenance, undefined);
+	});
+
+	it("should record where leaf values were assigned", async () => {
+		const { provenance } = await parse("obj { a = 1 }\narr = [true]", opts);
+		assert.deepStrictEqual(Object.keys(provenance ?? {}), ["obj.a", "arr[0]"]);
+		assert.strictEqual(provenance?.["obj.a"].value, 1);
+		assert.strictEqual(provenance?.["obj.a"].location.key?.row, 1);
+		assert.strictEqual(provenance?.["obj.a"].location.value.column, 11);
+		assert.strictEqual(
+			provenance?.["obj.a"].location.value.file?.href,
+			"file:///configs/main.bconf",
+		);
+	});
+
+	it("should record the values that were overridden", async () => {
+		const { provenance } = await parse("a = 1\na = 2\na = 3", opts);
+		assert.strictEqual(provenance?.a.value, 3);
+		assert.deepStrictEqual(
+			provenance?.a.overridden.map((item) => [item.value, item.location.value.row]),
+			[
+				[2, 2],
+				[1, 1],
+			],
+		);
+	});
+
+	it("should track values through extends", async () => {
+		const input = 'name = "early"\nextends "base.bconf"\nserver.port = 8080';
+		const { provenance } = await parse(input, opts);
+		assert.deepStrictEqual(Object.keys(provenance ?? {}), [
+			"name",
+			"server.host",
+			"server.port",
+		]);
+
+		const base = "file:///configs/base.bconf";
+		assert.strictEqual(provenance?.name.value, "base");
+		assert.strictEqual(provenance?.name.location.value.file?.href, base);
+		assert.deepStrictEqual(
+			provenance?.name.overridden.map((item) => [item.value, item.location.value.file?.href]),
+			[["early", "file:///configs/main.bconf"]],
+		);
+
+		assert.strictEqual(provenance?.["server.host"].location.key?.row, 3);
+		assert.strictEqual(provenance?.["server.host"].location.key?.file?.href, base);
+
+		assert.strictEqual(provenance?.["server.port"].value, 8080);
+		assert.deepStrictEqual(
+			provenance?.["server.port"].overridden.map((item) => [
+				item.value,
+				item.location.value.file?.href,
+			]),
+			[[80, base]],
+		);
+	});
+
+	it("should include values from extends in the source map", async () => {
+		const { sourceMap } = await parse('extends "base.bconf"', { ...opts, sourceMap: true });
+		assert.deepStrictEqual(Object.keys(sourceMap ?? {}), [
+			"name",
+			"server.host",
+			"server.port",
+			"server",
+		]);
+		assert.strictEqual(sourceMap?.server.value.file?.href, "file:///configs/base.bconf");
+	});
+
+	it("should use the URLs of a custom loader", async () => {
+		/** @type {NonNullable<import("./index.js").ParseOptions["loader"]>} */
+		const loader = async (_, path) => files[path];
+		loader.resolveURL = (_, path) => new URL(path, "https://example.com/configs/");
+
+		const { sourceMap } = await parse('extends "base.bconf"', {
+			...opts,
+			loader,
+			sourceMap: true,
+		});
+		assert.strictEqual(
+			sourceMap?.server.value.file?.href,
+			"https://example.com/configs/base.bconf",
+		);
+	});
+
+	it("should record the variable a value is from", async () => {
+		const input =
+			'import from "base.bconf" { $shared }\n$local = { a = 1 }\nx = $shared\ny = $local.a';
+		const { provenance } = await parse(input, opts);
+		assert.strictEqual(provenance?.x.value, 5);
+		assert.strictEqual(provenance?.x.variable, "$shared");
+		assert.strictEqual(provenance?.y.variable, "$local.a");
+	});
+
+	it("should unwrap values", async () => {
+		const { provenance } = await parse("a = custom(1)\na = custom(2)", opts);
+		assert.deepStrictEqual(provenance?.a.value, ["custom", 2]);
+		assert.deepStrictEqual(provenance?.a.overridden[0].value, ["custom", 1]);
+	});
+});
+
+describe("Error Recovery", () => {
+	/**
+	 * @param {string} input
+	 * @param {import("./index.js").ParseOptions=} opts
+	 */
+	async function parseWithRecovery(input, opts) {
+		const { data, diagnostics } = await parse(input, { ...opts, recover: true });
+		assert.ok(diagnostics);
+		return {
+			data,
+			diagnostics: diagnostics.map(({ row, column, message }) => ({ row, column, message })),
+		};
+	}
+
+	it("should still throw when not recovering", async () => {
+		await assertThrows("a = invalid+\nb = 1", "unexpected identifier");
+	});
+
+	it("should return no diagnostics for valid input", async () => {
+		assert.deepStrictEqual(await parseWithRecovery("a = 1"), {
+			data: { a: 1 },
+			diagnostics: [],
+		});
+	});
+
+	it("should continue at the next line", async () => {
+		const result = await parseWithRecovery("a = 1\nb = invalid+\nc = 3\nd < 4\ne = 5");
+		assert.deepStrictEqual(result, {
+			data: { a: 1, c: 3, e: 5 },
+			diagnostics: [
+				{ row: 2, column: 5, message: "unexpected identifier as value 'invalid+'" },
+				{ row: 4, column: 3, message: "unexpected '<', appending uses '<<'" },
+			],
+		});
+	});
+
+	it("should continue at the line after an unterminated string", async () => {
+		const result = await parseWithRecovery('f = "unterminated\ng = 7\n');
+		assert.deepStrictEqual(result, {
+			data: { g: 7 },
+			diagnostics: [{ row: 1, column: 18, message: "unterminated string starting at 1:5" }],
+		});
+	});
+
+	it("should continue at the next entry in objects", async () => {
+		const result = await parseWithRecovery("obj { a = bad, b = 2 }\nc = 1");
+		assert.deepStrictEqual(result, {
+			data: { obj: { b: 2 }, c: 1 },
+			diagnostics: [{ row: 1, column: 11, message: "unexpected identifier as value 'bad'" }],
+		});
+	});
+
+	it("should continue at the closing brace of objects", async () => {
+		const result = await parseWithRecovery("obj {\n\ta = 1\n\tb = [1, bad] }\nc = 1");
+		assert.deepStrictEqual(result.data, { obj: { a: 1, b: [1] }, c: 1 });
+	});
+
+	it("should continue at the next item in arrays", async () => {
+		const result = await parseWithRecovery("arr = [\n\t1,\n\tbad,\n\t3,\n]\nnext = 1");
+		assert.deepStrictEqual(result, {
+			data: { arr: [1, 3], next: 1 },
+			diagnostics: [{ row: 3, column: 2, message: "unexpected identifier as value 'bad'" }],
+		});
+	});
+
+	it("should recover from resolver errors", async () => {
+		const result = await parseWithRecovery('a = env("MISSING")\nb = 1', { env: {} });
+		assert.deepStrictEqual(result.data, { b: 1 });
+		assert.strictEqual(result.diagnostics.length, 1);
+		assert.match(result.diagnostics[0].message, /no environment variable 'MISSING'/);
+	});
+
+	it("should report unclosed objects and arrays", async () => {
+		const result = await parseWithRecovery("a = {\n\tb = 1\n");
+		assert.deepStrictEqual(result.data, {});
+		assert.deepStrictEqual(
+			result.diagnostics.map((diagnostic) => diagnostic.message),
+			["expected '}', got null"],
+		);
+	});
+
+	it("should include the severity, code, end position and file", async () => {
+		const file = new URL("file:///config.bconf");
+		const { diagnostics } = await parse("a = b", { recover: true, file });
+		assert.deepStrictEqual(diagnostics, [
+			{
+				file,
+				row: 1,
+				column: 5,
+				endRow: 1,
+				endColumn: 6,
+				message: "unexpected identifier as value 'b'",
+				severity: "error",
+				code: "UNEXPECTED_TOKEN",
+			},
+		]);
+	});
+
+	it("should collect errors from files parsed by resolvers", async () => {
+		const { data, diagnostics } = await parse('extends "base.bconf"\nc = 3', {
+			recover: true,
+			rootDir: "/configs",
+			loader: async () => "a = 1\nb = bad",
+		});
+		assert.deepStrictEqual(data, { a: 1, c: 3 });
+		assert.strictEqual(diagnostics?.length, 1);
+		assert.strictEqual(diagnostics?.[0].file?.href, "file:///configs/base.bconf");
+	});
+});
+
+describe("Warnings", () => {
+	/**
+	 * @param {string} input
+	 * @param {import("./index.js").ParseOptions=} opts
+	 */
+	async function getWarnings(input, opts) {
+		const { warnings } = await parse(input, opts);
+		return warnings.map(({ row, column, code, message }) => ({ row, column, code, message }));
+	}
+
+	it("should return no warnings for documents without problems", async () => {
+		assert.deepStrictEqual(await getWarnings("a = 1\nb { c = 2 }"), []);
+	});
+
+	it("should warn about overridden keys", async () => {
+		assert.deepStrictEqual(await getWarnings("a = 1\nobj { b = 1 }\na = 2\nobj.b = 3"), [
+			{
+				row: 3,
+				column: 1,
+				code: WarningCode.OVERRIDDEN_KEY,
+				message: "key 'a' overrides the value assigned on line 1",
+			},
+			{
+				row: 4,
+				column: 1,
+				code: WarningCode.OVERRIDDEN_KEY,
+				message: "key 'obj.b' overrides the value assigned on line 2",
+			},
+		]);
+	});
+
+	it("should not warn about keys from extended files being overridden", async () => {
+		const warnings = await getWarnings('extends "base.bconf"\na = 2', {
+			loader: async () => "a = 1",
+		});
+		assert.deepStrictEqual(warnings, []);
+	});
+
+	it("should warn about shadowed variables", async () => {
+		assert.deepStrictEqual(await getWarnings("$a = 1\nobj {\n\t$a = 2\n\t$b = 3\n}"), [
+			{
+				row: 3,
+				column: 2,
+				code: WarningCode.SHADOWED_VARIABLE,
+				message: "variable '$a' shadows a variable outside of the object",
+			},
+		]);
+	});
+
+	it("should warn about unused imports", async () => {
+		const warnings = await getWarnings(
+			'import from "vars.bconf" { $a, $b as $c, $d }\nvalue = $a\nstr = "${$d}"',
+			{ loader: async () => "$a = 1\n$b = 2\n$d = 3\nexport vars { $a, $b, $d }" },
+		);
+		assert.deepStrictEqual(warnings, [
+			{
+				row: 1,
+				column: 1,
+				code: WarningCode.UNUSED_IMPORT,
+				message: "imported variable '$c' is never used",
+			},
+		]);
+	});
+
+	it("should warn about statements without a resolver", async () => {
+		assert.deepStrictEqual(await getWarnings("a = 1\ninclude foo"), [
+			{
+				row: 2,
+				column: 1,
+				code: WarningCode.UNRESOLVED_STATEMENT,
+				message: "statement 'include' has no resolver, so it is collected as is",
+			},
+		]);
+	});
+
+	it("should add warnings from resolvers", async () => {
+		/** @type {import("./index.js").TagResolver} */
+		const deprecated = async ({ next, warn }) => {
+			warn("deprecated() is deprecated");
+			const value = await next();
+			return value.success ? value.value : null;
+		};
+		const warnings = await getWarnings("a = 1\nb = deprecated(2)", {
+			resolvers: { tags: [{ name: "deprecated", resolver: deprecated }] },
+		});
+		assert.deepStrictEqual(warnings, [
+			{
+				row: 2,
+				column: 5,
+				code: WarningCode.RESOLVER_WARNING,
+				message: "deprecated() is deprecated",
+			},
+		]);
+	});
+
+	it("should include warnings from files parsed by resolvers", async () => {
+		const { warnings } = await parse('extends "base.bconf"', {
+			rootDir: "/configs",
+			loader: async () => "a = 1\na = 2",
+		});
+		assert.strictEqual(warnings.length, 1);
+		assert.strictEqual(warnings[0].file?.href, "file:///configs/base.bconf");
+		assert.strictEqual(warnings[0].severity, "warning");
+	});
+
+	it("should call onWarning for every warning", async () => {
+		/** @type {Array<import("./index.js").Diagnostic>} */
+		const seen = [];
+		const { warnings } = await parse('extends "base.bconf"\nb = 1\nb = 2', {
+			loader: async () => "a = 1\na = 2",
+			onWarning: (warning) => seen.push(warning),
+		});
+		assert.strictEqual(seen.length, 2);
+		assert.deepStrictEqual(seen, warnings);
+	});
+});
+
+describe("Strict Mode", () => {
+	/**
+	 * @param {string} input
+	 * @param {import("./index.js").ParseOptions["strict"]} strict
+	 */
+	async function getError(input, strict) {
+		try {
+			await parse(input, { strict });
+		} catch (error) {
+			assert.ok(error instanceof BconfError);
+			return { reason: error.reason, code: error.code, row: error.row, column: error.column };
+		}
+
+		assert.fail("expected parsing to throw");
+	}
+
+	it("should reject tags without a resolver", async () => {
+		assert.deepStrictEqual(await getError("a = 1\nb = strng(1)", true), {
+			reason: "tag 'strng' has no resolver (did you mean 'string'?)",
+			code: "UNRESOLVED_TAG",
+			row: 2,
+			column: 5,
+		});
+	});
+
+	it("should reject statements without a resolver", async () => {
+		assert.deepStrictEqual(await getError("obj {\n\tinclude foo\n}", true), {
+			reason: "statement 'include' has no resolver",
+			code: "UNRESOLVED_STATEMENT",
+			row: 2,
+			column: 2,
+		});
+	});
+
+	it("should reject appending to values that are not arrays", async () => {
+		assert.deepStrictEqual(await getError('a = "value"\na << 1', true), {
+			reason: "cannot append to 'a', which is not an array",
+			code: "INVALID_APPEND",
+			row: 2,
+			column: 1,
+		});
+
+		const { data } = await parse("a << 1\na << 2", { strict: true });
+		assert.deepStrictEqual(data, { a: [1, 2] });
+	});
+
+	it("should reject gaps in arrays", async () => {
+		assert.deepStrictEqual(await getError("a = [1]\na[2] = 3", true), {
+			reason: "cannot assign to index 2 of an array with a length of 1",
+			code: "ARRAY_GAP",
+			row: 2,
+			column: 1,
+		});
+		assert.deepStrictEqual(await getError("a[1].b = 1", true), {
+			reason: "cannot assign to index 1 of an array with a length of 0",
+			code: "ARRAY_GAP",
+			row: 1,
+			column: 1,
+		});
+
+		const { data } = await parse("a = [1]\na[1] = 2\na[2].b = 3", { strict: true });
+		assert.deepStrictEqual(data, { a: [1, 2, { b: 3 }] });
+	});
+
+	it("should only enable the rules that are set", async () => {
+		const { data } = await parse('a = custom(1)\nb = "value"\nb << 1', {
+			strict: { unknownStatements: true, arrayGaps: true },
+		});
+		assert.deepStrictEqual(data, { a: ["custom", 1], b: [1] });
+
+		assert.strictEqual(
+			(await getError("a = custom(1)", { unknownTags: true })).code,
+			"UNRESOLVED_TAG",
+		);
+	});
+
+	it("should allow tags and statements with a resolver", async () => {
+		const { data } = await parse(
+			'import from "vars.bconf" { $port }\na = int("1")\nb = env("HOME")\nc = $port',
+			{
+				strict: true,
+				env: { HOME: "/home" },
+				loader: async () => "$port = 80\nexport vars { $port }",
+			},
+		);
+		assert.deepStrictEqual(data, { a: 1, b: "/home", c: 80 });
+	});
+
+	it("should apply to files parsed by resolvers", async () => {
+		await assert.rejects(
+			parse('extends "base.bconf"', { strict: true, loader: async () => "a = custom(1)" }),
+			{ code: "UNRESOLVED_TAG" },
+		);
 	});
 });
 
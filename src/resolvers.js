@@ -2,9 +2,14 @@
  * @import { Value, TagResolver, StatementResolver, ResolverContext } from './index.js'
  */
 
-import { isObject, validateAndParseNumber } from "./utils.js";
+import { CodedError, ErrorCode } from "./error.js";
+import { getValueType, isObject, validateAndParseNumber } from "./utils.js";
 import { Collection, KeyPath, Statement } from "./values.js";
 
+const { toFilePath } = await (typeof window !== "undefined"
+	? import("./browser/paths.js")
+	: import("./node/paths.js"));
+
 // -------------------------
 // TAG RESOLVERS
 // -------------------------
@@ -17,6 +22,7 @@ export const BUILT_IN_TAG_RESOLVERS = new Map([
 	["int", intResolver],
 	["float", floatResolver],
 	["bool", boolResolver],
+	["file", fileResolver],
 ]);
 
 /** @type {TagResolver} */
@@ -26,7 +32,9 @@ async function refResolver({ lookup, next }) {
 		!nextValue.success ||
 		(!(nextValue.value instanceof KeyPath) && typeof nextValue.value !== "number")
 	) {
-		throw new Error("expected key path for 'ref' tag");
+		throw new CodedError("expected key path for 'ref' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "ref",
+		});
 	}
 
 	const resolvedValue = lookup(
@@ -35,9 +43,14 @@ async function refResolver({ lookup, next }) {
 			: nextValue.value,
 	);
 	if (!resolvedValue.success) {
-		throw new Error(
-			`no value exists at key '${typeof nextValue.value === "number" ? nextValue.value : nextValue.value.serialize()}'`,
-		);
+		const key =
+			typeof nextValue.value === "number"
+				? String(nextValue.value)
+				: nextValue.value.serialize();
+		throw new CodedError(`no value exists at key '${key}'`, ErrorCode.UNRESOLVED_REFERENCE, {
+			tag: "ref",
+			key,
+		});
 	}
 
 	return resolvedValue.value;
@@ -47,12 +60,18 @@ async function refResolver({ lookup, next }) {
 async function envResolver({ env, next }) {
 	const nextValue = await next();
 	if (!nextValue.success || typeof nextValue.value !== "string") {
-		throw new Error("expected a string value for 'env' tag");
+		throw new CodedError("expected a string value for 'env' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "env",
+		});
 	}
 
 	const envVariable = env[nextValue.value];
 	if (envVariable === undefined) {
-		throw new Error(`no environment variable '${nextValue.value}' is set`);
+		throw new CodedError(
+			`no environment variable '${nextValue.value}' is set`,
+			ErrorCode.MISSING_ENV_VARIABLE,
+			{ tag: "env", variable: nextValue.value },
+		);
 	}
 
 	// Typecasting should be fine here - if a bad value is passed (ie. non-serializable value)
@@ -64,29 +83,176 @@ async function envResolver({ env, next }) {
 async function stringResolver({ next }) {
 	const nextValue = await next();
 	if (!nextValue.success) {
-		throw new Error("expected a value for 'string' tag");
+		throw new CodedError("expected a value for 'string' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "string",
+		});
 	}
 
-	const { value } = nextValue;
-	if (typeof value === "string") {
-		return value;
+	return convertToString(nextValue.value);
+}
+
+/** @type {TagResolver} */
+async function numberResolver({ next }) {
+	const nextValue = await next();
+	if (!nextValue.success) {
+		throw new CodedError("expected value for 'number' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "number",
+		});
 	}
 
-	if (typeof value === "number" || typeof value === "boolean" || value === null) {
-		return String(value);
+	return convertToNumber(nextValue.value);
+}
+
+/** @type {TagResolver} */
+async function intResolver({ next }) {
+	const nextValue = await next();
+	if (!nextValue.success) {
+		throw new CodedError("expected value for 'int' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "int",
+		});
 	}
 
-	throw new Error("cannot convert value to string");
+	return convertToInt(nextValue.value);
 }
 
 /** @type {TagResolver} */
-async function numberResolver({ next }) {
+async function floatResolver({ next }) {
 	const nextValue = await next();
 	if (!nextValue.success) {
-		throw new Error("expected value for 'number' tag");
+		throw new CodedError("expected value for 'float' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "float",
+		});
+	}
+
+	return convertToFloat(nextValue.value);
+}
+
+/** @type {TagResolver} */
+async function boolResolver({ next }) {
+	const nextValue = await next();
+	if (!nextValue.success) {
+		throw new CodedError("expected value for 'bool' tag", ErrorCode.INVALID_ARGUMENT, {
+			tag: "bool",
+		});
+	}
+
+	return convertToBool(nextValue.value);
+}
+
+const FILE_OPTIONS = ["trim", "base64"];
+
+/**
+ * Inline the contents of a file as a string, eg. `file("./certs/server.pem" trim)`. The path
+ * is relative to the file the tag is in, and the options after it are `trim` to remove the
+ * whitespace around the contents, and `base64` to decode them first
+ * @type {TagResolver}
+ */
+async function fileResolver(context) {
+	const filePath = await context.next();
+	if (!filePath.success || typeof filePath.value !== "string") {
+		throw new CodedError(
+			"expected a string file path for 'file' tag",
+			ErrorCode.INVALID_ARGUMENT,
+			{ tag: "file" },
+		);
+	}
+
+	/** @type {Set<string>} */
+	const options = new Set();
+	for (let option = await context.next(); option.success; option = await context.next()) {
+		const { value } = option;
+		const name = value instanceof KeyPath ? value.serialize() : value;
+		if (typeof name !== "string" || !FILE_OPTIONS.includes(name)) {
+			const actual = typeof name === "string" ? name : getValueType(value);
+			throw new CodedError(
+				`unknown option '${actual}' for 'file' tag, expected 'trim' or 'base64'`,
+				ErrorCode.INVALID_ARGUMENT,
+				{ tag: "file", actual },
+			);
+		}
+
+		options.add(name);
+	}
+
+	let contents = await context.loadFile(getRelativePath(context.file, filePath.value));
+	if (options.has("base64")) {
+		contents = decodeBase64(contents, filePath.value);
+	}
+
+	return options.has("trim") ? contents.trim() : contents;
+}
+
+/**
+ * @param {URL | undefined} file The file being parsed
+ * @param {string} path
+ * @returns {string} The path for the file loader, relative to the file being parsed if it is known
+ */
+function getRelativePath(file, path) {
+	if (!file || path.startsWith("/")) {
+		return path;
+	}
+
+	if (file.protocol !== "file:") {
+		return new URL(path, file).href;
+	}
+
+	// The path is not URL encoded, so characters that mean something in URLs are escaped
+	const escaped = path.replace(/[%#?]/g, (char) => encodeURIComponent(char));
+	return toFilePath(new URL(escaped, file));
+}
+
+/**
+ * @param {string} contents
+ * @param {string} path The path of the file, for errors
+ * @returns {string}
+ * @throws {CodedError} If the contents are not base64, or not UTF-8 once decoded
+ */
+function decodeBase64(contents, path) {
+	try {
+		const binary = atob(contents.replace(/\s/g, ""));
+		const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+		return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+	} catch {
+		throw new CodedError(
+			`cannot decode the contents of '${path}' as base64 UTF-8 text`,
+			ErrorCode.INVALID_CONVERSION,
+			{ tag: "file", file: path },
+		);
+	}
+}
+
+// -------------------------
+// CONVERSIONS
+// -------------------------
+// These are the rules of the `string`, `number`, `int`, `float` and `bool` tags,
+// which are also used when coercing values to the types in a schema
+
+/**
+ * @param {Value} value
+ * @returns {string}
+ * @throws {CodedError}
+ */
+export function convertToString(value) {
+	if (typeof value === "string") {
+		return value;
+	}
+
+	if (typeof value === "number" || typeof value === "boolean" || value === null) {
+		return String(value);
 	}
 
-	const { value } = nextValue;
+	throw new CodedError("cannot convert value to string", ErrorCode.INVALID_CONVERSION, {
+		tag: "string",
+		actual: getValueType(value),
+	});
+}
+
+/**
+ * @param {Value} value
+ * @returns {number}
+ * @throws {CodedError}
+ */
+export function convertToNumber(value) {
 	if (typeof value === "number") {
 		return value;
 	}
@@ -103,17 +269,18 @@ async function numberResolver({ next }) {
 		return validateAndParseNumber(value);
 	}
 
-	throw new Error("cannot convert value to number");
+	throw new CodedError("cannot convert value to number", ErrorCode.INVALID_CONVERSION, {
+		tag: "number",
+		actual: getValueType(value),
+	});
 }
 
-/** @type {TagResolver} */
-async function intResolver({ next }) {
-	const nextValue = await next();
-	if (!nextValue.success) {
-		throw new Error("expected value for 'int' tag");
-	}
-
-	let { value } = nextValue;
+/**
+ * @param {Value} value
+ * @returns {number}
+ * @throws {CodedError}
+ */
+export function convertToInt(value) {
 	if (value === true) {
 		return 1;
 	}
@@ -130,17 +297,18 @@ async function intResolver({ next }) {
 		return Number.isInteger(value) ? value : Math.trunc(value);
 	}
 
-	throw new Error("cannot convert value to integer");
+	throw new CodedError("cannot convert value to integer", ErrorCode.INVALID_CONVERSION, {
+		tag: "int",
+		actual: getValueType(value),
+	});
 }
 
-/** @type {TagResolver} */
-async function floatResolver({ next }) {
-	const nextValue = await next();
-	if (!nextValue.success) {
-		throw new Error("expected value for 'int' tag");
-	}
-
-	const { value } = nextValue;
+/**
+ * @param {Value} value
+ * @returns {number}
+ * @throws {CodedError}
+ */
+export function convertToFloat(value) {
 	if (value === true) {
 		return 1.0;
 	}
@@ -159,17 +327,18 @@ async function floatResolver({ next }) {
 		return value;
 	}
 
-	throw new Error("cannot convert value to float");
+	throw new CodedError("cannot convert value to float", ErrorCode.INVALID_CONVERSION, {
+		tag: "float",
+		actual: getValueType(value),
+	});
 }
 
-/** @type {TagResolver} */
-async function boolResolver({ next }) {
-	const nextValue = await next();
-	if (!nextValue.success) {
-		throw new Error("expected value for 'int' tag");
-	}
-
-	const { value } = nextValue;
+/**
+ * @param {Value} value
+ * @returns {boolean}
+ * @throws {CodedError}
+ */
+export function convertToBool(value) {
 	if (typeof value === "boolean") {
 		return value;
 	}
@@ -186,7 +355,10 @@ async function boolResolver({ next }) {
 		return value !== 0;
 	}
 
-	throw new Error("cannot convert value to boolean");
+	throw new CodedError("cannot convert value to boolean", ErrorCode.INVALID_CONVERSION, {
+		tag: "bool",
+		actual: getValueType(value),
+	});
 }
 
 // -------------------------
@@ -203,28 +375,40 @@ export const BUILT_IN_STATEMENT_RESOLVERS = new Map([
 async function importResolver(context) {
 	const fromVal = await context.next();
 	if (!fromVal.success) {
-		throw new Error(
+		throw new CodedError(
 			`expected 'from' to be the second argument in import statements but got nothing`,
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "import" },
 		);
 	}
 
 	if (fromVal.value !== "from") {
-		throw new Error(
+		throw new CodedError(
 			`expected 'from' to be the second argument in import statements but got '${fromVal.value}'`,
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "import" },
 		);
 	}
 
 	const filePath = await context.next();
 	if (!filePath.success || typeof filePath.value !== "string") {
-		throw new Error("file path must be a string in import statements");
+		throw new CodedError(
+			"file path must be a string in import statements",
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "import" },
+		);
 	}
 	if (!filePath.value) {
-		throw new Error("file path cannot be empty in import statements");
+		throw new CodedError(
+			"file path cannot be empty in import statements",
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "import" },
+		);
 	}
 
 	const file = await context.loadFile(filePath.value);
 	// TODO: Cache resolved values/variables to avoid parsing every time
-	const { variables } = await context.parse(file);
+	const { variables } = await context.parse(file, { file: context.getFileURL(filePath.value) });
 
 	const instructions = await context.next({
 		treatVarsAsKeys: true,
@@ -232,7 +416,13 @@ async function importResolver(context) {
 		duplicateKeys: "collect",
 	});
 	if (!instructions.success || !isObject(instructions.value)) {
-		throw new Error("expected object with variables to import");
+		throw new CodedError(
+			"expected object with variables to import",
+			ErrorCode.INVALID_ARGUMENT,
+			{
+				statement: "import",
+			},
+		);
 	}
 
 	for (const [name, instruction] of Object.entries(instructions.value)) {
@@ -241,7 +431,11 @@ async function importResolver(context) {
 		}
 
 		if (!(name in variables)) {
-			throw new Error(`variable '${name}' is not exported from '${filePath}'`);
+			throw new CodedError(
+				`variable '${name}' is not exported from '${filePath.value}'`,
+				ErrorCode.VARIABLE_NOT_EXPORTED,
+				{ statement: "import", variable: name, file: filePath.value },
+			);
 		}
 
 		if (instruction instanceof Collection) {
@@ -263,41 +457,70 @@ async function importResolver(context) {
  * @param {Record<string, Value>} variables
  */
 function handleImportInstruction(name, instruction, context, variables) {
+	const statement = "import";
 	if (instruction instanceof Statement) {
 		// Supporting multiple aliases for the same variable
 		// (eg. { $foo as $bar, $foo as $baz })
 		for (const [asArg, key] of instruction.args) {
 			if (typeof asArg !== "string" || asArg !== "as") {
-				throw new Error(`expected 'as' for alias statement, got '${asArg}'`);
+				throw new CodedError(
+					`expected 'as' for alias statement, got '${asArg}'`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 
 			if (!(key instanceof KeyPath)) {
-				throw new Error(`expected alias to be a key path, got '${typeof key}'`);
+				throw new CodedError(
+					`expected alias to be a key path, got '${typeof key}'`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 
 			const [alias] = key.parts;
 			if (alias.type !== "variable") {
-				throw new Error(`expected variable key, got ${alias.type}`);
+				throw new CodedError(
+					`expected variable key, got ${alias.type}`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 			if (!alias.key.startsWith("$")) {
-				throw new Error(`invalid alias name '${alias.key}', must follow variable syntax`);
+				throw new CodedError(
+					`invalid alias name '${alias.key}', must follow variable syntax`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: alias.key },
+				);
 			}
 
 			if (context.variables.get(alias.key).found) {
-				throw new Error(
+				throw new CodedError(
 					`variable '${alias.key}' cannot be imported as it has already been declared`,
+					ErrorCode.VARIABLE_ALREADY_DECLARED,
+					{ statement, variable: alias.key },
 				);
 			}
 
-			const success = context.variables.set(alias.key, variables[name]);
+			const success = context.variables.set(alias.key, variables[name], {
+				warnIfUnused: true,
+			});
 			if (!success) {
-				throw new Error(`unexpectedly could not declare variable alias '${alias}'`);
+				throw new CodedError(
+					`unexpectedly could not declare variable alias '${alias.key}'`,
+					ErrorCode.VARIABLE_ALREADY_DECLARED,
+					{ statement, variable: alias.key },
+				);
 			}
 		}
 	} else {
-		const success = context.variables.set(name, variables[name]);
+		const success = context.variables.set(name, variables[name], { warnIfUnused: true });
 		if (!success) {
-			throw new Error(`unexpectedly could not declare variable '${name}'`);
+			throw new CodedError(
+				`unexpectedly could not declare variable '${name}'`,
+				ErrorCode.VARIABLE_ALREADY_DECLARED,
+				{ statement, variable: name },
+			);
 		}
 	}
 }
@@ -308,14 +531,18 @@ function handleImportInstruction(name, instruction, context, variables) {
 async function exportResolver(context) {
 	const varsValue = await context.next();
 	if (!varsValue.success) {
-		throw new Error(
+		throw new CodedError(
 			`expected 'vars' to be the second argument in export statements but got nothing`,
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "export" },
 		);
 	}
 
 	if (varsValue.value !== "vars") {
-		throw new Error(
+		throw new CodedError(
 			`expected 'vars' to be the second argument in export statements but got '${varsValue.value}'`,
+			ErrorCode.INVALID_ARGUMENT,
+			{ statement: "export" },
 		);
 	}
 
@@ -325,7 +552,13 @@ async function exportResolver(context) {
 		duplicateKeys: "collect",
 	});
 	if (!variables.success || !isObject(variables.value)) {
-		throw new Error("expected object with variables to export");
+		throw new CodedError(
+			"expected object with variables to export",
+			ErrorCode.INVALID_ARGUMENT,
+			{
+				statement: "export",
+			},
+		);
 	}
 
 	for (const [name, instruction] of Object.entries(variables.value)) {
@@ -351,24 +584,41 @@ async function exportResolver(context) {
  * @param {ResolverContext} context
  */
 function handleExportInstruction(name, instruction, context) {
+	const statement = "export";
 	if (instruction instanceof Statement) {
 		// Supporting multiple aliases for the same variable
 		// (eg. { $foo as $bar, $foo as $baz })
 		for (const [asArg, key] of instruction.args) {
 			if (typeof asArg !== "string" || asArg !== "as") {
-				throw new Error(`expected 'as' for alias statement, got '${asArg}'`);
+				throw new CodedError(
+					`expected 'as' for alias statement, got '${asArg}'`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 
 			if (!(key instanceof KeyPath)) {
-				throw new Error(`expected alias to be a key path, got '${typeof key}'`);
+				throw new CodedError(
+					`expected alias to be a key path, got '${typeof key}'`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 
 			const [alias] = key.parts;
 			if (alias.type !== "variable") {
-				throw new Error(`expected variable key, got ${alias.type}`);
+				throw new CodedError(
+					`expected variable key, got ${alias.type}`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: name },
+				);
 			}
 			if (!alias.key.startsWith("$")) {
-				throw new Error(`invalid alias name '${alias.key}', must follow variable syntax`);
+				throw new CodedError(
+					`invalid alias name '${alias.key}', must follow variable syntax`,
+					ErrorCode.INVALID_ALIAS,
+					{ statement, variable: alias.key },
+				);
 			}
 
 			const resolvedVariable = context.variables.get(name);
@@ -379,7 +629,11 @@ function handleExportInstruction(name, instruction, context) {
 				exportOnly: true,
 			});
 			if (!success) {
-				throw new Error(`unexpectedly could not export variable '${alias.key}'`);
+				throw new CodedError(
+					`unexpectedly could not export variable '${alias.key}'`,
+					ErrorCode.VARIABLE_ALREADY_DECLARED,
+					{ statement, variable: alias.key },
+				);
 			}
 		}
 	} else {
@@ -390,7 +644,11 @@ function handleExportInstruction(name, instruction, context) {
 		const value = resolvedVariable.found ? resolvedVariable.value : true;
 		const success = context.variables.set(name, value, { export: true, exportOnly: true });
 		if (!success) {
-			throw new Error(`unexpectedly could not export variable '${name}'`);
+			throw new CodedError(
+				`unexpectedly could not export variable '${name}'`,
+				ErrorCode.VARIABLE_ALREADY_DECLARED,
+				{ statement, variable: name },
+			);
 		}
 	}
 }
@@ -399,10 +657,12 @@ function handleExportInstruction(name, instruction, context) {
 async function extendsResolver(context) {
 	const filePath = await context.next();
 	if (!filePath.success || typeof filePath.value !== "string") {
-		throw new Error("file path must be a string");
+		throw new CodedError("file path must be a string", ErrorCode.INVALID_ARGUMENT, {
+			statement: "extends",
+		});
 	}
 
 	const file = await context.loadFile(filePath.value);
-	const { data } = await context.parse(file);
+	const { data } = await context.parse(file, { file: context.getFileURL(filePath.value) });
 	return { action: "merge", value: data };
 }
@@ -1,7 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
 import { parse } from "./parse.js";
-import { BconfError } from "./error.js";
+import { BconfError, CodedError } from "./error.js";
 
 /**
  * Helper to assert that parsing throws an error
@@ -479,7 +479,7 @@ describe("float() Tag Resolver", () => {
 	});
 
 	it("should reject float without argument", async () => {
-		await assertThrows("value = float()", "expected value for 'int' tag");
+		await assertThrows("value = float()", "expected value for 'float' tag");
 	});
 
 	it("should handle zero", async () => {
@@ -558,7 +558,7 @@ describe("bool() Tag Resolver", () => {
 	});
 
 	it("should reject bool without argument", async () => {
-		await assertThrows("value = bool()", "expected value for 'int' tag");
+		await assertThrows("value = bool()", "expected value for 'bool' tag");
 	});
 
 	it("should convert string '0' to true", async () => {
@@ -572,6 +572,80 @@ describe("bool() Tag Resolver", () => {
 	});
 });
 
+describe("file() Tag Resolver", () => {
+	/** @type {Record<string, string>} */
+	const files = {
+		"cert.pem": "-----BEGIN CERTIFICATE-----\n",
+		"/configs/certs/server.pem": "server cert",
+		"secret.b64": "aMOpbGxv\n",
+		"bad.b64": "not base64!",
+	};
+
+	/** @type {import("./index.js").FileLoader} */
+	const loader = async (_, path) => {
+		if (!(path in files)) {
+			throw new CodedError(`no such file '${path}'`, "FILE_NOT_FOUND", { file: path });
+		}
+
+		return files[path];
+	};
+
+	it("should inline the contents of a file", async () => {
+		const { data } = await parse('tls.cert = file("cert.pem")', { loader });
+		assert.deepStrictEqual(data, { tls: { cert: "-----BEGIN CERTIFICATE-----\n" } });
+	});
+
+	it("should read files relative to the current file", async () => {
+		const { data } = await parse('cert = file("./certs/server.pem")', {
+			loader,
+			file: new URL("file:///configs/app.bconf"),
+		});
+		assert.deepStrictEqual(data, { cert: "server cert" });
+	});
+
+	it("should not decode file names relative to the current file", async () => {
+		const { data } = await parse('a = file("./my%20file.pem")\nb = file("100%.pem")', {
+			loader: async (_, path) => path,
+			file: new URL("file:///configs/app.bconf"),
+		});
+		assert.deepStrictEqual(data, { a: "/configs/my%20file.pem", b: "/configs/100%.pem" });
+	});
+
+	it("should trim and decode base64", async () => {
+		const { data } = await parse(
+			'a = file("cert.pem" trim)\nb = file("secret.b64" base64)\nc = file("secret.b64" "trim")',
+			{ loader },
+		);
+		assert.deepStrictEqual(data, {
+			a: "-----BEGIN CERTIFICATE-----",
+			b: "héllo",
+			c: "aMOpbGxv",
+		});
+	});
+
+	it("should reject invalid arguments", async () => {
+		await assertThrows("a = file(1)", "expected a string file path for 'file' tag", { loader });
+		await assertThrows(
+			'a = file("cert.pem" gzip)',
+			"unknown option 'gzip' for 'file' tag, expected 'trim' or 'base64'",
+			{ loader },
+		);
+		await assertThrows(
+			'a = file("bad.b64" base64)',
+			"cannot decode the contents of 'bad.b64' as base64 UTF-8 text",
+			{ loader },
+		);
+	});
+
+	it("should keep the code of errors from the loader", async () => {
+		await assert.rejects(parse('a = file("missing.pem")', { loader }), {
+			code: "FILE_NOT_FOUND",
+			message:
+				"tag 'file' failed: no such file 'missing.pem' at line 1 column 5 of the bconf data",
+		});
+	});
+});
+
 describe("import Statement Resolver", () => {
 	it("should import single variable", async () => {
 		const { data } = await parse('import from "./file.bconf" { $var }', {
@@ -0,0 +1,1190 @@
+/**
+ * @import { CoerceResult, NormalizeResult, StandardSchema, StandardIssue, JsonSchema, JsonSchemaType, Key, Schema, SchemaIssue, SchemaType, SourceMapping, ValidateOptions, Value } from './index.js'
+ */
+
+import { parseKeyPath } from "./cst.js";
+import { BconfError, CodedError, ErrorCode, WarningCode } from "./error.js";
+import { convertToBool, convertToFloat, convertToInt, convertToString } from "./resolvers.js";
+import { serializeKeyPath } from "./stringify.js";
+import { getParentForKey, getValueAtPath, getValueType, isObject, toKey } from "./utils.js";
+import { KeyPath } from "./values.js";
+
+/** @type {Array<SchemaType>} */
+const SCHEMA_TYPES = ["string", "number", "integer", "boolean", "null", "array", "object", "any"];
+/** @type {Array<JsonSchemaType>} */
+const JSON_SCHEMA_TYPES = ["string", "number", "integer", "boolean", "null", "array", "object"];
+const JSON_SCHEMA_KEYWORDS = [
+	"$schema",
+	"$ref",
+	"$defs",
+	"properties",
+	"additionalProperties",
+	"const",
+	"anyOf",
+	"oneOf",
+	"allOf",
+	"minimum",
+	"maximum",
+	"exclusiveMinimum",
+	"exclusiveMaximum",
+	"minLength",
+	"maxLength",
+	"minItems",
+	"maxItems",
+];
+/**
+ * The conversions for the types values can be coerced to, which are the
+ * same as the `string`, `float`, `int` and `bool` tags
+ * @type {Record<string, (value: Value) => Value>}
+ */
+const CONVERSIONS = {
+	string: convertToString,
+	number: convertToFloat,
+	integer: convertToInt,
+	boolean: convertToBool,
+};
+
+/**
+ * Validate data against a schema. Schemas are plain data, so they can be
+ * written in bconf and parsed like any other file. JSON Schemas (a subset of
+ * draft 2020-12) are also supported, and are told apart by `$schema` or the
+ * keywords only they have (eg. `properties`)
+ * @param {unknown} data The data to validate (eg. the `data` from `parse()`)
+ * @param {Schema | JsonSchema} schema
+ * @param {ValidateOptions=} opts Options for validating
+ * @returns {Array<SchemaIssue>} Every part of the data that does not match the schema
+ * @throws {CodedError} If the schema itself is invalid
+ */
+export function validate(data, schema, opts) {
+	const validator = isJsonSchema(schema)
+		? new JsonSchemaValidator(schema, opts)
+		: new SchemaValidator(opts);
+	validator.validate(data, /** @type {any} */ (schema), []);
+	return validator.issues;
+}
+
+/**
+ * @param {unknown} schema
+ * @returns {schema is StandardSchema} If the schema implements the Standard Schema interface
+ */
+export function isStandardSchema(schema) {
+	return (
+		isObject(schema) &&
+		isObject(schema["~standard"]) &&
+		typeof schema["~standard"].validate === "function"
+	);
+}
+
+/**
+ * Validate data with a Standard Schema. The paths of the issues are turned into key
+ * paths, so they are the same as the ones from `validate()`
+ * @param {unknown} data
+ * @param {StandardSchema} schema
+ * @param {ValidateOptions=} opts Options for validating
+ * @returns {Promise<{ success: true, value: unknown } | { success: false, issues: Array<SchemaIssue> }>}
+ */
+export async function validateStandard(data, schema, opts) {
+	const result = await schema["~standard"].validate(data);
+	if (!result.issues) {
+		return { success: true, value: result.value };
+	}
+
+	const sourceMap = opts?.sourceMap ?? null;
+	const issues = result.issues.map((issue) => {
+		const path = getStandardPath(data, issue);
+		return createIssue(path, issue.message, ErrorCode.INVALID_VALUE, sourceMap, path);
+	});
+	return { success: false, issues };
+}
+
+/**
+ * Prepare data to be validated against a schema. Keys that are `deprecated` are returned
+ * as deprecations, and moved to their replacement when the schema says to. Then keys
+ * missing from objects get their `default`. Objects and arrays are changed in place
+ * @param {unknown} data The data to prepare (eg. the `data` from `parse()`)
+ * @param {Schema | JsonSchema} schema
+ * @param {ValidateOptions=} opts Options for normalizing
+ * @returns {NormalizeResult}
+ * @throws {CodedError} If a replacement key path or a `$ref` in the schema is invalid
+ */
+export function normalize(data, schema, opts) {
+	const normalizer = new SchemaNormalizer(data, schema, opts);
+	normalizer.walk(data, schema, [], (object, key, rules, path) => {
+		normalizer.deprecate(object, key, rules, path);
+	});
+	normalizer.walk(data, schema, [], (object, key, rules) => {
+		if (rules.default !== undefined && !Object.hasOwn(object, key)) {
+			object[key] = structuredClone(rules.default);
+		}
+	});
+
+	return { data, deprecations: normalizer.deprecations };
+}
+
+class SchemaNormalizer {
+	/** @type {Array<SchemaIssue>} */ deprecations = [];
+	/** @type {Record<string, SourceMapping> | null} */ sourceMap = null;
+	/** @type {unknown} */ data;
+	/** @type {Schema | JsonSchema} */ root;
+	/** @type {boolean} */ isJson;
+
+	/**
+	 * @param {unknown} data
+	 * @param {Schema | JsonSchema} root
+	 * @param {ValidateOptions=} opts
+	 */
+	constructor(data, root, opts) {
+		this.data = data;
+		this.root = root;
+		this.isJson = isJsonSchema(root);
+		if (opts?.sourceMap) {
+			this.sourceMap = opts.sourceMap;
+		}
+	}
+
+	/**
+	 * Visit every key in the schemas of the objects in the data, whether the
+	 * object has it or not
+	 * @param {unknown} value
+	 * @param {unknown} schema
+	 * @param {Array<Key>} path
+	 * @param {(object: Record<string, unknown>, key: string, rules: Record<string, any>, path: Array<Key>) => void} visit
+	 */
+	walk(value, schema, path, visit) {
+		const rules = this.resolve(schema, path);
+		if (!rules) {
+			return;
+		}
+
+		if (Array.isArray(value) && rules.items !== undefined) {
+			for (let i = 0; i < value.length; i++) {
+				this.walk(value[i], rules.items, [...path, { type: "index", index: i }], visit);
+			}
+
+			return;
+		}
+
+		if (!isObject(value)) {
+			return;
+		}
+
+		const keys = this.isJson ? rules.properties : rules.keys;
+		const rest = this.isJson ? rules.additionalProperties : rules.values;
+		const hasKeys = isObject(keys);
+		if (hasKeys) {
+			for (const [key, keySchema] of Object.entries(keys)) {
+				const keyPath = [...path, toKey(key)];
+				const keyRules = this.resolve(keySchema, keyPath);
+				if (keyRules) {
+					visit(value, key, keyRules, keyPath);
+				}
+			}
+		}
+
+		for (const [key, item] of Object.entries(value)) {
+			const itemSchema = hasKeys && Object.hasOwn(keys, key) ? keys[key] : rest;
+			if (itemSchema !== undefined) {
+				this.walk(item, itemSchema, [...path, toKey(key)], visit);
+			}
+		}
+	}
+
+	/**
+	 * @param {unknown} schema
+	 * @param {Array<Key>} path
+	 * @returns {Record<string, any> | null} The schema, after following `$ref`
+	 */
+	resolve(schema, path) {
+		const seen = new Set();
+		let current = schema;
+		while (this.isJson && isObject(current) && typeof current.$ref === "string") {
+			// References to themselves are left for `validate()` to report
+			if (seen.has(current.$ref)) {
+				return null;
+			}
+
+			seen.add(current.$ref);
+			current = resolveRef(/** @type {JsonSchema} */ (this.root), current.$ref, path);
+		}
+
+		return isObject(current) ? current : null;
+	}
+
+	/**
+	 * @param {Record<string, unknown>} object
+	 * @param {string} key
+	 * @param {Record<string, any>} rules
+	 * @param {Array<Key>} path
+	 */
+	deprecate(object, key, rules, path) {
+		if (!rules.deprecated || !Object.hasOwn(object, key)) {
+			return;
+		}
+
+		/** @type {Record<string, unknown>} */
+		const deprecation = isObject(rules.deprecated) ? rules.deprecated : {};
+		const replacement =
+			typeof deprecation.replacement === "string" ? deprecation.replacement : null;
+		const message = replacement
+			? `${describePath(path)} is deprecated, use '${replacement}' instead`
+			: `${describePath(path)} is deprecated`;
+		this.deprecations.push(
+			createIssue(path, message, WarningCode.DEPRECATED_KEY, this.sourceMap, path),
+		);
+
+		if (!replacement || !deprecation.move || !isObject(this.data)) {
+			return;
+		}
+
+		const target = this.parseReplacement(replacement, path);
+		const root = /** @type {Record<string, Value>} */ (this.data);
+		if (getValueAtPath(root, target) === undefined) {
+			const parent = getParentForKey(root, target);
+			const last = /** @type {Key} */ (target.parts.at(-1));
+			parent[last.type === "index" ? last.index : last.key] = /** @type {Value} */ (
+				object[key]
+			);
+		}
+
+		delete object[key];
+	}
+
+	/**
+	 * @param {string} replacement
+	 * @param {Array<Key>} path
+	 * @returns {KeyPath}
+	 */
+	parseReplacement(replacement, path) {
+		try {
+			const target = parseKeyPath(replacement);
+			if (target.parts.length) {
+				return target;
+			}
+		} catch (error) {
+			if (!(error instanceof BconfError)) {
+				throw error;
+			}
+		}
+
+		throw new CodedError(
+			`invalid replacement '${replacement}' in schema for ${describePath(path)}`,
+			ErrorCode.INVALID_SCHEMA,
+			{ key: serializePath(path) },
+		);
+	}
+}
+
+/**
+ * Convert values to the types in a schema (eg. `"8080"` to `8080` for an integer), with
+ * the same rules as the `string`, `float`, `int` and `bool` tags. Values that already have
+ * one of the types are kept as they are, and so are values that can't be converted, which
+ * are returned as issues instead. Objects and arrays are converted in place
+ * @param {unknown} data The data to convert (eg. the `data` from `parse()`)
+ * @param {Schema | JsonSchema} schema
+ * @param {ValidateOptions=} opts Options for coercing
+ * @returns {CoerceResult}
+ * @throws {CodedError} If a `$ref` in the schema can't be resolved
+ */
+export function coerce(data, schema, opts) {
+	const coercer = new SchemaCoercer(schema, opts);
+	const result = coercer.coerce(data, schema, []);
+	return { data: result, issues: coercer.issues };
+}
+
+class SchemaCoercer {
+	/** @type {Array<SchemaIssue>} */ issues = [];
+	/** @type {Record<string, SourceMapping> | null} */ sourceMap = null;
+	/** @type {Schema | JsonSchema} */ root;
+	/** @type {boolean} */ isJson;
+	/**
+	 * The references being followed for each key path, to stop at references to themselves
+	 * @type {Set<string>}
+	 */
+	activeRefs = new Set();
+
+	/**
+	 * @param {Schema | JsonSchema} root
+	 * @param {ValidateOptions=} opts
+	 */
+	constructor(root, opts) {
+		this.root = root;
+		this.isJson = isJsonSchema(root);
+		if (opts?.sourceMap) {
+			this.sourceMap = opts.sourceMap;
+		}
+	}
+
+	/**
+	 * Invalid schemas are left for `validate()` to report
+	 * @param {unknown} value
+	 * @param {unknown} schema Either kind of schema, since they are walked the same way
+	 * @param {Array<Key>} path
+	 * @returns {unknown}
+	 */
+	coerce(value, schema, path) {
+		if (!isObject(schema)) {
+			return value;
+		}
+
+		/** @type {Record<string, any>} */
+		const rules = schema;
+
+		if (this.isJson && typeof rules.$ref === "string") {
+			const id = `${serializePath(path)}#${rules.$ref}`;
+			if (this.activeRefs.has(id)) {
+				return value;
+			}
+
+			this.activeRefs.add(id);
+			const target = resolveRef(/** @type {JsonSchema} */ (this.root), rules.$ref, path);
+			value = this.coerce(value, target, path);
+			this.activeRefs.delete(id);
+		}
+
+		value = this.coerceType(value, rules.type, path);
+
+		const items = rules.items;
+		const keys = this.isJson ? rules.properties : rules.keys;
+		const rest = this.isJson ? rules.additionalProperties : rules.values;
+		if (Array.isArray(value) && items !== undefined) {
+			for (let i = 0; i < value.length; i++) {
+				value[i] = this.coerce(value[i], items, [...path, { type: "index", index: i }]);
+			}
+		} else if (isObject(value) && (keys !== undefined || rest !== undefined)) {
+			for (const [key, item] of Object.entries(value)) {
+				const itemSchema = isObject(keys) && Object.hasOwn(keys, key) ? keys[key] : rest;
+				if (itemSchema !== undefined) {
+					value[key] = this.coerce(item, itemSchema, [...path, toKey(key)]);
+				}
+			}
+		}
+
+		return value;
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {unknown} type The type in the schema
+	 * @param {Array<Key>} path
+	 * @returns {unknown}
+	 */
+	coerceType(value, type, path) {
+		if (type === undefined) {
+			return value;
+		}
+
+		const types = (Array.isArray(type) ? type : [type]).filter((name) =>
+			SCHEMA_TYPES.includes(name),
+		);
+		if (types.some((name) => matchesType(value, name))) {
+			return value;
+		}
+
+		// Converted to the first type that values can be converted to
+		const target = types.find((name) => Object.hasOwn(CONVERSIONS, name));
+		if (!target) {
+			return value;
+		}
+
+		try {
+			return CONVERSIONS[target](/** @type {Value} */ (value));
+		} catch (error) {
+			if (!(error instanceof CodedError)) {
+				throw error;
+			}
+
+			const actual =
+				isObject(value) || Array.isArray(value)
+					? getValueType(/** @type {Value} */ (value))
+					: JSON.stringify(value);
+			this.issues.push(
+				createIssue(
+					path,
+					`cannot convert ${describePath(path)} to ${describeTypes([target])}, got ${actual}`,
+					ErrorCode.INVALID_CONVERSION,
+					this.sourceMap,
+					path,
+				),
+			);
+			return value;
+		}
+	}
+}
+
+class SchemaValidator {
+	/** @type {Array<SchemaIssue>} */ issues = [];
+	/** @type {Record<string, SourceMapping> | null} */ sourceMap = null;
+
+	/**
+	 * @param {ValidateOptions=} opts
+	 */
+	constructor(opts) {
+		if (opts?.sourceMap) {
+			this.sourceMap = opts.sourceMap;
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Schema} schema
+	 * @param {Array<Key>} path
+	 */
+	validate(value, schema, path) {
+		assertSchema(schema, path);
+
+		if (schema.union !== undefined) {
+			this.validateUnion(value, schema.union, path);
+		}
+
+		// Nothing else can be checked if the value isn't the right type
+		if (schema.type !== undefined && !this.validateType(value, schema.type, path)) {
+			return;
+		}
+
+		if (schema.enum !== undefined) {
+			this.validateEnum(value, schema.enum, path);
+		}
+
+		if (typeof value === "number") {
+			this.validateRange(value, schema, path, "");
+		} else if (typeof value === "string" || Array.isArray(value)) {
+			this.validateRange(value.length, schema, path, "the length of ");
+		}
+
+		if (typeof value === "string" && schema.pattern !== undefined) {
+			this.validatePattern(value, schema.pattern, path);
+		}
+
+		if (Array.isArray(value) && schema.items !== undefined) {
+			for (let i = 0; i < value.length; i++) {
+				this.validate(value[i], schema.items, [...path, { type: "index", index: i }]);
+			}
+		}
+
+		if (isObject(value)) {
+			this.validateObject(value, schema, path);
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {SchemaType | Array<SchemaType>} type
+	 * @param {Array<Key>} path
+	 * @returns {boolean} If the value is one of the types
+	 */
+	validateType(value, type, path) {
+		const types = Array.isArray(type) ? type : [type];
+		for (const name of types) {
+			if (!SCHEMA_TYPES.includes(name)) {
+				throw new CodedError(
+					`unknown type '${name}' in schema for ${describePath(path)}`,
+					ErrorCode.INVALID_SCHEMA,
+					{ key: serializePath(path) },
+				);
+			}
+		}
+
+		if (types.some((name) => matchesType(value, name))) {
+			return true;
+		}
+
+		this.addIssue(
+			path,
+			`expected ${describePath(path)} to be ${describeTypes(types)}, got ${getValueType(/** @type {Value} */ (value))}`,
+			ErrorCode.INVALID_TYPE,
+		);
+		return false;
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<unknown>} values
+	 * @param {Array<Key>} path
+	 */
+	validateEnum(value, values, path) {
+		if (!Array.isArray(values)) {
+			throw new CodedError(
+				`'enum' must be an array in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+
+		if (values.some((allowed) => isEqual(value, allowed))) {
+			return;
+		}
+
+		const expected = values.map((allowed) => JSON.stringify(allowed)).join(", ");
+		this.addIssue(
+			path,
+			`expected ${describePath(path)} to be one of ${expected}, got ${JSON.stringify(value)}`,
+			ErrorCode.INVALID_ENUM_VALUE,
+		);
+	}
+
+	/**
+	 * @param {number} size The number, or the length of strings and arrays
+	 * @param {Schema} schema
+	 * @param {Array<Key>} path
+	 * @param {string} prefix What is being compared (eg. `the length of `)
+	 */
+	validateRange(size, schema, path, prefix) {
+		if (schema.min !== undefined && size < schema.min) {
+			this.addIssue(
+				path,
+				`expected ${prefix}${describePath(path)} to be at least ${schema.min}, got ${size}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+
+		if (schema.max !== undefined && size > schema.max) {
+			this.addIssue(
+				path,
+				`expected ${prefix}${describePath(path)} to be at most ${schema.max}, got ${size}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+	}
+
+	/**
+	 * @param {string} value
+	 * @param {string} pattern
+	 * @param {Array<Key>} path
+	 */
+	validatePattern(value, pattern, path) {
+		if (!compilePattern(pattern, path).test(value)) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to match /${pattern}/, got ${JSON.stringify(value)}`,
+				ErrorCode.PATTERN_MISMATCH,
+			);
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<Schema>} schemas
+	 * @param {Array<Key>} path
+	 */
+	validateUnion(value, schemas, path) {
+		if (!Array.isArray(schemas) || !schemas.length) {
+			throw new CodedError(
+				`'union' must be an array of schemas in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+
+		// Each schema is checked on its own, since only one of them has to match
+		for (const schema of schemas) {
+			const validator = new SchemaValidator();
+			validator.validate(value, schema, path);
+			if (!validator.issues.length) {
+				return;
+			}
+		}
+
+		// Unions of plain types are common (eg. a string or a number), so they get a clearer message
+		const isTypesOnly = schemas.every(
+			(schema) => schema.type !== undefined && Object.keys(schema).length === 1,
+		);
+		const types = schemas.flatMap((schema) => schema.type ?? []);
+		const message = isTypesOnly
+			? `expected ${describePath(path)} to be ${describeTypes(types)}, got ${getValueType(/** @type {Value} */ (value))}`
+			: `expected ${describePath(path)} to match one of the schemas in the union`;
+		this.addIssue(path, message, ErrorCode.NO_MATCHING_UNION);
+	}
+
+	/**
+	 * @param {Record<string, unknown>} value
+	 * @param {Schema} schema
+	 * @param {Array<Key>} path
+	 */
+	validateObject(value, schema, path) {
+		const keys = schema.keys ?? {};
+		for (const [key, keySchema] of Object.entries(keys)) {
+			/** @type {Array<Key>} */
+			const keyPath = [...path, { type: "alphanumeric", key }];
+			if (Object.hasOwn(value, key)) {
+				this.validate(value[key], keySchema, keyPath);
+				continue;
+			}
+
+			assertSchema(keySchema, keyPath);
+			if (keySchema.required) {
+				// Missing keys don't have a position, so the object they are missing from is used
+				this.addIssue(
+					keyPath,
+					`missing required key ${describePath(keyPath)}`,
+					ErrorCode.MISSING_REQUIRED_KEY,
+					path,
+				);
+			}
+		}
+
+		if (schema.values === undefined) {
+			return;
+		}
+
+		for (const [key, item] of Object.entries(value)) {
+			if (!Object.hasOwn(keys, key)) {
+				this.validate(item, schema.values, [...path, { type: "alphanumeric", key }]);
+			}
+		}
+	}
+
+	/**
+	 * @param {Array<Key>} path
+	 * @param {string} message
+	 * @param {string} code
+	 * @param {Array<Key>=} locationPath The key path to use for the position, if not the same
+	 */
+	addIssue(path, message, code, locationPath = path) {
+		this.issues.push(createIssue(path, message, code, this.sourceMap, locationPath));
+	}
+}
+
+class JsonSchemaValidator {
+	/** @type {Array<SchemaIssue>} */ issues = [];
+	/** @type {Record<string, SourceMapping> | null} */ sourceMap = null;
+	/** @type {JsonSchema} */ root;
+	/**
+	 * The references being followed for each key path, to catch references to themselves
+	 * @type {Set<string>}
+	 */
+	activeRefs = new Set();
+
+	/**
+	 * @param {JsonSchema} root The schema that `$ref` is resolved against
+	 * @param {ValidateOptions=} opts
+	 */
+	constructor(root, opts) {
+		this.root = root;
+		if (opts?.sourceMap) {
+			this.sourceMap = opts.sourceMap;
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {JsonSchema} schema
+	 * @param {Array<Key>} path
+	 */
+	validate(value, schema, path) {
+		if (schema === true) {
+			return;
+		}
+
+		if (schema === false) {
+			this.addIssue(path, `${describePath(path)} is not allowed`, ErrorCode.UNEXPECTED_KEY);
+			return;
+		}
+
+		assertSchema(schema, path);
+
+		if (schema.$ref !== undefined) {
+			this.validateRef(value, schema.$ref, path);
+		}
+
+		if (schema.anyOf !== undefined) {
+			this.validateAnyOf(value, schema.anyOf, path);
+		}
+
+		if (schema.oneOf !== undefined) {
+			this.validateOneOf(value, schema.oneOf, path);
+		}
+
+		for (const subschema of schema.allOf ?? []) {
+			this.validate(value, subschema, path);
+		}
+
+		// Nothing else can be checked if the value isn't the right type
+		if (schema.type !== undefined && !this.validateType(value, schema.type, path)) {
+			return;
+		}
+
+		if (schema.const !== undefined && !isEqual(value, schema.const)) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`,
+				ErrorCode.INVALID_ENUM_VALUE,
+			);
+		}
+
+		if (schema.enum !== undefined) {
+			this.validateEnum(value, schema.enum, path);
+		}
+
+		if (typeof value === "number") {
+			this.validateRange(value, schema.minimum, schema.maximum, path, "");
+			this.validateExclusiveRange(value, schema, path);
+		} else if (typeof value === "string") {
+			this.validateRange(
+				value.length,
+				schema.minLength,
+				schema.maxLength,
+				path,
+				"the length of ",
+			);
+			if (schema.pattern !== undefined && !compilePattern(schema.pattern, path).test(value)) {
+				this.addIssue(
+					path,
+					`expected ${describePath(path)} to match /${schema.pattern}/, got ${JSON.stringify(value)}`,
+					ErrorCode.PATTERN_MISMATCH,
+				);
+			}
+		} else if (Array.isArray(value)) {
+			this.validateRange(
+				value.length,
+				schema.minItems,
+				schema.maxItems,
+				path,
+				"the length of ",
+			);
+			if (schema.items !== undefined) {
+				for (let i = 0; i < value.length; i++) {
+					this.validate(value[i], schema.items, [...path, { type: "index", index: i }]);
+				}
+			}
+		} else if (isObject(value)) {
+			this.validateObject(value, schema, path);
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<unknown>} values
+	 * @param {Array<Key>} path
+	 */
+	validateEnum(value, values, path) {
+		if (!Array.isArray(values)) {
+			throw new CodedError(
+				`'enum' must be an array in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+
+		if (values.some((allowed) => isEqual(value, allowed))) {
+			return;
+		}
+
+		const expected = values.map((allowed) => JSON.stringify(allowed)).join(", ");
+		this.addIssue(
+			path,
+			`expected ${describePath(path)} to be one of ${expected}, got ${JSON.stringify(value)}`,
+			ErrorCode.INVALID_ENUM_VALUE,
+		);
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {string} ref
+	 * @param {Array<Key>} path
+	 */
+	validateRef(value, ref, path) {
+		const id = `${serializePath(path)}#${ref}`;
+		if (this.activeRefs.has(id)) {
+			throw new CodedError(
+				`'$ref' to '${ref}' refers to itself in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+
+		this.activeRefs.add(id);
+		this.validate(value, resolveRef(this.root, ref, path), path);
+		this.activeRefs.delete(id);
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {JsonSchemaType | Array<JsonSchemaType>} type
+	 * @param {Array<Key>} path
+	 * @returns {boolean} If the value is one of the types
+	 */
+	validateType(value, type, path) {
+		const types = Array.isArray(type) ? type : [type];
+		for (const name of types) {
+			if (!JSON_SCHEMA_TYPES.includes(name)) {
+				throw new CodedError(
+					`unknown type '${name}' in schema for ${describePath(path)}`,
+					ErrorCode.INVALID_SCHEMA,
+					{ key: serializePath(path) },
+				);
+			}
+		}
+
+		if (types.some((name) => matchesType(value, name))) {
+			return true;
+		}
+
+		this.addIssue(
+			path,
+			`expected ${describePath(path)} to be ${describeTypes(types)}, got ${getValueType(/** @type {Value} */ (value))}`,
+			ErrorCode.INVALID_TYPE,
+		);
+		return false;
+	}
+
+	/**
+	 * @param {number} size The number, or the length of strings and arrays
+	 * @param {number | undefined} min
+	 * @param {number | undefined} max
+	 * @param {Array<Key>} path
+	 * @param {string} prefix What is being compared (eg. `the length of `)
+	 */
+	validateRange(size, min, max, path, prefix) {
+		if (min !== undefined && size < min) {
+			this.addIssue(
+				path,
+				`expected ${prefix}${describePath(path)} to be at least ${min}, got ${size}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+
+		if (max !== undefined && size > max) {
+			this.addIssue(
+				path,
+				`expected ${prefix}${describePath(path)} to be at most ${max}, got ${size}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+	}
+
+	/**
+	 * @param {number} value
+	 * @param {JsonSchema & object} schema
+	 * @param {Array<Key>} path
+	 */
+	validateExclusiveRange(value, schema, path) {
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to be greater than ${schema.exclusiveMinimum}, got ${value}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to be less than ${schema.exclusiveMaximum}, got ${value}`,
+				ErrorCode.OUT_OF_RANGE,
+			);
+		}
+	}
+
+	/**
+	 * @param {Record<string, unknown>} value
+	 * @param {JsonSchema & object} schema
+	 * @param {Array<Key>} path
+	 */
+	validateObject(value, schema, path) {
+		for (const key of schema.required ?? []) {
+			if (!Object.hasOwn(value, key)) {
+				// Missing keys don't have a position, so the object they are missing from is used
+				const keyPath = [...path, toKey(key)];
+				this.addIssue(
+					keyPath,
+					`missing required key ${describePath(keyPath)}`,
+					ErrorCode.MISSING_REQUIRED_KEY,
+					path,
+				);
+			}
+		}
+
+		const properties = schema.properties ?? {};
+		for (const [key, item] of Object.entries(value)) {
+			const keyPath = [...path, toKey(key)];
+			if (Object.hasOwn(properties, key)) {
+				this.validate(item, properties[key], keyPath);
+			} else if (schema.additionalProperties === false) {
+				this.addIssue(
+					keyPath,
+					`unexpected key ${describePath(keyPath)}`,
+					ErrorCode.UNEXPECTED_KEY,
+				);
+			} else if (schema.additionalProperties !== undefined) {
+				this.validate(item, schema.additionalProperties, keyPath);
+			}
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<JsonSchema>} schemas
+	 * @param {Array<Key>} path
+	 */
+	validateAnyOf(value, schemas, path) {
+		if (!this.countMatches(value, schemas, path)) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to match at least one schema in 'anyOf'`,
+				ErrorCode.NO_MATCHING_UNION,
+			);
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<JsonSchema>} schemas
+	 * @param {Array<Key>} path
+	 */
+	validateOneOf(value, schemas, path) {
+		const matches = this.countMatches(value, schemas, path);
+		if (matches !== 1) {
+			this.addIssue(
+				path,
+				`expected ${describePath(path)} to match exactly one schema in 'oneOf', but it matches ${matches}`,
+				matches ? ErrorCode.MULTIPLE_MATCHING_UNION : ErrorCode.NO_MATCHING_UNION,
+			);
+		}
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {Array<JsonSchema>} schemas
+	 * @param {Array<Key>} path
+	 * @returns {number} The number of schemas the value matches
+	 */
+	countMatches(value, schemas, path) {
+		if (!Array.isArray(schemas) || !schemas.length) {
+			throw new CodedError(
+				`'anyOf' and 'oneOf' must be arrays of schemas in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+
+		let matches = 0;
+		for (const schema of schemas) {
+			const validator = new JsonSchemaValidator(this.root);
+			validator.activeRefs = this.activeRefs;
+			validator.validate(value, schema, path);
+			if (!validator.issues.length) {
+				matches++;
+			}
+		}
+
+		return matches;
+	}
+
+	/**
+	 * @param {Array<Key>} path
+	 * @param {string} message
+	 * @param {string} code
+	 * @param {Array<Key>=} locationPath The key path to use for the position, if not the same
+	 */
+	addIssue(path, message, code, locationPath = path) {
+		this.issues.push(createIssue(path, message, code, this.sourceMap, locationPath));
+	}
+}
+
+/**
+ * @param {Array<Key>} path
+ * @param {string} message
+ * @param {string} code
+ * @param {Record<string, SourceMapping> | null} sourceMap
+ * @param {Array<Key>} locationPath
+ * @returns {SchemaIssue}
+ */
+function createIssue(path, message, code, sourceMap, locationPath) {
+	/** @type {SchemaIssue} */
+	const issue = { path, key: serializePath(path), message, code };
+	const location = sourceMap?.[serializePath(locationPath)]?.value;
+	if (location) {
+		issue.location = location;
+	}
+
+	return issue;
+}
+
+/**
+ * JSON Schemas are told apart by `$schema`, or keywords that only they have
+ * @param {Schema | JsonSchema} schema
+ * @returns {schema is JsonSchema}
+ */
+export function isJsonSchema(schema) {
+	if (typeof schema === "boolean") {
+		return true;
+	}
+
+	return (
+		JSON_SCHEMA_KEYWORDS.some((keyword) => Object.hasOwn(schema, keyword)) ||
+		Array.isArray(schema.required) ||
+		(isObject(schema.items) && isJsonSchema(/** @type {Schema} */ (schema.items)))
+	);
+}
+
+/**
+ * Find the schema a `$ref` points to. Only references in the same schema are supported
+ * @param {JsonSchema} root
+ * @param {string} ref A JSON pointer in the root schema (eg. `#/$defs/server`)
+ * @param {Array<Key>} path
+ * @returns {JsonSchema}
+ */
+export function resolveRef(root, ref, path) {
+	if (ref !== "#" && !ref.startsWith("#/")) {
+		throw new CodedError(
+			`'$ref' to '${ref}' is not supported in schema for ${describePath(path)}, only references in the same schema are`,
+			ErrorCode.INVALID_SCHEMA,
+			{ key: serializePath(path) },
+		);
+	}
+
+	/** @type {unknown} */
+	let current = root;
+	for (const part of ref.split("/").slice(1)) {
+		const key = decodeURIComponent(part).replaceAll("~1", "/").replaceAll("~0", "~");
+		if (Array.isArray(current)) {
+			current = current[Number(key)];
+		} else {
+			current = isObject(current) ? current[key] : undefined;
+		}
+		if (current === undefined) {
+			throw new CodedError(
+				`'$ref' to '${ref}' could not be resolved in schema for ${describePath(path)}`,
+				ErrorCode.INVALID_SCHEMA,
+				{ key: serializePath(path) },
+			);
+		}
+	}
+
+	return /** @type {JsonSchema} */ (current);
+}
+
+/**
+ * Keys of arrays are indexes, whether the validator gives them as numbers or strings
+ * @param {unknown} data
+ * @param {StandardIssue} issue
+ * @returns {Array<Key>}
+ */
+function getStandardPath(data, issue) {
+	/** @type {Array<Key>} */
+	const path = [];
+	let current = data;
+	for (const segment of issue.path ?? []) {
+		const key = typeof segment === "object" ? segment.key : segment;
+		const name = typeof key === "symbol" ? (key.description ?? "") : String(key);
+		if (Array.isArray(current) && /^\d+$/.test(name)) {
+			path.push({ type: "index", index: Number(name) });
+			current = current[Number(name)];
+		} else {
+			path.push(toKey(name));
+			current = isObject(current) ? current[name] : undefined;
+		}
+	}
+
+	return path;
+}
+
+/**
+ * @param {unknown} schema
+ * @param {Array<Key>} path
+ * @returns {asserts schema is Schema}
+ */
+function assertSchema(schema, path) {
+	if (!isObject(schema)) {
+		throw new CodedError(
+			`expected an object as the schema for ${describePath(path)}`,
+			ErrorCode.INVALID_SCHEMA,
+			{ key: serializePath(path) },
+		);
+	}
+}
+
+/**
+ * @param {string} pattern
+ * @param {Array<Key>} path
+ * @returns {RegExp}
+ */
+function compilePattern(pattern, path) {
+	try {
+		return new RegExp(pattern, "u");
+	} catch (error) {
+		throw new CodedError(
+			`invalid pattern in schema for ${describePath(path)}: ${error instanceof Error ? error.message : error}`,
+			ErrorCode.INVALID_SCHEMA,
+			{ key: serializePath(path) },
+		);
+	}
+}
+
+/**
+ * @param {unknown} value
+ * @param {SchemaType} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+	switch (type) {
+		case "any":
+			return true;
+		case "integer":
+			return Number.isInteger(value);
+		case "null":
+			return value === null;
+		case "array":
+			return Array.isArray(value);
+		case "object":
+			return isObject(value);
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * @param {Array<SchemaType>} types
+ * @returns {string} The types for a message (eg. `a string or null`)
+ */
+function describeTypes(types) {
+	const described = types.map((type) => {
+		if (type === "null" || type === "any") {
+			return type;
+		}
+
+		return type === "integer" || type === "array" || type === "object"
+			? `an ${type}`
+			: `a ${type}`;
+	});
+
+	const last = described.pop();
+	return described.length ? `${described.join(", ")} or ${last}` : `${last}`;
+}
+
+/**
+ * @param {Array<Key>} path
+ * @returns {string}
+ */
+function describePath(path) {
+	return path.length ? `'${serializePath(path)}'` : "the data";
+}
+
+/**
+ * @param {Array<Key>} path
+ * @returns {string}
+ */
+function serializePath(path) {
+	return serializeKeyPath(new KeyPath(path));
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} If both values are the same, comparing arrays and objects by their contents
+ */
+function isEqual(a, b) {
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+	}
+
+	if (isObject(a) && isObject(b)) {
+		const keys = Object.keys(a);
+		return (
+			keys.length === Object.keys(b).length &&
+			keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]))
+		);
+	}
+
+	return a === b;
+}
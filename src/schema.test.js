@@ -0,0 +1,763 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { BconfError, CodedError } from "./error.js";
+import { parse, parseWith } from "./parse.js";
+import { coerce, normalize, validate } from "./schema.js";
+
+/**
+ * Helper to get the key, code and message of every issue
+ * @param {unknown} data
+ * @param {import("./index.js").Schema | import("./index.js").JsonSchema} schema
+ */
+function getIssues(data, schema) {
+	return validate(data, schema).map(({ key, code, message }) => ({ key, code, message }));
+}
+
+describe("Types", () => {
+	it("should accept values of the right type", () => {
+		assert.deepStrictEqual(validate("a", { type: "string" }), []);
+		assert.deepStrictEqual(validate(1.5, { type: "number" }), []);
+		assert.deepStrictEqual(validate(2, { type: "integer" }), []);
+		assert.deepStrictEqual(validate(false, { type: "boolean" }), []);
+		assert.deepStrictEqual(validate(null, { type: "null" }), []);
+		assert.deepStrictEqual(validate([], { type: "array" }), []);
+		assert.deepStrictEqual(validate({}, { type: "object" }), []);
+		assert.deepStrictEqual(validate([1], { type: "any" }), []);
+	});
+
+	it("should reject values of the wrong type", () => {
+		assert.deepStrictEqual(getIssues(1.5, { type: "integer" }), [
+			{
+				key: "",
+				code: "INVALID_TYPE",
+				message: "expected the data to be an integer, got number",
+			},
+		]);
+		assert.deepStrictEqual(getIssues({ a: [] }, { keys: { a: { type: "object" } } }), [
+			{ key: "a", code: "INVALID_TYPE", message: "expected 'a' to be an object, got array" },
+		]);
+	});
+
+	it("should allow any of the types in an array", () => {
+		/** @type {import("./index.js").Schema} */
+		const schema = { type: ["string", "null"] };
+		assert.deepStrictEqual(validate(null, schema), []);
+		assert.deepStrictEqual(getIssues(1, schema), [
+			{
+				key: "",
+				code: "INVALID_TYPE",
+				message: "expected the data to be a string or null, got number",
+			},
+		]);
+	});
+
+	it("should not check other rules for values of the wrong type", () => {
+		assert.strictEqual(validate(1, { type: "string", min: 5, pattern: "a" }).length, 1);
+	});
+});
+
+describe("Rules", () => {
+	it("should check enums", () => {
+		const schema = { enum: ["dev", "prod", 1, [1, 2]] };
+		assert.deepStrictEqual(validate("dev", schema), []);
+		assert.deepStrictEqual(validate([1, 2], schema), []);
+		assert.deepStrictEqual(getIssues("test", schema), [
+			{
+				key: "",
+				code: "INVALID_ENUM_VALUE",
+				message: 'expected the data to be one of "dev", "prod", 1, [1,2], got "test"',
+			},
+		]);
+	});
+
+	it("should check the range of numbers", () => {
+		const schema = { min: 1, max: 10 };
+		assert.deepStrictEqual(validate(10, schema), []);
+		assert.deepStrictEqual(getIssues(0, schema), [
+			{ key: "", code: "OUT_OF_RANGE", message: "expected the data to be at least 1, got 0" },
+		]);
+		assert.deepStrictEqual(getIssues(11, schema), [
+			{
+				key: "",
+				code: "OUT_OF_RANGE",
+				message: "expected the data to be at most 10, got 11",
+			},
+		]);
+	});
+
+	it("should check the length of strings and arrays", () => {
+		assert.deepStrictEqual(getIssues({ name: "" }, { keys: { name: { min: 1 } } }), [
+			{
+				key: "name",
+				code: "OUT_OF_RANGE",
+				message: "expected the length of 'name' to be at least 1, got 0",
+			},
+		]);
+		assert.deepStrictEqual(validate([1, 2], { max: 2 }), []);
+		assert.strictEqual(validate([1, 2, 3], { max: 2 })[0].code, "OUT_OF_RANGE");
+	});
+
+	it("should check patterns", () => {
+		const schema = { pattern: "^[a-z]+$" };
+		assert.deepStrictEqual(validate("abc", schema), []);
+		assert.deepStrictEqual(getIssues("ABC", schema), [
+			{
+				key: "",
+				code: "PATTERN_MISMATCH",
+				message: 'expected the data to match /^[a-z]+$/, got "ABC"',
+			},
+		]);
+	});
+});
+
+describe("Objects and Arrays", () => {
+	it("should check every item in an array", () => {
+		assert.deepStrictEqual(getIssues(["a", 1, "b", 2], { items: { type: "string" } }), [
+			{
+				key: "[1]",
+				code: "INVALID_TYPE",
+				message: "expected '[1]' to be a string, got number",
+			},
+			{
+				key: "[3]",
+				code: "INVALID_TYPE",
+				message: "expected '[3]' to be a string, got number",
+			},
+		]);
+	});
+
+	it("should check the keys of an object", () => {
+		const schema = {
+			keys: {
+				server: {
+					keys: { host: { type: /** @type {const} */ ("string"), required: true } },
+				},
+			},
+		};
+		assert.deepStrictEqual(validate({ server: { host: "a" } }, schema), []);
+		assert.deepStrictEqual(validate({}, schema), []);
+		assert.deepStrictEqual(getIssues({ server: {} }, schema), [
+			{
+				key: "server.host",
+				code: "MISSING_REQUIRED_KEY",
+				message: "missing required key 'server.host'",
+			},
+		]);
+	});
+
+	it("should check the values of keys that are not in the schema", () => {
+		const schema = {
+			keys: { count: { type: /** @type {const} */ ("integer") } },
+			values: { type: /** @type {const} */ ("string") },
+		};
+		assert.deepStrictEqual(getIssues({ count: 1, a: "b", "c d": 2 }, schema), [
+			{
+				key: '"c d"',
+				code: "INVALID_TYPE",
+				message: "expected '\"c d\"' to be a string, got number",
+			},
+		]);
+	});
+});
+
+describe("Unions", () => {
+	it("should accept values matching any of the schemas", () => {
+		const schema = { union: [{ type: /** @type {const} */ ("string") }, { min: 5 }] };
+		assert.deepStrictEqual(validate("a", schema), []);
+		assert.deepStrictEqual(validate(6, schema), []);
+		assert.deepStrictEqual(getIssues(4, schema), [
+			{
+				key: "",
+				code: "NO_MATCHING_UNION",
+				message: "expected the data to match one of the schemas in the union",
+			},
+		]);
+	});
+
+	it("should list the types for unions of types", () => {
+		const schema = {
+			union: [
+				{ type: /** @type {const} */ ("string") },
+				{ type: /** @type {const} */ ("integer") },
+			],
+		};
+		assert.deepStrictEqual(getIssues(true, schema), [
+			{
+				key: "",
+				code: "NO_MATCHING_UNION",
+				message: "expected the data to be a string or an integer, got boolean",
+			},
+		]);
+	});
+});
+
+describe("Invalid Schemas", () => {
+	it("should throw for invalid schemas", () => {
+		for (const schema of [
+			{ type: "str" },
+			{ enum: "a" },
+			{ keys: { a: { pattern: "(" } } },
+			{ union: [] },
+			{ keys: { a: 1 } },
+		]) {
+			assert.throws(
+				() => validate({ a: "b" }, /** @type {any} */ (schema)),
+				(error) => error instanceof CodedError && error.code === "INVALID_SCHEMA",
+			);
+		}
+	});
+});
+
+describe("Schemas in bconf", () => {
+	const schemaSource = `
+type = "object"
+keys {
+	name { type = "string", required }
+	port { type = "integer", min = 1, max = 65535 }
+	mode { enum = ["dev", "prod"] }
+}
+`;
+
+	it("should validate with schemas written in bconf", async () => {
+		const { data: schema } = await parse(schemaSource);
+		const { data, sourceMap } = await parse('name = "api"\nport = 0', { sourceMap: true });
+		assert.deepStrictEqual(validate(data, schema, { sourceMap }), [
+			{
+				path: [{ type: "alphanumeric", key: "port" }],
+				key: "port",
+				message: "expected 'port' to be at least 1, got 0",
+				code: "OUT_OF_RANGE",
+				location: { file: undefined, row: 2, column: 8, endRow: 2, endColumn: 9 },
+			},
+		]);
+	});
+
+	it("should throw the first issue when parsing with a schema", async () => {
+		const { data: schema } = await parse(schemaSource);
+		await assert.rejects(parse('name = 1\nport = 0\nmode = "test"', { schema }), (error) => {
+			assert.ok(error instanceof BconfError);
+			assert.strictEqual(
+				error.message,
+				"expected 'name' to be a string, got number at line 1 column 8 of the bconf data",
+			);
+			assert.strictEqual(error.code, "INVALID_TYPE");
+			assert.deepStrictEqual(
+				/** @type {Array<{ key: string }>} */ (error.details.issues).map(({ key }) => key),
+				["name", "port", "mode"],
+			);
+			return true;
+		});
+	});
+
+	it("should return every issue as a diagnostic when recovering", async () => {
+		const { data: schema } = await parse(schemaSource);
+		const { data, diagnostics } = await parse('port = 0\nmode = "test"', {
+			schema,
+			recover: true,
+		});
+		assert.deepStrictEqual(data, { port: 0, mode: "test" });
+		assert.deepStrictEqual(
+			diagnostics?.map(({ row, column, code }) => ({ row, column, code })),
+			[
+				{ row: 1, column: 1, code: "MISSING_REQUIRED_KEY" },
+				{ row: 1, column: 8, code: "OUT_OF_RANGE" },
+				{ row: 2, column: 8, code: "INVALID_ENUM_VALUE" },
+			],
+		);
+	});
+
+	it("should only validate the whole document", async () => {
+		const { data: schema } = await parse(schemaSource);
+		const { data } = await parse('extends "base.bconf"\nname = "api"', {
+			schema,
+			loader: async () => "port = 80",
+		});
+		assert.deepStrictEqual(data, { port: 80, name: "api" });
+	});
+
+	it("should include the file of values from other files", async () => {
+		const { data: schema } = await parse(schemaSource);
+		await assert.rejects(
+			parse('extends "base.bconf"\nname = "api"', {
+				schema,
+				rootDir: "/configs",
+				file: new URL("file:///configs/app.bconf"),
+				loader: async () => "\nport = 0",
+			}),
+			(error) => {
+				assert.ok(error instanceof BconfError);
+				assert.strictEqual(error.file?.href, "file:///configs/base.bconf");
+				assert.deepStrictEqual([error.row, error.column], [2, 8]);
+				return true;
+			},
+		);
+	});
+});
+
+describe("JSON Schema", () => {
+	/** @type {import("./index.js").JsonSchema} */
+	const schema = {
+		$schema: "https://json-schema.org/draft/2020-12/schema",
+		type: "object",
+		required: ["name"],
+		properties: {
+			name: { type: "string", minLength: 1 },
+			port: { type: "integer", minimum: 1, exclusiveMaximum: 65536 },
+			mode: { const: "prod" },
+			servers: { type: "array", items: { $ref: "#/$defs/server" } },
+		},
+		additionalProperties: false,
+		$defs: {
+			server: {
+				type: "object",
+				required: ["host"],
+				properties: { host: { type: "string", pattern: "^[a-z.]+$" } },
+			},
+		},
+	};
+
+	it("should accept valid data", () => {
+		assert.deepStrictEqual(
+			validate({ name: "api", port: 80, mode: "prod", servers: [{ host: "a.b" }] }, schema),
+			[],
+		);
+	});
+
+	it("should report every invalid value", () => {
+		assert.deepStrictEqual(
+			getIssues(
+				{ port: 65536, mode: "dev", servers: [{}, { host: "A" }], debug: true },
+				schema,
+			),
+			[
+				{
+					key: "name",
+					code: "MISSING_REQUIRED_KEY",
+					message: "missing required key 'name'",
+				},
+				{
+					key: "port",
+					code: "OUT_OF_RANGE",
+					message: "expected 'port' to be less than 65536, got 65536",
+				},
+				{
+					key: "mode",
+					code: "INVALID_ENUM_VALUE",
+					message: 'expected \'mode\' to be "prod", got "dev"',
+				},
+				{
+					key: "servers[0].host",
+					code: "MISSING_REQUIRED_KEY",
+					message: "missing required key 'servers[0].host'",
+				},
+				{
+					key: "servers[1].host",
+					code: "PATTERN_MISMATCH",
+					message: "expected 'servers[1].host' to match /^[a-z.]+$/, got \"A\"",
+				},
+				{ key: "debug", code: "UNEXPECTED_KEY", message: "unexpected key 'debug'" },
+			],
+		);
+	});
+
+	it("should validate additional properties with a schema", () => {
+		const schema = { additionalProperties: { type: /** @type {const} */ ("number") } };
+		assert.deepStrictEqual(getIssues({ a: 1, b: "2" }, schema), [
+			{ key: "b", code: "INVALID_TYPE", message: "expected 'b' to be a number, got string" },
+		]);
+	});
+
+	it("should support boolean schemas", () => {
+		assert.deepStrictEqual(validate({ a: 1 }, true), []);
+		assert.deepStrictEqual(getIssues({ a: 1 }, { properties: { a: false } }), [
+			{ key: "a", code: "UNEXPECTED_KEY", message: "'a' is not allowed" },
+		]);
+	});
+
+	it("should check anyOf, oneOf and allOf", () => {
+		const anyOf = { anyOf: [{ type: /** @type {const} */ ("string") }, { minimum: 5 }] };
+		assert.deepStrictEqual(validate(6, anyOf), []);
+		assert.deepStrictEqual(getIssues(4, anyOf), [
+			{
+				key: "",
+				code: "NO_MATCHING_UNION",
+				message: "expected the data to match at least one schema in 'anyOf'",
+			},
+		]);
+
+		const oneOf = { oneOf: [{ minimum: 5 }, { maximum: 10 }] };
+		assert.deepStrictEqual(validate(11, oneOf), []);
+		assert.deepStrictEqual(getIssues(6, oneOf), [
+			{
+				key: "",
+				code: "MULTIPLE_MATCHING_UNION",
+				message:
+					"expected the data to match exactly one schema in 'oneOf', but it matches 2",
+			},
+		]);
+
+		const allOf = { allOf: [{ minimum: 5 }, { maximum: 10 }] };
+		assert.deepStrictEqual(validate(6, allOf), []);
+		assert.strictEqual(validate(11, allOf)[0].code, "OUT_OF_RANGE");
+	});
+
+	it("should follow recursive references", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const tree = {
+			type: "object",
+			properties: { children: { type: "array", items: { $ref: "#" } } },
+		};
+		assert.deepStrictEqual(getIssues({ children: [{ children: [{ children: 1 }] }] }, tree), [
+			{
+				key: "children[0].children[0].children",
+				code: "INVALID_TYPE",
+				message: "expected 'children[0].children[0].children' to be an array, got number",
+			},
+		]);
+	});
+
+	it("should throw for invalid references", () => {
+		for (const schema of [
+			{ $ref: "other.json#/a" },
+			{ $ref: "#/$defs/missing" },
+			{ $ref: "#/$defs/a", $defs: { a: { $ref: "#/$defs/a" } } },
+		]) {
+			assert.throws(
+				() => validate(1, schema),
+				(error) => error instanceof CodedError && error.code === "INVALID_SCHEMA",
+			);
+		}
+	});
+
+	it("should throw for an enum that is not an array", async () => {
+		await assert.rejects(
+			parse("a = 1", { schema: { properties: { a: { enum: /** @type {any} */ ("x") } } } }),
+			(error) => error instanceof CodedError && error.code === "INVALID_SCHEMA",
+		);
+	});
+
+	it("should map issues to positions when parsing", async () => {
+		await assert.rejects(parse('name = "api"\nport = 0', { schema }), (error) => {
+			assert.ok(error instanceof BconfError);
+			assert.strictEqual(
+				error.message,
+				"expected 'port' to be at least 1, got 0 at line 2 column 8 of the bconf data",
+			);
+			assert.strictEqual(error.code, "OUT_OF_RANGE");
+			return true;
+		});
+	});
+});
+
+describe("Coercion", () => {
+	it("should convert values with the rules of the conversion tags", () => {
+		const schema = {
+			keys: {
+				port: { type: /** @type {const} */ ("integer") },
+				ratio: { type: /** @type {const} */ ("number") },
+				debug: { type: /** @type {const} */ ("boolean") },
+				name: { type: /** @type {const} */ ("string") },
+				ids: { items: { type: /** @type {const} */ ("integer") } },
+			},
+		};
+		const data = { port: "8_080", ratio: "0.5", debug: 0, name: 12, ids: ["1", 2.5, true] };
+		assert.deepStrictEqual(coerce(data, schema), {
+			data: { port: 8080, ratio: 0.5, debug: false, name: "12", ids: [1, 2, 1] },
+			issues: [],
+		});
+	});
+
+	it("should keep values that already have one of the types", () => {
+		/** @type {import("./index.js").Schema} */
+		const schema = { type: ["string", "integer"] };
+		assert.deepStrictEqual(coerce("8080", schema).data, "8080");
+		assert.deepStrictEqual(coerce(true, schema).data, "true");
+		assert.deepStrictEqual(coerce({ a: "1" }, { values: { type: "any" } }).data, { a: "1" });
+	});
+
+	it("should return values that can't be converted as issues", () => {
+		const schema = { keys: { port: { type: /** @type {const} */ ("integer") } } };
+		const { data, issues } = coerce({ port: "abc" }, schema);
+		assert.deepStrictEqual(data, { port: "abc" });
+		assert.deepStrictEqual(
+			issues.map(({ key, code, message }) => ({ key, code, message })),
+			[
+				{
+					key: "port",
+					code: "INVALID_CONVERSION",
+					message: "cannot convert 'port' to an integer, got \"abc\"",
+				},
+			],
+		);
+	});
+
+	it("should follow JSON Schema properties and references", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const schema = {
+			properties: { servers: { type: "array", items: { $ref: "#/$defs/server" } } },
+			additionalProperties: { type: "boolean" },
+			$defs: { server: { properties: { port: { type: "integer" } } } },
+		};
+		const data = { servers: [{ port: "80" }], debug: "yes" };
+		assert.deepStrictEqual(coerce(data, schema).data, {
+			servers: [{ port: 80 }],
+			debug: true,
+		});
+	});
+
+	it("should coerce when parsing with a schema", async () => {
+		const schema = { keys: { port: { type: /** @type {const} */ ("integer"), min: 1 } } };
+		const { data } = await parse('port = env("PORT")', {
+			schema,
+			coerce: true,
+			env: { PORT: "8080" },
+		});
+		assert.deepStrictEqual(data, { port: 8080 });
+
+		await assert.rejects(
+			parse('\nport = env("PORT")', { schema, coerce: true, env: { PORT: "http" } }),
+			(error) => {
+				assert.ok(error instanceof BconfError);
+				assert.strictEqual(
+					error.message,
+					"cannot convert 'port' to an integer, got \"http\" at line 2 column 8 of the bconf data",
+				);
+				assert.strictEqual(error.code, "INVALID_CONVERSION");
+				return true;
+			},
+		);
+	});
+
+	it("should not report values that can't be converted twice", async () => {
+		const schema = { keys: { port: { type: /** @type {const} */ ("integer") } } };
+		const { diagnostics } = await parse('port = "http"', {
+			schema,
+			coerce: true,
+			recover: true,
+		});
+		assert.deepStrictEqual(
+			diagnostics?.map(({ code }) => code),
+			["INVALID_CONVERSION"],
+		);
+	});
+
+	it("should only coerce when enabled", async () => {
+		const schema = { keys: { port: { type: /** @type {const} */ ("string") } } };
+		const { data } = await parse("port = 80", { schema, recover: true });
+		assert.deepStrictEqual(data, { port: 80 });
+	});
+});
+
+describe("Defaults", () => {
+	it("should fill in missing keys", () => {
+		const schema = {
+			keys: {
+				port: { default: 80 },
+				tags: { default: ["a"] },
+				server: { keys: { host: { default: "localhost" } } },
+			},
+		};
+		const data = { port: 8080, server: {} };
+		assert.deepStrictEqual(normalize(data, schema).data, {
+			port: 8080,
+			tags: ["a"],
+			server: { host: "localhost" },
+		});
+		assert.notStrictEqual(/** @type {any} */ (data).tags, schema.keys.tags.default);
+	});
+
+	it("should not create objects that are missing", () => {
+		const schema = { keys: { server: { keys: { host: { default: "localhost" } } } } };
+		assert.deepStrictEqual(normalize({}, schema).data, {});
+	});
+
+	it("should fill in defaults from JSON Schemas", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const schema = {
+			properties: { servers: { items: { $ref: "#/$defs/server" } } },
+			$defs: { server: { properties: { port: { default: 80 } } } },
+		};
+		assert.deepStrictEqual(normalize({ servers: [{}, { port: 1 }] }, schema).data, {
+			servers: [{ port: 80 }, { port: 1 }],
+		});
+	});
+
+	it("should fill in defaults before checking required keys when parsing", async () => {
+		const schema = {
+			keys: { port: { type: /** @type {const} */ ("integer"), required: true, default: 80 } },
+		};
+		const { data } = await parse("", { schema });
+		assert.deepStrictEqual(data, { port: 80 });
+	});
+});
+
+describe("Deprecations", () => {
+	it("should return the deprecated keys in the data", () => {
+		const schema = {
+			keys: {
+				host: { deprecated: true },
+				port: { deprecated: { replacement: "server.port" } },
+				other: { deprecated: true },
+			},
+		};
+		const data = { host: "a", port: 1 };
+		const { deprecations } = normalize(data, schema);
+		assert.deepStrictEqual(data, { host: "a", port: 1 });
+		assert.deepStrictEqual(
+			deprecations.map(({ key, code, message }) => ({ key, code, message })),
+			[
+				{ key: "host", code: "DEPRECATED_KEY", message: "'host' is deprecated" },
+				{
+					key: "port",
+					code: "DEPRECATED_KEY",
+					message: "'port' is deprecated, use 'server.port' instead",
+				},
+			],
+		);
+	});
+
+	it("should move values to their replacement", () => {
+		const schema = {
+			keys: {
+				port: { deprecated: { replacement: "server.port", move: true } },
+				host: { deprecated: { replacement: "server.host", move: true } },
+				server: { keys: { port: { default: 80 } } },
+			},
+		};
+		assert.deepStrictEqual(
+			normalize({ port: 8080, host: "a", server: { host: "b" } }, schema).data,
+			{ server: { host: "b", port: 8080 } },
+		);
+	});
+
+	it("should throw for invalid replacements", () => {
+		const schema = { keys: { a: { deprecated: { replacement: "b..c", move: true } } } };
+		assert.throws(
+			() => normalize({ a: 1 }, schema),
+			(error) => error instanceof CodedError && error.code === "INVALID_SCHEMA",
+		);
+	});
+
+	it("should warn about deprecated keys when parsing", async () => {
+		const schema = {
+			keys: { port: { deprecated: { replacement: "server.port", move: true } } },
+		};
+		const { data, warnings } = await parse("a = 1\nport = 8080", { schema });
+		assert.deepStrictEqual(data, { a: 1, server: { port: 8080 } });
+		assert.deepStrictEqual(warnings, [
+			{
+				file: undefined,
+				row: 2,
+				column: 8,
+				endRow: 2,
+				endColumn: 12,
+				message: "'port' is deprecated, use 'server.port' instead",
+				severity: "warning",
+				code: "DEPRECATED_KEY",
+			},
+		]);
+	});
+});
+
+describe("Missing Required Keys", () => {
+	const schema = {
+		keys: {
+			name: { type: /** @type {const} */ ("string"), required: true },
+			port: { type: /** @type {const} */ ("integer") },
+			server: {
+				required: true,
+				keys: { host: { required: true }, port: { required: true } },
+			},
+		},
+	};
+
+	it("should throw every missing key together", async () => {
+		await assert.rejects(parse('port = "a"\nserver {}', { schema }), (error) => {
+			assert.ok(error instanceof BconfError);
+			assert.strictEqual(
+				error.message,
+				"missing required keys 'name', 'server.host' and 'server.port' at line 1 column 1 of the bconf data",
+			);
+			assert.strictEqual(error.code, "MISSING_REQUIRED_KEY");
+			assert.deepStrictEqual(error.details.keys, ["name", "server.host", "server.port"]);
+			assert.strictEqual(/** @type {Array<unknown>} */ (error.details.issues).length, 4);
+			return true;
+		});
+	});
+
+	it("should throw a single missing key on its own", async () => {
+		await assert.rejects(parse("server { host = 1, port = 2 }", { schema }), {
+			message: "missing required key 'name' at line 1 column 1 of the bconf data",
+		});
+	});
+});
+
+describe("Standard Schemas", () => {
+	/**
+	 * A Standard Schema requiring a positive `port` and a `hosts` array of strings,
+	 * which outputs the port as a string
+	 * @type {import("./index.js").StandardSchema<unknown, { port: string, hosts: Array<string> }>}
+	 */
+	const schema = {
+		"~standard": {
+			version: 1,
+			vendor: "test",
+			validate: async (value) => {
+				const data = /** @type {{ port: number, hosts: Array<unknown> }} */ (value);
+				const issues = [];
+				if (!(data.port > 0)) {
+					issues.push({ message: "port must be positive", path: ["port"] });
+				}
+
+				for (const [i, host] of (data.hosts ?? []).entries()) {
+					if (typeof host !== "string") {
+						issues.push({
+							message: "expected a string",
+							path: [{ key: "hosts" }, { key: i }],
+						});
+					}
+				}
+
+				if (issues.length) {
+					return { issues };
+				}
+
+				return {
+					value: {
+						port: String(data.port),
+						hosts: /** @type {Array<string>} */ (data.hosts),
+					},
+				};
+			},
+		},
+	};
+
+	it("should replace the data with the output of the schema", async () => {
+		const { data } = await parseWith(schema, 'port = 80\nhosts = ["a"]');
+		assert.deepStrictEqual(data, { port: "80", hosts: ["a"] });
+	});
+
+	it("should throw issues at where the value is", async () => {
+		await assert.rejects(parseWith(schema, "port = 0\nhosts = []"), (error) => {
+			assert.ok(error instanceof BconfError);
+			assert.strictEqual(
+				error.message,
+				"port must be positive at line 1 column 8 of the bconf data",
+			);
+			assert.strictEqual(error.code, "INVALID_VALUE");
+			assert.strictEqual(error.details.key, "port");
+			return true;
+		});
+	});
+
+	it("should turn the keys of arrays into indexes", async () => {
+		const { diagnostics } = await parse('port = 1\nhosts = ["a", 2]', {
+			schema,
+			recover: true,
+		});
+		assert.deepStrictEqual(
+			diagnostics?.map(({ row, column, message }) => ({ row, column, message })),
+			[{ row: 2, column: 15, message: "expected a string" }],
+		);
+	});
+});
@@ -0,0 +1,404 @@
+/**
+ * @import { StringifyOptions } from './index.js'
+ */
+
+import { Keywords } from "./lexer.js";
+import { isObject, isPlainObject } from "./utils.js";
+import { Collection, KeyPath, Statement, Tag } from "./values.js";
+
+// Mirrors the characters the lexer collects into a single identifier for keys. `+` is
+// excluded since the parser rejects it in keys even though the lexer collects it
+const BARE_KEY_REGEX = /^[A-Za-z0-9_-]+$/;
+const STARTS_LIKE_NUMBER_REGEX = /^[0-9+-]/;
+const UNICODE_SHORT_ESCAPE_LENGTH = 4;
+
+/**
+ * Serialize a value into a bconf document. Internal types from parsing with `unwrap: false`
+ * (ie. `Tag`, `Statement`, `KeyPath`, `Collection`) are written back as their source form
+ * @param {Record<string, unknown>} value The value to serialize. This must be an object since it represents the root of the document
+ * @param {StringifyOptions=} opts Options for serializing
+ * @returns {string}
+ */
+export function stringify(value, opts) {
+	const serializer = new Serializer(opts);
+	return serializer.serialize(value);
+}
+
+/**
+ * Serialize a single value as it would be written after `=`
+ * @param {unknown} value
+ * @param {StringifyOptions=} opts Options for serializing
+ * @param {string=} prefix The indentation of the line the value starts on
+ * @returns {string}
+ */
+export function stringifyValue(value, opts, prefix = "") {
+	const serializer = new Serializer(opts, prefix);
+	return serializer.serializeValue(value, 0);
+}
+
+class Serializer {
+	/** @type {string} */ indent = "\t";
+	/** @type {string} */ prefix;
+	/** @type {Set<unknown>} */ seen = new Set();
+
+	/**
+	 * @param {StringifyOptions=} opts
+	 * @param {string=} prefix Indentation added to the start of every line
+	 */
+	constructor(opts, prefix = "") {
+		this.prefix = prefix;
+		if (typeof opts?.indent === "number") {
+			this.indent = " ".repeat(opts.indent);
+		} else if (typeof opts?.indent === "string") {
+			this.indent = opts.indent;
+		}
+	}
+
+	/**
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	indentAt(depth) {
+		return this.prefix + this.indent.repeat(depth);
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @returns {string}
+	 */
+	serialize(value) {
+		if (!isObject(value)) {
+			throw new TypeError("expected an object as the root value");
+		}
+
+		const lines = this.serializeBlock(value, 0);
+		return lines.length ? `${lines.join("\n")}\n` : "";
+	}
+
+	/**
+	 * @param {Record<string, unknown>} obj
+	 * @param {number} depth
+	 * @returns {Array<string>}
+	 */
+	serializeBlock(obj, depth) {
+		this.enter(obj);
+
+		/** @type {Array<string>} */
+		const lines = [];
+		for (const [key, value] of Object.entries(obj)) {
+			// Following `JSON.stringify`, values that have no representation are omitted from objects
+			if (!isSerializable(value)) {
+				continue;
+			}
+
+			lines.push(...this.serializeEntry(key, value, depth));
+		}
+
+		this.seen.delete(obj);
+		return lines;
+	}
+
+	/**
+	 * Serialize a single key in a block. Collections and statements can expand
+	 * into multiple lines, so this always returns an array of lines
+	 * @param {string} key
+	 * @param {unknown} value
+	 * @param {number} depth
+	 * @returns {Array<string>}
+	 */
+	serializeEntry(key, value, depth) {
+		const prefix = this.indentAt(depth);
+
+		// Duplicate keys are written out in the order they were collected,
+		// so the last value still ends up being the one that is used
+		if (value instanceof Collection) {
+			return value.collected.flatMap((item) => this.serializeEntry(key, item, depth));
+		}
+
+		if (value instanceof Statement) {
+			if (!value.args.length) {
+				throw new TypeError(`cannot serialize statement '${key}' without any arguments`);
+			}
+
+			return value.args.map((args) => {
+				if (!args.length) {
+					throw new TypeError(
+						`cannot serialize statement '${key}' without any arguments`,
+					);
+				}
+
+				// An object as the first value would be parsed as the object shorthand (ie. `key {}`),
+				// and variables/key paths are not allowed to start a statement
+				const [first] = args;
+				if (isPlainObject(first) || first instanceof KeyPath) {
+					throw new TypeError(
+						`cannot serialize statement '${key}' starting with an object or key path`,
+					);
+				}
+
+				const values = args.map((arg) => this.serializeStatementValue(arg, depth));
+				return `${prefix}${serializeKey(key)} ${values.join(" ")}`;
+			});
+		}
+
+		return [`${prefix}${serializeKey(key)} = ${this.serializeValue(value, depth)}`];
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	serializeStatementValue(value, depth) {
+		// Identifiers in statements are collected as strings, so strings that can be
+		// written as an identifier are left unquoted (eg. `import { $foo } from "file"`)
+		if (
+			typeof value === "string" &&
+			BARE_KEY_REGEX.test(value) &&
+			!STARTS_LIKE_NUMBER_REGEX.test(value) &&
+			value !== Keywords.TRUE &&
+			value !== Keywords.FALSE &&
+			value !== Keywords.NULL
+		) {
+			return value;
+		}
+
+		return this.serializeValue(value, depth);
+	}
+
+	/**
+	 * @param {unknown} value
+	 * @param {number} depth The depth of the line the value starts on
+	 * @returns {string}
+	 */
+	serializeValue(value, depth) {
+		if (value === null) {
+			return Keywords.NULL;
+		}
+
+		if (typeof value === "boolean") {
+			return value ? Keywords.TRUE : Keywords.FALSE;
+		}
+
+		if (typeof value === "number") {
+			return serializeNumber(value);
+		}
+
+		if (typeof value === "string") {
+			return serializeString(value);
+		}
+
+		if (value instanceof KeyPath) {
+			return serializeKeyPath(value);
+		}
+
+		if (value instanceof Tag) {
+			if (
+				!BARE_KEY_REGEX.test(value.name) ||
+				value.name === Keywords.TRUE ||
+				value.name === Keywords.FALSE ||
+				value.name === Keywords.NULL
+			) {
+				throw new TypeError(`cannot serialize tag with invalid name '${value.name}'`);
+			}
+
+			return `${value.name}(${this.serializeValue(value.arg, depth)})`;
+		}
+
+		if (value instanceof Statement || value instanceof Collection) {
+			throw new TypeError(
+				`cannot serialize ${value instanceof Statement ? "statement" : "collection"} outside of an object key`,
+			);
+		}
+
+		if (Array.isArray(value)) {
+			return this.serializeArray(value, depth);
+		}
+
+		if (isObject(value)) {
+			const lines = this.serializeBlock(value, depth + 1);
+			if (!lines.length) {
+				return "{}";
+			}
+
+			return `{\n${lines.join("\n")}\n${this.indentAt(depth)}}`;
+		}
+
+		throw new TypeError(`cannot serialize value of type '${typeof value}'`);
+	}
+
+	/**
+	 * @param {Array<unknown>} arr
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	serializeArray(arr, depth) {
+		this.enter(arr);
+
+		// Following `JSON.stringify`, values that have no representation become null in arrays
+		const items = arr.map((item) => (isSerializable(item) ? item : null));
+
+		/** @type {string} */
+		let result;
+		if (!items.length) {
+			result = "[]";
+		} else if (items.every((item) => !Array.isArray(item) && !isPlainObject(item))) {
+			result = `[${items.map((item) => this.serializeValue(item, depth)).join(", ")}]`;
+		} else {
+			const prefix = this.indentAt(depth + 1);
+			const lines = items.map((item) => `${prefix}${this.serializeValue(item, depth + 1)},`);
+			result = `[\n${lines.join("\n")}\n${this.indentAt(depth)}]`;
+		}
+
+		this.seen.delete(arr);
+		return result;
+	}
+
+	/**
+	 * @param {unknown} container
+	 */
+	enter(container) {
+		if (this.seen.has(container)) {
+			throw new TypeError("cannot serialize circular structure");
+		}
+
+		this.seen.add(container);
+	}
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isSerializable(value) {
+	return value !== undefined && typeof value !== "function" && typeof value !== "symbol";
+}
+
+/**
+ * Serialize a key, only quoting it if it cannot be written as a bare key
+ * @param {string} key
+ * @returns {string}
+ */
+export function serializeKey(key) {
+	if (key === "") {
+		throw new TypeError("cannot serialize empty key");
+	}
+
+	if (
+		BARE_KEY_REGEX.test(key) &&
+		key !== Keywords.TRUE &&
+		key !== Keywords.FALSE &&
+		key !== Keywords.NULL
+	) {
+		return key;
+	}
+
+	return `"${escapeString(key, false)}"`;
+}
+
+/**
+ * Serialize a key path as it would be written as a key, quoting parts where needed
+ * @param {KeyPath} path
+ * @returns {string}
+ */
+export function serializeKeyPath(path) {
+	let result = "";
+	for (let i = 0; i < path.parts.length; i++) {
+		const part = path.parts[i];
+		if (part.type === "index") {
+			result += `[${part.index}]`;
+			continue;
+		}
+
+		if (i > 0) {
+			result += ".";
+		}
+
+		// Variables are only allowed as the first part, and can't be quoted
+		// otherwise they are treated as a regular key
+		result += part.type === "variable" && i === 0 ? part.key : serializeKey(part.key);
+	}
+
+	return result;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+export function serializeNumber(value) {
+	if (!Number.isFinite(value)) {
+		// Following the spec that infinity values are not supported (NaN isn't either)
+		throw new TypeError(`cannot serialize number '${value}'`);
+	}
+
+	// `String(-0)` drops the sign, which would not survive a round trip
+	if (Object.is(value, -0)) {
+		return "-0";
+	}
+
+	return String(value);
+}
+
+/**
+ * Serialize a string, using a triple-quoted string if it spans multiple lines
+ * @param {string} value
+ * @returns {string}
+ */
+export function serializeString(value) {
+	if (value.includes("\n")) {
+		return `"""${escapeString(value, true)}"""`;
+	}
+
+	return `"${escapeString(value, false)}"`;
+}
+
+/**
+ * Escape a string using the escape sequences supported by the parser
+ * @param {string} value
+ * @param {boolean} multiline If newlines and tabs can be written as is (ie. triple-quoted strings)
+ * @returns {string}
+ */
+function escapeString(value, multiline) {
+	let result = "";
+	for (const char of value) {
+		switch (char) {
+			case '"':
+				result += '\\"';
+				break;
+			case "\\":
+				result += "\\\\";
+				break;
+			// `$` is never allowed unescaped in strings, even when it isn't followed by `{`
+			case "$":
+				result += "\\$";
+				break;
+			case "\b":
+				result += "\\b";
+				break;
+			case "\f":
+				result += "\\f";
+				break;
+			case "\r":
+				result += "\\r";
+				break;
+			case "\n":
+				result += multiline ? "\n" : "\\n";
+				break;
+			case "\t":
+				result += multiline ? "\t" : "\\t";
+				break;
+			default: {
+				const code = /** @type {number} */ (char.codePointAt(0));
+				// Control chars (C0, C1 and DEL) are not allowed in strings
+				if (code <= 0x001f || code === 0x007f || (code >= 0x0080 && code <= 0x009f)) {
+					result += `\\u${code.toString(16).padStart(UNICODE_SHORT_ESCAPE_LENGTH, "0")}`;
+				} else {
+					result += char;
+				}
+			}
+		}
+	}
+
+	return result;
+}
@@ -0,0 +1,362 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parse } from "./parse.js";
+import { stringify } from "./stringify.js";
+import { Collection, KeyPath, Statement, Tag } from "./values.js";
+import { isObject } from "./utils.js";
+
+/**
+ * Helper to assert that a value survives being serialized and parsed again
+ * @param {Record<string, unknown>} value
+ */
+async function assertRoundTrip(value) {
+	const { data } = await parse(stringify(value));
+	assert.deepStrictEqual(data, value);
+}
+
+describe("Primitives", () => {
+	it("should serialize booleans and null", () => {
+		assert.strictEqual(
+			stringify({ yes: true, no: false, none: null }),
+			"yes = true\nno = false\nnone = null\n",
+		);
+	});
+
+	it("should serialize numbers", () => {
+		assert.strictEqual(
+			stringify({ int: 42, neg: -42, float: 3.14 }),
+			"int = 42\nneg = -42\nfloat = 3.14\n",
+		);
+	});
+
+	it("should round trip numbers with exponents", async () => {
+		await assertRoundTrip({ big: 1e21, small: 1.5e-7, negative: -2.5e-8 });
+	});
+
+	it("should preserve negative zero", async () => {
+		assert.strictEqual(stringify({ zero: -0 }), "zero = -0\n");
+		await assertRoundTrip({ zero: -0 });
+	});
+
+	it("should reject non-finite numbers", () => {
+		assert.throws(() => stringify({ value: Infinity }), TypeError);
+		assert.throws(() => stringify({ value: -Infinity }), TypeError);
+		assert.throws(() => stringify({ value: NaN }), TypeError);
+	});
+
+	it("should reject unsupported types", () => {
+		assert.throws(() => stringify({ value: 1n }), TypeError);
+	});
+
+	it("should return an empty string for an empty object", () => {
+		assert.strictEqual(stringify({}), "");
+	});
+
+	it("should reject non-object roots", () => {
+		assert.throws(() => stringify(/** @type {any} */ ([1, 2])), TypeError);
+		assert.throws(() => stringify(/** @type {any} */ ("foo")), TypeError);
+	});
+});
+
+describe("Strings", () => {
+	it("should serialize simple strings", () => {
+		assert.strictEqual(stringify({ str: "hello" }), 'str = "hello"\n');
+	});
+
+	it("should escape special characters", () => {
+		assert.strictEqual(
+			stringify({ str: 'a "quote" \\ $var ${embed}' }),
+			'str = "a \\"quote\\" \\\\ \\$var \\${embed}"\n',
+		);
+	});
+
+	it("should escape control characters", () => {
+		assert.strictEqual(
+			stringify({ str: "\b\f\r\t\u0007\u007f\u0085" }),
+			'str = "\\b\\f\\r\\t\\u0007\\u007f\\u0085"\n',
+		);
+	});
+
+	it("should use triple-quoted strings for multi-line text", () => {
+		assert.strictEqual(
+			stringify({ str: 'line 1\n\tline "2"' }),
+			'str = """line 1\n\tline \\"2\\""""\n',
+		);
+	});
+
+	it("should round trip strings", async () => {
+		await assertRoundTrip({
+			simple: "hello",
+			escapes: '"\\$\b\f\n\r\t',
+			multiline: "line 1\r\nline 2\n",
+			embedded: "${not embedded}",
+			unicode: "emoji 🎉 and accents é",
+			control: "\u0000\u001f\u007f\u009f",
+		});
+	});
+});
+
+describe("Keys", () => {
+	it("should not quote alphanumeric keys", () => {
+		assert.strictEqual(stringify({ "foo_bar-1": 1, 123: 2 }), "123 = 2\nfoo_bar-1 = 1\n");
+	});
+
+	it("should quote keys that cannot be bare", () => {
+		assert.strictEqual(
+			stringify({ "foo.bar": 1, "with space": 2, "+1": 3, $var: 4 }),
+			'"foo.bar" = 1\n"with space" = 2\n"+1" = 3\n"\\$var" = 4\n',
+		);
+	});
+
+	it("should quote keys that are keywords", () => {
+		assert.strictEqual(
+			stringify({ true: 1, false: 2, null: 3 }),
+			'"true" = 1\n"false" = 2\n"null" = 3\n',
+		);
+	});
+
+	it("should reject empty keys", () => {
+		assert.throws(() => stringify({ "": 1 }), TypeError);
+	});
+
+	it("should round trip keys", async () => {
+		await assertRoundTrip({
+			"foo.bar": 1,
+			"key\nname": 2,
+			true: 3,
+			$var: 4,
+			"[0]": 5,
+			import: "not a statement",
+		});
+	});
+});
+
+describe("Objects", () => {
+	it("should serialize nested objects", () => {
+		assert.strictEqual(
+			stringify({ server: { host: "localhost", tls: { enabled: true } } }),
+			'server = {\n\thost = "localhost"\n\ttls = {\n\t\tenabled = true\n\t}\n}\n',
+		);
+	});
+
+	it("should serialize empty objects", () => {
+		assert.strictEqual(stringify({ obj: {} }), "obj = {}\n");
+	});
+
+	it("should omit values that cannot be represented", () => {
+		assert.strictEqual(
+			stringify({ a: 1, b: undefined, c: () => {}, d: Symbol("d") }),
+			"a = 1\n",
+		);
+	});
+
+	it("should reject circular structures", () => {
+		/** @type {Record<string, unknown>} */
+		const value = {};
+		value.self = value;
+		assert.throws(() => stringify(value), TypeError);
+	});
+
+	it("should allow the same object to appear more than once", async () => {
+		const shared = { a: 1 };
+		await assertRoundTrip({ first: shared, second: shared });
+	});
+});
+
+describe("Arrays", () => {
+	it("should serialize arrays of primitives inline", () => {
+		assert.strictEqual(
+			stringify({ arr: [1, "two", true, null] }),
+			'arr = [1, "two", true, null]\n',
+		);
+	});
+
+	it("should serialize empty arrays", () => {
+		assert.strictEqual(stringify({ arr: [] }), "arr = []\n");
+	});
+
+	it("should serialize arrays with containers across multiple lines", () => {
+		assert.strictEqual(
+			stringify({ arr: [{ a: 1 }, [1, 2], {}] }),
+			"arr = [\n\t{\n\t\ta = 1\n\t},\n\t[1, 2],\n\t{},\n]\n",
+		);
+	});
+
+	it("should replace values that cannot be represented with null", () => {
+		assert.strictEqual(stringify({ arr: [undefined, () => {}] }), "arr = [null, null]\n");
+	});
+
+	it("should round trip nested arrays", async () => {
+		await assertRoundTrip({
+			matrix: [
+				[1, 2],
+				[3, [4, 5]],
+			],
+			servers: [{ host: "a", ports: [80, 443] }, { host: "b" }],
+		});
+	});
+});
+
+describe("Options", () => {
+	it("should indent with the given number of spaces", () => {
+		assert.strictEqual(stringify({ obj: { a: 1 } }, { indent: 2 }), "obj = {\n  a = 1\n}\n");
+	});
+
+	it("should indent with the given string", () => {
+		assert.strictEqual(
+			stringify({ obj: { arr: [{}] } }, { indent: "    " }),
+			"obj = {\n    arr = [\n        {},\n    ]\n}\n",
+		);
+	});
+});
+
+describe("Round Trips", () => {
+	it("should round trip a complex document", async () => {
+		await assertRoundTrip({
+			name: "app",
+			version: 1.5,
+			debug: false,
+			owner: null,
+			database: {
+				hosts: ["db1", "db2"],
+				pool: { min: 1, max: 10 },
+				query: 'SELECT *\nFROM users\nWHERE name = "${name}"',
+			},
+			"feature flags": { "new-ui": true },
+			matrix: [[], [{}], [[1]]],
+		});
+	});
+});
+
+describe("Internal Values", () => {
+	/**
+	 * Helper to assert that a document parsed without unwrapping survives being serialized
+	 * @param {string} input
+	 */
+	async function assertSourceRoundTrip(input) {
+		const { data } = await parse(input, { unwrap: false });
+		const { data: reparsed } = await parse(stringify(data), { unwrap: false });
+		assert.deepStrictEqual(reparsed, data);
+	}
+
+	it("should serialize tags", () => {
+		const value = {
+			port: new Tag("env", "PORT"),
+			nested: new Tag("custom", new Tag("int", 1)),
+		};
+		assert.strictEqual(stringify(value), 'port = env("PORT")\nnested = custom(int(1))\n');
+	});
+
+	it("should serialize tags with key paths", () => {
+		const path = new KeyPath([
+			{ type: "alphanumeric", key: "foo" },
+			{ type: "index", index: 0 },
+			{ type: "alphanumeric", key: "bar baz" },
+		]);
+		assert.strictEqual(
+			stringify({ value: new Tag("custom", path) }),
+			'value = custom(foo[0]."bar baz")\n',
+		);
+	});
+
+	it("should reject tags with invalid names", () => {
+		assert.throws(() => stringify({ value: new Tag("not valid", 1) }), TypeError);
+		assert.throws(() => stringify({ value: new Tag("true", 1) }), TypeError);
+	});
+
+	it("should serialize key paths", () => {
+		const path = new KeyPath([
+			{ type: "variable", key: "$foo" },
+			{ type: "alphanumeric", key: "bar" },
+		]);
+		assert.strictEqual(stringify({ value: path }), "value = $foo.bar\n");
+	});
+
+	it("should serialize statements as a line for each set of arguments", () => {
+		const name = new KeyPath([{ type: "alphanumeric", key: "include" }]);
+		const statement = new Statement(name, [
+			["file", "a.bconf"],
+			[1, true, [2, 3]],
+		]);
+		assert.strictEqual(
+			stringify({ include: statement }),
+			'include file "a.bconf"\ninclude 1 true [2, 3]\n',
+		);
+	});
+
+	it("should quote statement arguments that cannot be identifiers", () => {
+		const name = new KeyPath([{ type: "alphanumeric", key: "cmd" }]);
+		const statement = new Statement(name, [["123", "true", "with space", "-flag"]]);
+		assert.strictEqual(
+			stringify({ cmd: statement }),
+			'cmd "123" "true" "with space" "-flag"\n',
+		);
+	});
+
+	it("should reject statements that cannot be represented", () => {
+		const name = new KeyPath([{ type: "alphanumeric", key: "cmd" }]);
+		assert.throws(() => stringify({ cmd: new Statement(name, []) }), TypeError);
+		assert.throws(() => stringify({ cmd: new Statement(name, [[]]) }), TypeError);
+		assert.throws(() => stringify({ cmd: new Statement(name, [[{ a: 1 }]]) }), TypeError);
+		assert.throws(() => stringify({ arr: [new Statement(name, [["a"]])] }), TypeError);
+	});
+
+	it("should serialize collections as duplicate keys", () => {
+		const name = new KeyPath([{ type: "alphanumeric", key: "foo" }]);
+		const collection = new Collection([1, new Statement(name, [["bar"]]), { a: 1 }]);
+		assert.strictEqual(
+			stringify({ foo: collection }),
+			"foo = 1\nfoo bar\nfoo = {\n\ta = 1\n}\n",
+		);
+	});
+
+	it("should reject collections outside of object keys", () => {
+		assert.throws(() => stringify({ arr: [new Collection([1, 2])] }), TypeError);
+	});
+
+	it("should round trip unresolved tags", async () => {
+		await assertSourceRoundTrip(
+			'a = custom(123)\nb = custom(foo.bar[0])\nc = wrap(other("x"))',
+		);
+	});
+
+	it("should round trip collected statements", async () => {
+		await assertSourceRoundTrip(
+			'cmd run "script.sh"\ncmd stop now\nnested {\n\tcmd 1 [2] { a = 3 }\n}',
+		);
+	});
+
+	it("should round trip statements starting with a tag", async () => {
+		await assertSourceRoundTrip('a custom(1)\nb other("x") 2');
+	});
+
+	it("should keep arrays of tags on one line", () => {
+		const tags = [new Tag("custom", 1), new Tag("custom", 2)];
+		assert.strictEqual(stringify({ arr: tags }), "arr = [custom(1), custom(2)]\n");
+	});
+
+	it("should round trip collected duplicate keys", async () => {
+		/** @type {import("./index.js").ParseOptions} */
+		const opts = {
+			unwrap: false,
+			resolvers: {
+				tags: [
+					{
+						name: "keep",
+						resolver: async ({ next }) => {
+							const value = await next({ duplicateKeys: "collect" });
+							return new Tag("keep", value.success ? value.value : null);
+						},
+					},
+				],
+			},
+		};
+
+		const { data } = await parse("value = keep({ a = 1, a = 2, b = 3 })", opts);
+		assert.ok(data.value instanceof Tag && isObject(data.value.arg));
+		assert.ok(data.value.arg.a instanceof Collection);
+
+		const { data: reparsed } = await parse(stringify(data), opts);
+		assert.deepStrictEqual(reparsed, data);
+	});
+});
@@ -0,0 +1,558 @@
+/**
+ * @import { DocComment, GenerateTypesOptions, GenerateTypesSource, JsonSchema, Key, Schema } from './index.js'
+ */
+
+import { isJsonSchema, resolveRef } from "./schema.js";
+import { serializeKeyPath } from "./stringify.js";
+import { isObject, isPlainObject, toKey } from "./utils.js";
+import { KeyPath } from "./values.js";
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+const NAME_PART_REGEX = /[A-Za-z0-9]+/g;
+
+/**
+ * @typedef {{ key: string, type: string, optional: boolean, doc: string | null }} Property
+ * @typedef {{ kind: "interface", properties: Array<Property>, index: string | null }} InterfaceDeclaration
+ * @typedef {{ kind: "type", type: string }} TypeDeclaration
+ * @typedef {{ value: unknown, path: Array<Key> }} Sample
+ */
+
+/**
+ * Generate TypeScript declarations for a config, from the schema it is validated against
+ * or from a representative config. Nested objects become their own interfaces (eg.
+ * `ConfigServer` for `server` in `Config`), keys that are not required and don't have a
+ * default (or are missing from some of the items in an array) are optional, and keys get
+ * the `description` from the schema or the comments from `opts.comments` as doc comments
+ * @param {GenerateTypesSource} source The schema, or the data from parsing a config
+ * @param {GenerateTypesOptions=} opts Options for generating
+ * @returns {string} The contents of a `.d.ts` file
+ */
+export function generateTypes(source, opts) {
+	const generator = new TypeGenerator(opts);
+	return generator.generate(source);
+}
+
+class TypeGenerator {
+	/**
+	 * The declarations by name, in the order they were named. Names that are reserved
+	 * for something still being generated are `null`
+	 * @type {Map<string, InterfaceDeclaration | TypeDeclaration | null>}
+	 */
+	declarations = new Map();
+	/** @type {Record<string, DocComment>} */ comments = {};
+	/** @type {JsonSchema} */ root = true;
+	/**
+	 * The names of the declarations for each `$ref`
+	 * @type {Map<string, string>}
+	 */
+	refs = new Map();
+	name = "Config";
+
+	/**
+	 * @param {GenerateTypesOptions=} opts
+	 */
+	constructor(opts) {
+		if (opts?.name) {
+			this.name = opts.name;
+		}
+
+		if (opts?.comments) {
+			this.comments = opts.comments;
+		}
+	}
+
+	/**
+	 * @param {GenerateTypesSource} source
+	 * @returns {string}
+	 */
+	generate(source) {
+		this.declarations.set(this.name, null);
+
+		if ("data" in source) {
+			this.declare(this.name, () =>
+				this.fromSamples([{ value: source.data, path: [] }], this.name),
+			);
+		} else if (isJsonSchema(source.schema)) {
+			this.root = source.schema;
+			this.refs.set("#", this.name);
+			this.declare(this.name, () => this.fromJsonSchema(this.root, [], this.name));
+		} else {
+			const schema = source.schema;
+			this.declare(this.name, () => this.fromSchema(schema, [], this.name));
+		}
+
+		const result = [];
+		for (const [name, declaration] of this.declarations) {
+			if (declaration) {
+				result.push(printDeclaration(name, declaration));
+			}
+		}
+
+		return `${result.join("\n\n")}\n`;
+	}
+
+	/**
+	 * Generate the type for a name that is already reserved. Objects take the name
+	 * as their interface, and anything else is declared as a type alias
+	 * @param {string} name
+	 * @param {() => string} generate
+	 */
+	declare(name, generate) {
+		const type = generate();
+		const declaration = this.declarations.get(name);
+		if (type === name) {
+			return;
+		}
+
+		if (!declaration) {
+			this.declarations.set(name, { kind: "type", type });
+			return;
+		}
+
+		// The interface took the name, but is only part of the type (eg. `Config | null`)
+		const renamed = this.reserveName(`${name}Object`);
+		this.declarations.set(renamed, declaration);
+		const replaced = type.replace(new RegExp(`\\b${name}\\b`, "g"), renamed);
+		this.declarations.set(name, { kind: "type", type: replaced });
+	}
+
+	/**
+	 * @param {Array<Sample>} samples Every value seen at the same place (eg. items of an array)
+	 * @param {string} name The name for the interface, if the values are objects
+	 * @returns {string}
+	 */
+	fromSamples(samples, name) {
+		/** @type {Array<string>} */
+		const types = [];
+		/** @type {Array<Sample>} */
+		const items = [];
+		/** @type {Array<{ value: Record<string, unknown>, path: Array<Key> }>} */
+		const objects = [];
+		let hasArray = false;
+
+		for (const { value, path } of samples) {
+			if (Array.isArray(value)) {
+				hasArray = true;
+				for (let i = 0; i < value.length; i++) {
+					items.push({ value: value[i], path: [...path, { type: "index", index: i }] });
+				}
+			} else if (isPlainObject(value)) {
+				objects.push({ value, path });
+			} else {
+				types.push(getPrimitiveType(value));
+			}
+		}
+
+		if (hasArray) {
+			types.push(
+				`Array<${items.length ? this.fromSamples(items, `${name}Item`) : "unknown"}>`,
+			);
+		}
+
+		if (objects.length) {
+			/** @type {Map<string, Array<Sample>>} */
+			const keys = new Map();
+			for (const { value, path } of objects) {
+				for (const [key, item] of Object.entries(value)) {
+					const sample = { value: item, path: [...path, toKey(key)] };
+					keys.set(key, [...(keys.get(key) ?? []), sample]);
+				}
+			}
+
+			/** @type {Array<Property>} */
+			const properties = [];
+			for (const [key, values] of keys) {
+				properties.push({
+					key,
+					type: this.fromSamples(values, `${name}${toPascalCase(key)}`),
+					optional: values.length < objects.length,
+					doc: values.map(({ path }) => this.getComment(path)).find(Boolean) ?? null,
+				});
+			}
+
+			types.push(this.declareInterface(name, properties, null));
+		}
+
+		return joinTypes(types, " | ");
+	}
+
+	/**
+	 * @param {Schema} schema
+	 * @param {Array<Key>} path
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	fromSchema(schema, path, name) {
+		if (schema.enum) {
+			return joinTypes(
+				schema.enum.map((value, i) => this.fromLiteral(value, path, `${name}${i + 1}`)),
+				" | ",
+			);
+		}
+
+		if (schema.union) {
+			return joinTypes(
+				schema.union.map((branch, i) => this.fromSchema(branch, path, `${name}${i + 1}`)),
+				" | ",
+			);
+		}
+
+		const types =
+			schema.type ?? (schema.keys || schema.values ? "object" : schema.items && "array");
+		if (!types) {
+			return "unknown";
+		}
+
+		/** @type {Array<string>} */
+		const result = [];
+		for (const type of Array.isArray(types) ? types : [types]) {
+			if (type === "array") {
+				const items = schema.items
+					? this.fromSchema(
+							schema.items,
+							[...path, { type: "index", index: 0 }],
+							`${name}Item`,
+						)
+					: "unknown";
+				result.push(`Array<${items}>`);
+			} else if (type === "object") {
+				/** @type {Array<Property>} */
+				const properties = [];
+				for (const [key, item] of Object.entries(schema.keys ?? {})) {
+					const keyPath = [...path, toKey(key)];
+					properties.push({
+						key,
+						type: this.fromSchema(item, keyPath, `${name}${toPascalCase(key)}`),
+						optional: !item.required && item.default === undefined,
+						doc: item.description ?? this.getComment(keyPath),
+					});
+				}
+
+				const index = schema.values
+					? this.fromSchema(schema.values, path, `${name}Value`)
+					: null;
+				result.push(this.declareInterface(name, properties, index));
+			} else {
+				result.push(getSchemaType(type));
+			}
+		}
+
+		return joinTypes(result, " | ");
+	}
+
+	/**
+	 * @param {JsonSchema} schema
+	 * @param {Array<Key>} path
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	fromJsonSchema(schema, path, name) {
+		if (typeof schema === "boolean") {
+			return schema ? "unknown" : "never";
+		}
+
+		if (typeof schema.$ref === "string") {
+			return this.fromRef(schema.$ref, path);
+		}
+
+		if (schema.const !== undefined) {
+			return this.fromLiteral(schema.const, path, name);
+		}
+
+		if (schema.enum) {
+			return joinTypes(
+				schema.enum.map((value, i) => this.fromLiteral(value, path, `${name}${i + 1}`)),
+				" | ",
+			);
+		}
+
+		const union = schema.anyOf ?? schema.oneOf;
+		if (union) {
+			return joinTypes(
+				union.map((branch, i) => this.fromJsonSchema(branch, path, `${name}${i + 1}`)),
+				" | ",
+			);
+		}
+
+		if (schema.allOf) {
+			return joinTypes(
+				schema.allOf.map((branch, i) =>
+					this.fromJsonSchema(branch, path, `${name}${i + 1}`),
+				),
+				" & ",
+			);
+		}
+
+		const isObjectSchema =
+			schema.properties !== undefined ||
+			schema.additionalProperties !== undefined ||
+			schema.required !== undefined;
+		const types = schema.type ?? (isObjectSchema ? "object" : schema.items && "array");
+		if (!types) {
+			return "unknown";
+		}
+
+		/** @type {Array<string>} */
+		const result = [];
+		for (const type of Array.isArray(types) ? types : [types]) {
+			if (type === "array") {
+				const items =
+					schema.items === undefined
+						? "unknown"
+						: this.fromJsonSchema(
+								schema.items,
+								[...path, { type: "index", index: 0 }],
+								`${name}Item`,
+							);
+				result.push(`Array<${items}>`);
+			} else if (type === "object") {
+				/** @type {Array<Property>} */
+				const properties = [];
+				for (const [key, item] of Object.entries(schema.properties ?? {})) {
+					const keyPath = [...path, toKey(key)];
+					const description =
+						isObject(item) && typeof item.description === "string"
+							? item.description
+							: null;
+					properties.push({
+						key,
+						type: this.fromJsonSchema(item, keyPath, `${name}${toPascalCase(key)}`),
+						optional:
+							!schema.required?.includes(key) &&
+							!(isObject(item) && item.default !== undefined),
+						doc: description ?? this.getComment(keyPath),
+					});
+				}
+
+				const additional = schema.additionalProperties;
+				const index =
+					additional === undefined || additional === false
+						? null
+						: this.fromJsonSchema(additional, path, `${name}Value`);
+				result.push(this.declareInterface(name, properties, index));
+			} else {
+				result.push(getSchemaType(type));
+			}
+		}
+
+		return joinTypes(result, " | ");
+	}
+
+	/**
+	 * References are declared once with the name of what they point to
+	 * (eg. `Server` for `#/$defs/server`), which also allows them to be recursive
+	 * @param {string} ref
+	 * @param {Array<Key>} path
+	 * @returns {string}
+	 */
+	fromRef(ref, path) {
+		const existing = this.refs.get(ref);
+		if (existing) {
+			return existing;
+		}
+
+		const target = resolveRef(this.root, ref, path);
+		const name = this.reserveName(toPascalCase(ref.split("/").at(-1) ?? ""));
+		this.declarations.set(name, null);
+		this.refs.set(ref, name);
+		this.declare(name, () => this.fromJsonSchema(target, path, name));
+		return name;
+	}
+
+	/**
+	 * @param {unknown} value A value from `enum` or `const`
+	 * @param {Array<Key>} path
+	 * @param {string} name The name for the interface, if the value is an object
+	 * @returns {string}
+	 */
+	fromLiteral(value, path, name) {
+		if (value === null || ["string", "number", "boolean"].includes(typeof value)) {
+			return JSON.stringify(value);
+		}
+
+		return this.fromSamples([{ value, path }], name);
+	}
+
+	/**
+	 * @param {string} name The name to use, unless it is taken
+	 * @param {Array<Property>} properties
+	 * @param {string | null} index The type of keys that are not in `properties`
+	 * @returns {string} The name of the interface, or a record type for objects without properties
+	 */
+	declareInterface(name, properties, index) {
+		if (!properties.length) {
+			return `Record<string, ${index ?? "unknown"}>`;
+		}
+
+		// Names reserved by `declare()` are taken by the interface for that object
+		const declared = this.declarations.get(name) === null ? name : this.reserveName(name);
+		if (index) {
+			// Index signatures have to allow the types of every property
+			const types = properties.map(({ type, optional }) =>
+				optional ? `${type} | undefined` : type,
+			);
+			index = joinTypes([index, ...types], " | ");
+		}
+
+		this.declarations.set(declared, { kind: "interface", properties, index });
+		return declared;
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {string} The name with a number added if it is already taken
+	 */
+	reserveName(name) {
+		let result = name;
+		for (let i = 2; this.declarations.has(result); i++) {
+			result = `${name}${i}`;
+		}
+
+		this.declarations.set(result, null);
+		return result;
+	}
+
+	/**
+	 * @param {Array<Key>} path
+	 * @returns {string | null}
+	 */
+	getComment(path) {
+		const comment = this.comments[serializeKeyPath(new KeyPath(path))];
+		if (!comment) {
+			return null;
+		}
+
+		return [comment.leading, comment.trailing].filter(Boolean).join("\n") || null;
+	}
+}
+
+/**
+ * @param {string} name
+ * @param {InterfaceDeclaration | TypeDeclaration} declaration
+ * @returns {string}
+ */
+function printDeclaration(name, declaration) {
+	if (declaration.kind === "type") {
+		return `export type ${name} = ${declaration.type};`;
+	}
+
+	const lines = [`export interface ${name} {`];
+	for (const property of declaration.properties) {
+		if (property.doc) {
+			lines.push(printDocComment(property.doc, "\t"));
+		}
+
+		const key = IDENTIFIER_REGEX.test(property.key)
+			? property.key
+			: JSON.stringify(property.key);
+		lines.push(`\t${key}${property.optional ? "?" : ""}: ${property.type};`);
+	}
+
+	if (declaration.index) {
+		lines.push(`\t[key: string]: ${declaration.index};`);
+	}
+
+	lines.push("}");
+	return lines.join("\n");
+}
+
+/**
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+function printDocComment(text, indent) {
+	const lines = text.replaceAll("*/", "*\\/").split("\n");
+	if (lines.length === 1) {
+		return `${indent}/** ${lines[0]} */`;
+	}
+
+	const body = lines.map((line) => `${indent} *${line ? ` ${line}` : ""}`);
+	return [`${indent}/**`, ...body, `${indent} */`].join("\n");
+}
+
+/**
+ * Join types into a union or intersection without duplicates. Unions are wrapped in
+ * parentheses in intersections
+ * @param {Array<string>} types
+ * @param {" | " | " & "} separator
+ * @returns {string}
+ */
+function joinTypes(types, separator) {
+	const parts = types.flatMap((type) => (separator === " | " ? splitUnion(type) : [type]));
+	const unique = [...new Set(parts)];
+	if (separator === " | " && unique.includes("unknown")) {
+		return "unknown";
+	}
+
+	if (!unique.length) {
+		return "never";
+	}
+
+	return unique
+		.map((type) => (separator === " & " && type.includes(" | ") ? `(${type})` : type))
+		.join(separator);
+}
+
+/**
+ * @param {string} type
+ * @returns {Array<string>} The members of the union, not counting unions inside of
+ * other types (eg. `Array<string | number>`)
+ */
+function splitUnion(type) {
+	/** @type {Array<string>} */
+	const parts = [];
+	let depth = 0;
+	let start = 0;
+	for (let i = 0; i < type.length; i++) {
+		const char = type[i];
+		if (char === "<" || char === "(") {
+			depth++;
+		} else if (char === ">" || char === ")") {
+			depth--;
+		} else if (depth === 0 && type.startsWith(" | ", i)) {
+			parts.push(type.slice(start, i));
+			start = i + 3;
+		}
+	}
+
+	parts.push(type.slice(start));
+	return parts;
+}
+
+/**
+ * @param {string} type A type from a schema
+ * @returns {string}
+ */
+function getSchemaType(type) {
+	switch (type) {
+		case "integer":
+			return "number";
+		case "any":
+			return "unknown";
+		default:
+			return type;
+	}
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getPrimitiveType(value) {
+	if (value === null) {
+		return "null";
+	}
+
+	const type = typeof value;
+	return type === "string" || type === "number" || type === "boolean" ? type : "unknown";
+}
+
+/**
+ * @param {string} key
+ * @returns {string} The key as part of a name (eg. `ServerTls` for `server_tls`)
+ */
+function toPascalCase(key) {
+	const words = key.match(NAME_PART_REGEX) ?? [];
+	return words.map((word) => word[0].toUpperCase() + word.slice(1)).join("") || "Key";
+}
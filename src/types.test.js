@@ -0,0 +1,241 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { extractComments } from "./comments.js";
+import { parse } from "./parse.js";
+import { generateTypes } from "./types.js";
+
+describe("Types from Data", () => {
+	it("should generate an interface for each object", async () => {
+		const { data } = await parse(
+			'name = "api"\nport = 80\nserver { host = "a", "tls-enabled" = true }',
+		);
+		assert.strictEqual(
+			generateTypes({ data }),
+			[
+				"export interface Config {",
+				"\tname: string;",
+				"\tport: number;",
+				"\tserver: ConfigServer;",
+				"}",
+				"",
+				"export interface ConfigServer {",
+				"\thost: string;",
+				'\t"tls-enabled": boolean;',
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should type arrays from all of their items", () => {
+		const data = { servers: [{ host: "a", port: 1 }, { host: "b" }, null], tags: [] };
+		assert.strictEqual(
+			generateTypes({ data }, { name: "App" }),
+			[
+				"export interface App {",
+				"\tservers: Array<null | AppServersItem>;",
+				"\ttags: Array<unknown>;",
+				"}",
+				"",
+				"export interface AppServersItem {",
+				"\thost: string;",
+				"\tport?: number;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should use comments as doc comments", () => {
+		const source =
+			"// The name\n// of the app\nname = 1\nlist = [\n\t{ a = 1 } // An item\n]\n";
+		assert.strictEqual(
+			generateTypes(
+				{ data: { name: 1, list: [{ a: 1 }] } },
+				{ comments: extractComments(source) },
+			),
+			[
+				"export interface Config {",
+				"\t/**",
+				"\t * The name",
+				"\t * of the app",
+				"\t */",
+				"\tname: number;",
+				"\tlist: Array<ConfigListItem>;",
+				"}",
+				"",
+				"export interface ConfigListItem {",
+				"\ta: number;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should declare a type for data that isn't an object", () => {
+		assert.strictEqual(
+			generateTypes({ data: [1, "a"] }),
+			"export type Config = Array<number | string>;\n",
+		);
+	});
+});
+
+describe("Types from Schemas", () => {
+	it("should mark keys that are not required as optional", () => {
+		const schema = {
+			keys: {
+				name: {
+					type: /** @type {const} */ ("string"),
+					required: true,
+					description: "The name",
+				},
+				mode: { enum: ["dev", "prod"] },
+				ports: {
+					type: /** @type {const} */ ("array"),
+					items: { type: /** @type {const} */ ("integer") },
+				},
+				extra: {},
+				port: { type: /** @type {const} */ ("integer"), default: 80 },
+			},
+		};
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export interface Config {",
+				"\t/** The name */",
+				"\tname: string;",
+				'\tmode?: "dev" | "prod";',
+				"\tports?: Array<number>;",
+				"\textra?: unknown;",
+				"\tport: number;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should add index signatures for values", () => {
+		const schema = {
+			keys: { count: { type: /** @type {const} */ ("integer"), required: true } },
+			values: { type: /** @type {const} */ ("string") },
+		};
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export interface Config {",
+				"\tcount: number;",
+				"\t[key: string]: string | number;",
+				"}",
+				"",
+			].join("\n"),
+		);
+		assert.strictEqual(
+			generateTypes({ schema: { values: { type: "boolean" } } }),
+			"export type Config = Record<string, boolean>;\n",
+		);
+	});
+
+	it("should declare unions with objects as a type", () => {
+		/** @type {import("./index.js").Schema} */
+		const schema = { type: ["object", "null"], keys: { a: { type: "string" } } };
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export type Config = ConfigObject | null;",
+				"",
+				"export interface ConfigObject {",
+				"\ta?: string;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+});
+
+describe("Types from JSON Schemas", () => {
+	it("should generate interfaces from properties", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const schema = {
+			type: "object",
+			required: ["server"],
+			properties: {
+				server: {
+					type: "object",
+					description: "Where to listen",
+					properties: { host: { type: "string" }, port: { const: 80 } },
+					additionalProperties: false,
+				},
+				mode: { oneOf: [{ const: "dev" }, { const: "prod" }] },
+			},
+		};
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export interface Config {",
+				"\t/** Where to listen */",
+				"\tserver: ConfigServer;",
+				'\tmode?: "dev" | "prod";',
+				"}",
+				"",
+				"export interface ConfigServer {",
+				"\thost?: string;",
+				"\tport?: 80;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should declare references once, even when recursive", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const schema = {
+			properties: { root: { $ref: "#/$defs/node" }, other: { $ref: "#/$defs/node" } },
+			$defs: {
+				node: {
+					type: "object",
+					required: ["children"],
+					properties: { children: { type: "array", items: { $ref: "#/$defs/node" } } },
+				},
+			},
+		};
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export interface Config {",
+				"\troot?: Node;",
+				"\tother?: Node;",
+				"}",
+				"",
+				"export interface Node {",
+				"\tchildren: Array<Node>;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("should generate intersections for allOf", () => {
+		/** @type {import("./index.js").JsonSchema} */
+		const schema = {
+			allOf: [
+				{ properties: { a: { type: "string" } } },
+				{ properties: { b: { type: "number" } } },
+			],
+		};
+		assert.strictEqual(
+			generateTypes({ schema }),
+			[
+				"export type Config = Config1 & Config2;",
+				"",
+				"export interface Config1 {",
+				"\ta?: string;",
+				"}",
+				"",
+				"export interface Config2 {",
+				"\tb?: number;",
+				"}",
+				"",
+			].join("\n"),
+		);
+	});
+});
@@ -1,16 +1,20 @@
 /**
- * @import { Container, Value } from './index.js'
- * @import { KeyPath } from './values.js'
+ * @import { Container, Key, Value } from './index.js'
  */
 
+import { CodedError, ErrorCode } from "./error.js";
 import { Token } from "./lexer.js";
+import { Collection, KeyPath, Statement, Tag } from "./values.js";
 
 /**
  * @param {Record<string, Value>} root
  * @param {KeyPath} key
+ * @param {boolean=} allowGaps If indexes past the end of an array are allowed,
+ * with the items before them filled with `null`
  * @returns {Container}
+ * @throws {CodedError} If there would be a gap in an array when it is not allowed
  */
-export function getParentForKey(root, key) {
+export function getParentForKey(root, key, allowGaps = true) {
 	/** @type {Container} */
 	let current = root;
 
@@ -32,6 +36,14 @@ export function getParentForKey(root, key) {
 			);
 		} else {
 			if (Array.isArray(current)) {
+				if (!allowGaps && current.length < part.index) {
+					throw new CodedError(
+						`cannot assign to index ${part.index} of an array with a length of ${current.length}`,
+						ErrorCode.ARRAY_GAP,
+						{ key: key.serialize() },
+					);
+				}
+
 				while (current.length < part.index) {
 					current.push(null);
 				}
@@ -96,6 +108,45 @@ export function isObject(value) {
 	return typeof value === "object" && !Array.isArray(value) && value !== null;
 }
 
+/**
+ * Values from parsing with `unwrap: false` (eg. `Tag`) are objects, but are not plain data
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+export function isPlainObject(value) {
+	return (
+		isObject(value) &&
+		!(value instanceof Tag) &&
+		!(value instanceof Statement) &&
+		!(value instanceof Collection) &&
+		!(value instanceof KeyPath)
+	);
+}
+
+/**
+ * @param {string} key
+ * @returns {Key} A bare key, for building paths from the keys of objects
+ */
+export function toKey(key) {
+	return { type: "alphanumeric", key };
+}
+
+/**
+ * @param {Value} value
+ * @returns {string} The type of the value for error details
+ */
+export function getValueType(value) {
+	if (value === null) {
+		return "null";
+	}
+
+	if (Array.isArray(value)) {
+		return "array";
+	}
+
+	return isObject(value) ? "object" : typeof value;
+}
+
 /**
  * Safely retrieves a value from the root object using a KeyPath.
  * Returns undefined if any part of the path does not exist or
@@ -134,34 +185,106 @@ export function getValueAtPath(root, path) {
 /**
  * @param {string} input
  * @returns {number}
- * @throws {Error}
+ * @throws {CodedError}
  */
 export function validateAndParseNumber(input) {
 	if (input === "") {
-		throw new Error("invalid number");
+		throw new CodedError("invalid number", ErrorCode.INVALID_NUMBER, { literal: input });
 	}
 
 	if (input.charAt(0) === "_" || input.charAt(input.length - 1) === "_") {
-		throw new Error("cannot have leading or trailing underscores for number");
+		throw new CodedError(
+			"cannot have leading or trailing underscores for number",
+			ErrorCode.INVALID_NUMBER,
+			{ literal: input },
+		);
 	}
 
 	// Pretty naive way of checking if there are consecutive underscores, but it works
 	if (input.includes("__")) {
-		throw new Error("cannot have consecutive underscores for number");
+		throw new CodedError(
+			"cannot have consecutive underscores for number",
+			ErrorCode.INVALID_NUMBER,
+			{ literal: input },
+		);
 	}
 
 	// Need to replace the underscores for the conversion since it's an invalid number otherwise
 	const value = Number(input.replaceAll("_", ""));
 	if (Number.isNaN(value)) {
-		throw new Error("invalid number");
+		throw new CodedError("invalid number", ErrorCode.INVALID_NUMBER, { literal: input });
 	} else if (value === Infinity || value === -Infinity) {
 		// Following the spec that infinity values are not supported
-		throw new Error("infinity value not supported");
+		throw new CodedError("infinity value not supported", ErrorCode.INVALID_NUMBER, {
+			literal: input,
+		});
 	}
 
 	return value;
 }
 
+/**
+ * Get the character that an escape sequence in a string represents
+ * @param {string} sequence The escape sequence, including the backslash (eg. `\n`, `\u0041`)
+ * @returns {string}
+ * @throws {CodedError}
+ */
+export function parseEscapeSequence(sequence) {
+	const code = sequence[1];
+	switch (code) {
+		case '"':
+			return '"';
+		case "\\":
+			return "\\";
+		case "$":
+			return "$";
+		case "b":
+			return "\b";
+		case "f":
+			return "\f";
+		case "n":
+			return "\n";
+		case "r":
+			return "\r";
+		case "t":
+			return "\t";
+		case "u":
+		case "U": {
+			const codePoint = parseInt(sequence.substring(2), 16);
+			if (Number.isNaN(codePoint)) {
+				throw new CodedError(
+					"invalid escaped unicode code point",
+					ErrorCode.INVALID_ESCAPE,
+					{
+						literal: sequence,
+					},
+				);
+			}
+
+			try {
+				return String.fromCodePoint(codePoint);
+			} catch {
+				throw new CodedError(
+					"invalid escaped unicode code point",
+					ErrorCode.INVALID_ESCAPE,
+					{
+						literal: sequence,
+					},
+				);
+			}
+		}
+
+		default:
+			throw new CodedError(
+				`invalid escape sequence '${sequence}'`,
+				ErrorCode.INVALID_ESCAPE,
+				{
+					literal: sequence,
+				},
+			);
+	}
+}
+
 /**
  * Helper to check if a token looks like the start of a number
  * (Digits, +, or -)
@@ -194,3 +317,80 @@ export function deepMerge(target, source) {
 	}
 	return target;
 }
+
+/**
+ * Find the candidates closest to a name that was not found, to suggest them instead
+ * @param {string} name
+ * @param {Iterable<string>} candidates
+ * @returns {Array<string>} Up to 3 candidates, closest first
+ */
+export function getSuggestions(name, candidates) {
+	// Allowing more typos in longer names, since short ones are close to almost anything
+	const maxDistance = Math.max(1, Math.floor(name.length / 3));
+
+	/** @type {Array<{ candidate: string, distance: number }>} */
+	const matches = [];
+	for (const candidate of new Set(candidates)) {
+		const distance = getEditDistance(name, candidate);
+		if (distance <= maxDistance) {
+			matches.push({ candidate, distance });
+		}
+	}
+
+	return matches
+		.sort((a, b) => a.distance - b.distance || (a.candidate < b.candidate ? -1 : 1))
+		.slice(0, 3)
+		.map((match) => match.candidate);
+}
+
+/**
+ * @param {Array<string>} suggestions
+ * @returns {string} A hint to add to a message, or an empty string without suggestions
+ */
+export function formatSuggestions(suggestions) {
+	if (!suggestions.length) {
+		return "";
+	}
+
+	const quoted = suggestions.map((suggestion) => `'${suggestion}'`);
+	const last = quoted.pop();
+	return ` (did you mean ${quoted.length ? `${quoted.join(", ")} or ` : ""}${last}?)`;
+}
+
+/**
+ * The number of insertions, deletions, substitutions and swaps of adjacent
+ * characters needed to turn one string into the other
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+	/** @type {Array<Array<number>>} */
+	const distances = [];
+	for (let i = 0; i <= a.length; i++) {
+		distances.push([i]);
+	}
+
+	for (let j = 1; j <= b.length; j++) {
+		distances[0][j] = j;
+	}
+
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let distance = Math.min(
+				distances[i - 1][j] + 1,
+				distances[i][j - 1] + 1,
+				distances[i - 1][j - 1] + cost,
+			);
+
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distance = Math.min(distance, distances[i - 2][j - 2] + 1);
+			}
+
+			distances[i][j] = distance;
+		}
+	}
+
+	return distances[a.length][b.length];
+}